@@ -0,0 +1,39 @@
+/**
+ * Perft Check for Othello
+ * Counts the move tree from the starting position with both the mailbox
+ * (2D array) and bitboard implementations and compares them with each
+ * other and with the published perft counts
+ *
+ * Usage: npm run perft [-- maxDepth]
+ */
+
+import { BLACK, initializeBoard, perft } from '../src/utils/gameLogic.js';
+import { fromBoard, perftBitboard } from '../src/utils/bitboard.js';
+
+// Published leaf counts from the standard starting position, indexed by depth
+const KNOWN_COUNTS = [1, 4, 12, 56, 244, 1396, 8200, 55092, 390216, 3005288];
+
+const maxDepth = Math.min(parseInt(process.argv[2] || '7', 10), KNOWN_COUNTS.length - 1);
+const board = initializeBoard();
+const position = fromBoard(board);
+let failed = false;
+
+for (let depth = 1; depth <= maxDepth; depth++) {
+  let start = Date.now();
+  const mailboxNodes = perft(board, BLACK, depth);
+  const mailboxTime = Date.now() - start;
+
+  start = Date.now();
+  const bitboardNodes = perftBitboard(position, BLACK, depth);
+  const bitboardTime = Date.now() - start;
+
+  const ok = mailboxNodes === bitboardNodes && bitboardNodes === KNOWN_COUNTS[depth];
+  if (!ok) failed = true;
+
+  console.log(
+    `depth ${depth}: mailbox ${mailboxNodes} (${mailboxTime}ms), ` +
+    `bitboard ${bitboardNodes} (${bitboardTime}ms), expected ${KNOWN_COUNTS[depth]} ${ok ? 'OK' : 'MISMATCH'}`
+  );
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,246 @@
+/**
+ * Relay Server for Online Othello
+ * A small WebSocket server that hosts rooms for two players and any number
+ * of spectators. Moves are checked by rooms.js before they are recorded, and
+ * every client in the room is sent the whole game after each change.
+ *
+ * Usage: npm run server [-- port]   (default port 8787, or $PORT)
+ * Tests import startRelay and listen on a free port instead.
+ *
+ * Messages received:
+ *   { type: 'create', rules, color }      rules {size, startPosition, holeCount, antiOthello}; color BLACK or WHITE
+ *   { type: 'join', code, spectate }      takes the free seat, or watches when spectate is set or both seats are taken
+ *   { type: 'resume', code, token }       takes back a seat after reconnecting (no token to watch again)
+ *   { type: 'move', row, col }
+ *   { type: 'leave' }                     gives up the seat
+ *
+ * Messages sent:
+ *   { type: 'joined', code, color, token }  color null for a spectator; token proves the seat on resume
+ *   { type: 'state', code, rules, start, moves, gameOver, winner, players, spectators }
+ *   (players {black, white} is 'connected', 'away' or 'open' for each seat; spectators is a count)
+ *   { type: 'error', message, fatal }     fatal when the request that failed was joining a room, or when
+ *                                         another connection took the seat over; the client then stays out
+ */
+
+import { WebSocketServer } from 'ws';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BLACK, WHITE } from '../src/utils/gameLogic.js';
+import {
+  createRoom,
+  getRoom,
+  deleteRoom,
+  takeSeat,
+  findSeat,
+  freeSeat,
+  playRoomMove,
+  getRoomState
+} from './rooms.js';
+
+const DEFAULT_PORT = 8787;
+
+// Clients that miss a heartbeat are dropped, freeing the connection for a reconnect
+const HEARTBEAT_INTERVAL = 30000;
+
+// Rooms with nobody connected are removed after this long
+const EMPTY_ROOM_TIMEOUT = 10 * 60 * 1000;
+
+const clients = new Map(); // room code -> Set of sockets in the room
+const closeTimers = new Map(); // room code -> timer removing the empty room
+
+/**
+ * Send a message to one client
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message to send
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Describe a seat for the room's clients
+ * @param {Object} room - Room
+ * @param {Set<WebSocket>} sockets - Sockets in the room
+ * @param {number} color - Seat color
+ * @returns {string} 'connected', 'away' (taken, player disconnected) or 'open'
+ */
+function getSeatStatus(room, sockets, color) {
+  if (room.seats[color] === null) return 'open';
+  return [...sockets].some((socket) => socket.color === color) ? 'connected' : 'away';
+}
+
+/**
+ * Send the room's game and who is in it to everyone in the room
+ * @param {Object} room - Room
+ */
+function broadcast(room) {
+  const sockets = clients.get(room.code) || new Set();
+  const message = {
+    type: 'state',
+    ...getRoomState(room),
+    players: { black: getSeatStatus(room, sockets, BLACK), white: getSeatStatus(room, sockets, WHITE) },
+    spectators: [...sockets].filter((socket) => socket.color === null).length
+  };
+
+  for (const socket of sockets) send(socket, message);
+}
+
+/**
+ * Put a socket in a room, as a player or a spectator
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} room - Room
+ * @param {number|null} color - Seat color, or null to watch
+ * @param {string|null} token - Seat token
+ */
+function enterRoom(socket, room, color, token) {
+  leaveRoom(socket);
+
+  if (!clients.has(room.code)) clients.set(room.code, new Set());
+  clients.get(room.code).add(socket);
+  clearTimeout(closeTimers.get(room.code));
+  closeTimers.delete(room.code);
+
+  socket.code = room.code;
+  socket.color = color;
+  send(socket, { type: 'joined', code: room.code, color, token });
+  broadcast(room);
+}
+
+/**
+ * Take a socket out of its room
+ * An empty room is kept for a while so its players can come back
+ * @param {WebSocket} socket - Client socket
+ */
+function leaveRoom(socket) {
+  const { code } = socket;
+  if (!code) return;
+
+  socket.code = null;
+  socket.color = null;
+  const sockets = clients.get(code);
+  sockets.delete(socket);
+
+  let room;
+  try {
+    room = getRoom(code);
+  } catch {
+    return;
+  }
+
+  if (sockets.size === 0) {
+    clients.delete(code);
+    const timer = setTimeout(() => {
+      closeTimers.delete(code);
+      deleteRoom(code);
+    }, EMPTY_ROOM_TIMEOUT);
+    // A room waiting to be removed is no reason to keep the process running
+    timer.unref();
+    closeTimers.set(code, timer);
+  } else {
+    broadcast(room);
+  }
+}
+
+/**
+ * Handle one message from a client
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(socket, message) {
+  if (message.type === 'create') {
+    const { room, token } = createRoom(message.rules, message.color);
+    enterRoom(socket, room, findSeat(room, token), token);
+  } else if (message.type === 'join') {
+    const room = getRoom(message.code);
+    const seat = message.spectate ? null : takeSeat(room);
+    enterRoom(socket, room, seat ? seat.color : null, seat ? seat.token : null);
+  } else if (message.type === 'resume') {
+    const room = getRoom(message.code);
+    const color = findSeat(room, message.token);
+    if (message.token && color === null) {
+      throw new Error('your seat in this room was given up');
+    }
+    // A second tab holding the same seat takes over from the first. The first is
+    // told it was replaced, so it doesn't resume and take the seat straight back
+    for (const other of clients.get(room.code) || []) {
+      if (color !== null && other.color === color) {
+        leaveRoom(other);
+        send(other, { type: 'error', message: 'Your seat was taken over by another window', fatal: true });
+        other.close();
+      }
+    }
+    enterRoom(socket, room, color, color === null ? null : message.token);
+  } else if (message.type === 'move') {
+    if (!socket.code) throw new Error('join a room first');
+    if (socket.color === null) throw new Error('spectators cannot move');
+
+    const room = getRoom(socket.code);
+    playRoomMove(room, socket.color, message.row, message.col);
+    broadcast(room);
+  } else if (message.type === 'leave') {
+    if (!socket.code) return;
+
+    const room = getRoom(socket.code);
+    if (socket.color !== null) freeSeat(room, socket.color);
+    leaveRoom(socket);
+  } else {
+    throw new Error(`unknown message type "${message.type}"`);
+  }
+}
+
+/**
+ * Start a relay server
+ * @param {number} port - Port to listen on; 0 picks a free one
+ * @returns {WebSocketServer} The server; its 'listening' event gives the port through address()
+ */
+export function startRelay(port) {
+  const server = new WebSocketServer({ port });
+
+  server.on('connection', (socket) => {
+    socket.code = null;
+    socket.color = null;
+    socket.alive = true;
+
+    socket.on('pong', () => {
+      socket.alive = true;
+    });
+
+    socket.on('message', (data) => {
+      let message = null;
+      try {
+        message = JSON.parse(data);
+        handleMessage(socket, message);
+      } catch (error) {
+        const joining = message && ['create', 'join', 'resume'].includes(message.type);
+        send(socket, { type: 'error', message: `Could not ${message ? message.type : 'read message'}: ${error.message}`, fatal: joining });
+      }
+    });
+
+    socket.on('close', () => leaveRoom(socket));
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of server.clients) {
+      if (!socket.alive) {
+        socket.terminate();
+        continue;
+      }
+      socket.alive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  server.on('close', () => clearInterval(heartbeat));
+
+  return server;
+}
+
+// Started with node (npm run server) rather than imported
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = startRelay(parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT, 10));
+  server.on('listening', () => {
+    console.log(`Othello relay server listening on ws://localhost:${server.address().port}`);
+  });
+}
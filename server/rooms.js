@@ -0,0 +1,218 @@
+/**
+ * Online Rooms for Othello
+ * Keeps the games hosted by the relay server. Each room has a short code,
+ * the rules it was created with, two seats and the game played so far, kept
+ * as history entries ({player, row, col} or {player, pass: true}) so clients
+ * can replay it with replayHistory.
+ *
+ * A seat belongs to whoever holds its token, so a player who drops out can
+ * take the seat back on reconnecting. Every move is checked here with the
+ * same game logic the app uses before it is recorded.
+ */
+
+import {
+  BLACK,
+  WHITE,
+  BOARD_SIZES,
+  DEFAULT_BOARD_SIZE,
+  initializeBoard,
+  isValidMove,
+  makeMove,
+  getValidMoves,
+  isGameOver,
+  getWinner,
+  setAntiOthello
+} from '../src/utils/gameLogic.js';
+import { START_POSITIONS, HOLE_COUNTS, createStartBoard, isStandardStart } from '../src/utils/variants.js';
+import { randomBytes } from 'node:crypto';
+
+// Room codes avoid letters that are easily misread (I, O)
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+
+const rooms = new Map(); // code -> room
+
+/**
+ * Check and fill in the rules a room is created with
+ * @param {Object} rules - Requested rules {size, startPosition, holeCount, antiOthello}
+ * @returns {Object} Rules with defaults for anything left out
+ */
+function normalizeRules(rules = {}) {
+  const {
+    size = DEFAULT_BOARD_SIZE,
+    startPosition = 'standard',
+    holeCount = 0,
+    antiOthello = false
+  } = rules;
+
+  if (!BOARD_SIZES.includes(size)) {
+    throw new Error(`board size ${size} is not supported`);
+  }
+  if (!START_POSITIONS.some((start) => start.key === startPosition)) {
+    throw new Error(`unknown start position "${startPosition}"`);
+  }
+  if (!HOLE_COUNTS.includes(holeCount)) {
+    throw new Error(`${holeCount} holes is not supported`);
+  }
+
+  return { size, startPosition, holeCount, antiOthello: Boolean(antiOthello) };
+}
+
+/**
+ * Pick a room code that is not in use
+ * @returns {string} e.g. "KXRM"
+ */
+function newRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Create a token that proves ownership of a seat
+ * @returns {string} Random hex token
+ */
+function newSeatToken() {
+  return randomBytes(16).toString('hex');
+}
+
+/**
+ * Create a room and seat its creator
+ * @param {Object} rules - Rules {size, startPosition, holeCount, antiOthello}
+ * @param {number} color - Creator's color (BLACK or WHITE)
+ * @returns {{room: Object, token: string}} The new room and the creator's seat token
+ */
+export function createRoom(rules, color = BLACK) {
+  if (color !== BLACK && color !== WHITE) {
+    throw new Error('choose Black or White');
+  }
+
+  const roomRules = normalizeRules(rules);
+  const standard = isStandardStart(roomRules, roomRules.size);
+  const board = standard ? initializeBoard() : createStartBoard(roomRules.size, roomRules);
+
+  const room = {
+    code: newRoomCode(),
+    rules: roomRules,
+    start: standard ? null : { board, player: BLACK },
+    board,
+    currentPlayer: BLACK,
+    moves: [],
+    gameOver: isGameOver(board, BLACK),
+    winner: null,
+    seats: { [BLACK]: null, [WHITE]: null } // Seat tokens, null while free
+  };
+
+  const token = newSeatToken();
+  room.seats[color] = token;
+  rooms.set(room.code, room);
+  return { room, token };
+}
+
+/**
+ * Find a room by its code
+ * @param {string} code - Room code, in any case
+ * @returns {Object} The room
+ */
+export function getRoom(code) {
+  const room = rooms.get(String(code).trim().toUpperCase());
+  if (!room) {
+    throw new Error(`room ${code} not found`);
+  }
+  return room;
+}
+
+/**
+ * Remove a room
+ * @param {string} code - Room code
+ */
+export function deleteRoom(code) {
+  rooms.delete(code);
+}
+
+/**
+ * Take the free seat of a room, if there is one
+ * @param {Object} room - Room to join
+ * @returns {{color: number, token: string}|null} Seat taken, or null if both are taken
+ */
+export function takeSeat(room) {
+  const color = [BLACK, WHITE].find((seat) => room.seats[seat] === null);
+  if (!color) return null;
+
+  const token = newSeatToken();
+  room.seats[color] = token;
+  return { color, token };
+}
+
+/**
+ * Find the seat a token belongs to
+ * @param {Object} room - Room
+ * @param {string} token - Seat token
+ * @returns {number|null} Color of the seat, or null if the token matches neither
+ */
+export function findSeat(room, token) {
+  if (token && room.seats[BLACK] === token) return BLACK;
+  if (token && room.seats[WHITE] === token) return WHITE;
+  return null;
+}
+
+/**
+ * Give up a seat so someone else can take it
+ * @param {Object} room - Room
+ * @param {number} color - Seat to free
+ */
+export function freeSeat(room, color) {
+  room.seats[color] = null;
+}
+
+/**
+ * Play a move for the player in a seat
+ * After the move, a player left without legal moves passes at once, the
+ * same way the app records forced passes
+ * @param {Object} room - Room
+ * @param {number} color - Color of the seat making the move
+ * @param {number} row - Row of the move
+ * @param {number} col - Column of the move
+ */
+export function playRoomMove(room, color, row, col) {
+  if (room.gameOver) {
+    throw new Error('the game is over');
+  }
+  if (color !== room.currentPlayer) {
+    throw new Error('it is not your turn');
+  }
+  const size = room.board.length;
+  const onBoard = Number.isInteger(row) && Number.isInteger(col) && row >= 0 && row < size && col >= 0 && col < size;
+  if (!onBoard || !isValidMove(room.board, row, col, color)) {
+    throw new Error('that move is not legal');
+  }
+
+  room.board = makeMove(room.board, row, col, color);
+  room.moves.push({ player: color, row, col });
+
+  const opponent = color === BLACK ? WHITE : BLACK;
+  if (isGameOver(room.board, opponent)) {
+    // The winner depends on the room's rules, which the game logic reads from module state
+    setAntiOthello(room.rules.antiOthello);
+    room.gameOver = true;
+    room.winner = getWinner(room.board);
+  } else if (getValidMoves(room.board, opponent).length === 0) {
+    room.moves.push({ player: opponent, pass: true });
+    room.currentPlayer = color;
+  } else {
+    room.currentPlayer = opponent;
+  }
+}
+
+/**
+ * Describe a room for its clients
+ * @param {Object} room - Room
+ * @returns {{code: string, rules: Object, start: Object|null, moves: Array<Object>, gameOver: boolean, winner: number|null}}
+ *   Everything a client needs to replay the game
+ */
+export function getRoomState(room) {
+  const { code, rules, start, moves, gameOver, winner } = room;
+  return { code, rules, start, moves, gameOver, winner };
+}
@@ -1,10 +1,29 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import Board from './components/Board'
 import GameControls from './components/GameControls'
 import Settings from './components/Settings'
 import DebugPanel from './components/DebugPanel'
-import { BLACK, WHITE, initializeBoard, makeMove as makeGameMove, isGameOver, getValidMoves, calculateScore, isValidMove, getWinner } from './utils/gameLogic'
-import { findBestMove, setAlphaBeta, setDebugMode as setDebug, getNodesExamined } from './utils/minimax'
+import HeuristicEditor from './components/HeuristicEditor'
+import MoveList from './components/MoveList'
+import GameBrowser from './components/GameBrowser'
+import PositionEditor from './components/PositionEditor'
+import SaveSlots from './components/SaveSlots'
+import AnalysisPanel from './components/AnalysisPanel'
+import SearchTree from './components/SearchTree'
+import SearchComparison from './components/SearchComparison'
+import OnlinePanel from './components/OnlinePanel'
+import { EMPTY, BLACK, WHITE, BLOCKED, initializeBoard, makeMove as makeGameMove, isGameOver, getValidMoves, calculateScore, isValidMove, getWinner, setAntiOthello } from './utils/gameLogic'
+import { createEngine } from './utils/engine'
+import { loadDefaultOpeningBook, loadOpeningBook, parseBookFile, isInBook, getOpeningName } from './utils/openingBook'
+import { DEFAULT_PROFILE, parseProfileFile, evaluateTerms } from './utils/heuristic'
+import { replayHistory, getPlayerToMove, skipPasses } from './utils/gameHistory'
+import { exportTranscript, importTranscript } from './utils/notation'
+import { parseGameFile, exportGGF } from './utils/gameFiles'
+import { serializePosition, parsePosition, validatePosition } from './utils/position'
+import { loadAutosave, saveAutosave, listSlots, saveSlot, loadSlot, renameSlot, deleteSlot } from './utils/storage'
+import { getAnalysisPositions, getTerminalScore, reviewMoves } from './utils/analysis'
+import { createStartBoard, isStandardStart } from './utils/variants'
+import { createOnlineClient, loadOnlineSession } from './utils/online'
 import './App.css'
 
 /**
@@ -19,35 +38,567 @@ import './App.css'
  * see the decision-making process.
  */
 
+// Minimum time (ms) the AI appears to think before playing, so fast
+// searches don't make moves flash by too quickly to follow
+const MIN_THINKING_TIME = 800
+
+/**
+ * Describe a side's player for saved games
+ * @param {boolean} isAI - Whether the side is AI-controlled
+ * @param {string} engine - The side's engine ('minimax' or 'mcts')
+ * @returns {string} Player name
+ */
+function getPlayerName(isAI, engine) {
+  if (!isAI) return 'Human'
+  return engine === 'mcts' ? 'AI (MCTS)' : 'AI (Mini-Max)'
+}
+
+/**
+ * Replay a saved game to the position it was saved at
+ * @param {Object} game - Saved history {moves, index, start}
+ * @returns {Object|null} Game state from replayHistory, or null if the moves can't be replayed
+ */
+function replaySavedGame(game) {
+  try {
+    return replayHistory(game.moves, game.index, game.start)
+  } catch {
+    return null
+  }
+}
+
 function App() {
-  const [board, setBoard] = useState(initializeBoard())
-  const [currentPlayer, setCurrentPlayer] = useState(BLACK)
-  const [gameOver, setGameOver] = useState(false)
-  const [winner, setWinner] = useState(null)
-  const [aiBlack, setAiBlack] = useState(false) // Black player is human by default
-  const [aiWhite, setAiWhite] = useState(true) // White player is AI by default
-  const [searchDepth, setSearchDepth] = useState(4)
-  const [alphaBetaEnabled, setAlphaBetaEnabled] = useState(true)
-  const [debugMode, setDebugMode] = useState(false)
+  // The autosave from the last visit, read once: the game and settings start
+  // where they were left
+  const [autosave] = useState(loadAutosave)
+  const [restoredGame] = useState(() => {
+    // The game logic reads the anti-Othello rule from module state, so it is set before replaying
+    setAntiOthello(Boolean(autosave && autosave.settings.antiOthello))
+    return autosave ? replaySavedGame(autosave.game) : null
+  })
+  const restoredSettings = autosave ? autosave.settings : {}
+  const saved = (key, fallback) => (key in restoredSettings ? restoredSettings[key] : fallback)
+
+  const [board, setBoard] = useState(restoredGame ? restoredGame.board : initializeBoard())
+  const [currentPlayer, setCurrentPlayer] = useState(restoredGame ? restoredGame.currentPlayer : BLACK)
+  const [gameOver, setGameOver] = useState(restoredGame ? restoredGame.gameOver : false)
+  const [winner, setWinner] = useState(restoredGame ? restoredGame.winner : null)
+  // Moves and passes of the game line, and how many of them are on the board;
+  // entries past index are the line undone moves can be redone from. start is
+  // the position a set-up game began from ({board, player}), null normally
+  const [history, setHistory] = useState(restoredGame ? autosave.game : { moves: [], index: 0, start: null })
+  const [passedPlayer, setPassedPlayer] = useState(restoredGame ? restoredGame.passedPlayer : null) // Player who just had to pass
+  const [transcriptError, setTranscriptError] = useState(null)
+  const [gameDatabase, setGameDatabase] = useState(null) // {name, games, skipped} from a GGF or WTHOR file
+  const [databaseError, setDatabaseError] = useState(null)
+  const [selectedGame, setSelectedGame] = useState(null) // Index of the database game on the board
+  const [editing, setEditing] = useState(false) // Position editor mode
+  const [editorBoard, setEditorBoard] = useState(null)
+  const [editorPlayer, setEditorPlayer] = useState(BLACK)
+  const [positionError, setPositionError] = useState(null)
+  const [slots, setSlots] = useState(listSlots) // Named saved games, newest first
+  const [slotError, setSlotError] = useState(null)
+  // Post-game analysis {moves, evaluations, done, total, running} of the game line in moves
+  const [analysis, setAnalysis] = useState(null)
+  const [analysisDepth, setAnalysisDepth] = useState(4)
+  // Mini-Max vs alpha-beta comparison {request, board, rows, running} of one position
+  const [comparison, setComparison] = useState(null)
+  const [comparisonDepth, setComparisonDepth] = useState(4)
+  const [comparisonOrdering, setComparisonOrdering] = useState(true)
+  // Rule variant: starting discs ('standard', 'parallel' or 'random'), holes and anti-Othello
+  const [startPosition, setStartPosition] = useState(saved('startPosition', 'standard'))
+  const [holeCount, setHoleCount] = useState(saved('holeCount', 0))
+  const [antiOthello, setAntiOthelloEnabled] = useState(saved('antiOthello', false))
+  const [aiBlack, setAiBlack] = useState(saved('aiBlack', false)) // Black player is human by default
+  const [aiWhite, setAiWhite] = useState(saved('aiWhite', true)) // White player is AI by default
+  const [blackEngine, setBlackEngine] = useState(saved('blackEngine', 'minimax')) // 'minimax' or 'mcts'
+  const [whiteEngine, setWhiteEngine] = useState(saved('whiteEngine', 'minimax'))
+  const [searchDepth, setSearchDepth] = useState(saved('searchDepth', 4))
+  const [searchMode, setSearchMode] = useState(saved('searchMode', 'depth')) // 'depth' (fixed) or 'time' (iterative deepening)
+  const [timeLimit, setTimeLimit] = useState(saved('timeLimit', 2)) // Seconds per move in time mode
+  const [alphaBetaEnabled, setAlphaBetaEnabled] = useState(saved('alphaBetaEnabled', true))
+  const [transpositionEnabled, setTranspositionEnabled] = useState(saved('transpositionEnabled', true))
+  const [moveOrderingEnabled, setMoveOrderingEnabled] = useState(saved('moveOrderingEnabled', true))
+  const [endgameEnabled, setEndgameEnabled] = useState(saved('endgameEnabled', true))
+  const [endgameThreshold, setEndgameThreshold] = useState(saved('endgameThreshold', 14)) // Empty squares
+  const [wldOnly, setWldOnly] = useState(saved('wldOnly', false))
+  const [openingBookEnabled, setOpeningBookEnabled] = useState(saved('openingBookEnabled', true))
+  const [bookSummary, setBookSummary] = useState(() => loadDefaultOpeningBook())
+  const [bookError, setBookError] = useState(null)
+  const [openingName, setOpeningName] = useState(null)
+  const [mctsPlayouts, setMctsPlayouts] = useState(saved('mctsPlayouts', 5000))
+  const [mctsExploration, setMctsExploration] = useState(saved('mctsExploration', 1.4))
+  const [mctsHeuristic, setMctsHeuristic] = useState(saved('mctsHeuristic', false))
+  const [blackProfile, setBlackProfile] = useState(saved('blackProfile', DEFAULT_PROFILE)) // Heuristic profile per side
+  const [whiteProfile, setWhiteProfile] = useState(saved('whiteProfile', DEFAULT_PROFILE))
+  const [profileError, setProfileError] = useState(null)
+  const [debugMode, setDebugMode] = useState(saved('debugMode', false))
+  const [traceLimit, setTraceLimit] = useState(saved('traceLimit', 2000)) // Most nodes a debug search trace records
+  const [overlayEnabled, setOverlayEnabled] = useState(saved('overlayEnabled', false)) // Move evaluation overlay
+  const [overlayDepth, setOverlayDepth] = useState(saved('overlayDepth', 3))
+  const [moveScores, setMoveScores] = useState(null) // {board, moves} scored for the overlay
+  const [hintDepth, setHintDepth] = useState(saved('hintDepth', 4)) // Search depth for hints, separate from the AI's
+  const [hintRequest, setHintRequest] = useState(null) // Board a hint is being searched for
+  const [hint, setHint] = useState(null) // {board, row, col} of the last hint
+  const [hintCount, setHintCount] = useState(restoredGame ? autosave.game.hints || 0 : 0) // Hints taken this game
   const [nodesExamined, setNodesExamined] = useState(0)
   const [isAiThinking, setIsAiThinking] = useState(false)
+  const [searchBestMove, setSearchBestMove] = useState(null)
+  const [depthReached, setDepthReached] = useState(0)
+  const [transpositionStats, setTranspositionStats] = useState(null)
+  const [solvedResult, setSolvedResult] = useState(null) // { player, score, wldOnly } from the endgame solver
+  const [mctsStats, setMctsStats] = useState(null) // Root move visits and win rates of the last MCTS search
+  const [searchTrace, setSearchTrace] = useState(null) // Search tree recorded by the last debug search
+  // Node counts {depth, ordered, unordered} of the last debug search's position with and without move ordering
+  const [orderingComparison, setOrderingComparison] = useState(null)
+  const [engineError, setEngineError] = useState(null) // Error from the last search that failed in its worker
+  // Online room {code, color, status, players, spectators, game}, null when playing locally;
+  // game {moves, start} is the room's game as last sent by the server
+  const [online, setOnline] = useState(null)
+  const [onlineError, setOnlineError] = useState(null)
+  const engineRef = useRef(null)
+  const overlayEngineRef = useRef(null)
+  const comparisonEngineRef = useRef(null)
+  const analysisEngineRef = useRef(null)
+  const onlineClientRef = useRef(null)
+
+  /**
+   * Get the search engine, creating it on first use
+   * @returns {Object} Engine instance
+   */
+  const getEngine = () => {
+    if (!engineRef.current) {
+      engineRef.current = createEngine()
+    }
+    return engineRef.current
+  }
+
+  /**
+   * Get the engine that scores moves for the overlay, creating it on first use
+   * It is separate from the AI's engine so neither cancels the other
+   * @returns {Object} Engine instance
+   */
+  const getOverlayEngine = () => {
+    if (!overlayEngineRef.current) {
+      overlayEngineRef.current = createEngine()
+    }
+    return overlayEngineRef.current
+  }
+
+  /**
+   * Get the engine that runs search comparisons, creating it on first use
+   * Plain Mini-Max can take a while at depth, so it runs apart from the AI's engine
+   * @returns {Object} Engine instance
+   */
+  const getComparisonEngine = () => {
+    if (!comparisonEngineRef.current) {
+      comparisonEngineRef.current = createEngine()
+    }
+    return comparisonEngineRef.current
+  }
+
+  /**
+   * Get the engine that analyzes finished games, creating it on first use
+   * Analysis searches every position of the game, so it runs apart from the
+   * AI's engine and neither cancels the other
+   * @returns {Object} Engine instance
+   */
+  const getAnalysisEngine = () => {
+    if (!analysisEngineRef.current) {
+      analysisEngineRef.current = createEngine()
+    }
+    return analysisEngineRef.current
+  }
 
   /**
    * Reset the game to initial state
+   * Games on a board other than 8x8 or from a variant start record their
+   * starting position, so replaying, saving and analyzing them keeps it
+   * @param {Object} [options] - Changes for the new game; each defaults to the current setting
+   * @param {number} [options.size] - Board size
+   * @param {string} [options.startPosition] - Start position key
+   * @param {number} [options.holeCount] - Number of holes
    */
-  const restartGame = () => {
-    setBoard(initializeBoard())
+  const restartGame = ({ size = board.length, startPosition: start = startPosition, holeCount: holes = holeCount } = {}) => {
+    // A new local game ends the online one
+    if (onlineClientRef.current) leaveRoom()
+
+    const variant = { startPosition: start, holeCount: holes }
+    const standard = isStandardStart(variant, size)
+    const newBoard = standard ? initializeBoard() : createStartBoard(size, variant)
+    setBoard(newBoard)
     setCurrentPlayer(BLACK)
     setGameOver(false)
     setWinner(null)
+    setHistory({ moves: [], index: 0, start: standard ? null : { board: newBoard, player: BLACK } })
+    setSelectedGame(null)
+    setEditing(false)
+    setHintCount(0)
+    setPassedPlayer(null)
     setNodesExamined(0)
     setIsAiThinking(false)
+    setSearchBestMove(null)
+    setDepthReached(0)
+    setTranspositionStats(null)
+    setSolvedResult(null)
+    setMctsStats(null)
+    setSearchTrace(null)
+    setOpeningName(null)
+  }
+
+  /**
+   * Turn anti-Othello on or off, for the game logic on this thread as well as the Settings panel
+   * @param {boolean} enabled - Whether the player with fewer discs wins
+   */
+  const applyAntiOthello = (enabled) => {
+    setAntiOthello(enabled)
+    setAntiOthelloEnabled(enabled)
+  }
+
+  /**
+   * Change the rule variant and start a new game under it
+   * @param {Object} rules - Changed rules, any of {startPosition, holeCount, antiOthello}
+   */
+  const changeRules = (rules) => {
+    if ('startPosition' in rules) setStartPosition(rules.startPosition)
+    if ('holeCount' in rules) setHoleCount(rules.holeCount)
+    if ('antiOthello' in rules) applyAntiOthello(rules.antiOthello)
+    restartGame(rules)
+  }
+
+  /**
+   * Load an opening book file chosen by the user (JSON or text)
+   * @param {File} file - Book file
+   */
+  const loadBookFile = async (file) => {
+    try {
+      const entries = parseBookFile(await file.text())
+      const summary = loadOpeningBook(entries)
+      getEngine().setOpeningBook(entries)
+      setBookSummary(summary)
+      setBookError(null)
+    } catch (error) {
+      setBookError(`Could not read ${file.name}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Replace the heuristic profile a side plays with
+   * @param {number} player - BLACK or WHITE
+   * @param {Object} profile - New heuristic profile
+   */
+  const setProfile = (player, profile) => {
+    if (player === BLACK) setBlackProfile(profile)
+    else setWhiteProfile(profile)
+  }
+
+  /**
+   * Load a heuristic profile file chosen by the user (JSON)
+   * @param {number} player - Side to load the profile for
+   * @param {File} file - Profile file
+   */
+  const loadProfileFile = async (player, file) => {
+    try {
+      setProfile(player, parseProfileFile(await file.text()))
+      setProfileError(null)
+    } catch (error) {
+      setProfileError(`Could not read ${file.name}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Load a GGF or WTHOR game file chosen by the user
+   * @param {File} file - Game file
+   */
+  const loadGameFile = async (file) => {
+    try {
+      const { games, skipped } = parseGameFile(file.name, await file.arrayBuffer())
+      setGameDatabase({ name: file.name, games, skipped })
+      setDatabaseError(null)
+    } catch (error) {
+      setDatabaseError(`Could not read ${file.name}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Put a game from the loaded file on the board at its starting position
+   * Both sides become human so the AI doesn't play over the game being studied
+   * @param {number} index - Index of the game in the file
+   */
+  const openDatabaseGame = (index) => {
+    setAiBlack(false)
+    setAiWhite(false)
+    setSelectedGame(index)
+    setHintCount(0)
+    const game = gameDatabase.games[index]
+    jumpToHistory(0, game.moves, game.start)
+  }
+
+  /**
+   * Step through the game on the board
+   * @param {number|string} step - -1 or 1 for one move, 'first' or 'last' for either end
+   */
+  const stepGame = (step) => {
+    const { moves, index } = history
+    if (step === 'first') jumpToHistory(0)
+    else if (step === 'last') jumpToHistory(moves.length)
+    else jumpToHistory(skipPasses(moves, index + step, step))
+  }
+
+  /**
+   * Write the game on the board as GGF
+   * @returns {string} GGF game record
+   */
+  const getGameGGF = () => {
+    return exportGGF(history.moves.slice(0, history.index), {
+      black: getPlayerName(aiBlack, blackEngine),
+      white: getPlayerName(aiWhite, whiteEngine),
+      finalBoard: gameOver ? board : null,
+      start: history.start
+    })
+  }
+
+  /**
+   * Analyse the game: search every position and judge each move against the engine's best
+   * Positions are searched one at a time on the analysis engine with the
+   * Classic profile, so every game is judged on the same scale. Leaving the
+   * game line stops the analysis.
+   */
+  const analyzeGame = async () => {
+    const { moves, start } = history
+    const positions = getAnalysisPositions(moves, start)
+    const evaluations = []
+    const engine = getAnalysisEngine()
+
+    setAnalysis({ moves, evaluations: [], done: 0, total: positions.length, running: true })
+
+    for (const [i, position] of positions.entries()) {
+      if (position.terminal) {
+        evaluations[position.index] = { score: getTerminalScore(position.board), bestMove: null }
+      } else {
+        const result = await engine.search({
+          board: position.board,
+          player: position.player,
+          engine: 'minimax',
+          depth: analysisDepth,
+          timeLimit: null,
+          alphaBeta: true,
+          transposition: true,
+          moveOrdering: true,
+          endgameThreshold: 0,
+          wldOnly: false,
+          useBook: false,
+          heuristicProfile: DEFAULT_PROFILE,
+          antiOthello,
+          debug: false
+        }).catch(reportEngineError)
+
+        // Cancelled or failed: keep what was analyzed so far
+        if (!result) {
+          setAnalysis((current) => (current && current.moves === moves ? { ...current, running: false } : current))
+          return
+        }
+
+        const { row, col, score } = result.bestMove
+        evaluations[position.index] = { score: position.player === BLACK ? score : -score, bestMove: { row, col } }
+      }
+
+      setAnalysis({ moves, evaluations: [...evaluations], done: i + 1, total: positions.length, running: i + 1 < positions.length })
+    }
+  }
+
+  /**
+   * Compare plain Mini-Max with alpha-beta on the current position at each depth
+   * Every search uses the side to move's profile; rows appear as each depth completes
+   */
+  const compareSearches = () => {
+    const request = {
+      board,
+      player: currentPlayer,
+      maxDepth: comparisonDepth,
+      includeOrdering: comparisonOrdering,
+      heuristicProfile: currentPlayer === BLACK ? blackProfile : whiteProfile,
+      antiOthello
+    }
+
+    /**
+     * Update the comparison if it is still the one this request started
+     * @param {Object} fields - Fields to change
+     */
+    const update = (fields) => {
+      setComparison((current) => (current && current.request === request ? { ...current, ...fields } : current))
+    }
+
+    setComparison({ request, board, rows: [], running: true })
+    getComparisonEngine()
+      .compare(request, (progress) => update({ rows: progress.rows }))
+      .then((result) => update(result ? { rows: result.rows, running: false } : { running: false }))
+      .catch((error) => {
+        reportEngineError(error)
+        update({ running: false })
+      })
+  }
+
+  /**
+   * Show an error from a search that failed in its worker
+   * @param {Error} error - Error the search was rejected with
+   * @returns {null} Null, so a failed search can be handled like a cancelled one
+   */
+  const reportEngineError = (error) => {
+    setEngineError(`The search failed: ${error.message}`)
+    return null
+  }
+
+  /**
+   * Collect the Settings panel choices that are saved with a game
+   * @returns {Object} Setting values by name
+   */
+  const getSettings = () => ({
+    startPosition, holeCount, antiOthello, aiBlack, aiWhite, blackEngine, whiteEngine, searchDepth, searchMode, timeLimit,
+    alphaBetaEnabled, transpositionEnabled, moveOrderingEnabled, endgameEnabled, endgameThreshold,
+    wldOnly, openingBookEnabled, mctsPlayouts, mctsExploration, mctsHeuristic,
+    blackProfile, whiteProfile, debugMode, traceLimit, overlayEnabled, overlayDepth, hintDepth
+  })
+
+  /**
+   * Restore saved Settings panel choices
+   * Settings missing from the save keep their current values
+   * @param {Object} settings - Setting values by name, as from getSettings
+   */
+  const applySettings = (settings) => {
+    const setters = {
+      startPosition: setStartPosition, holeCount: setHoleCount, antiOthello: applyAntiOthello, aiBlack: setAiBlack, aiWhite: setAiWhite, blackEngine: setBlackEngine, whiteEngine: setWhiteEngine,
+      searchDepth: setSearchDepth, searchMode: setSearchMode, timeLimit: setTimeLimit,
+      alphaBetaEnabled: setAlphaBetaEnabled, transpositionEnabled: setTranspositionEnabled,
+      moveOrderingEnabled: setMoveOrderingEnabled, endgameEnabled: setEndgameEnabled,
+      endgameThreshold: setEndgameThreshold, wldOnly: setWldOnly, openingBookEnabled: setOpeningBookEnabled,
+      mctsPlayouts: setMctsPlayouts, mctsExploration: setMctsExploration, mctsHeuristic: setMctsHeuristic,
+      blackProfile: setBlackProfile, whiteProfile: setWhiteProfile, debugMode: setDebugMode, traceLimit: setTraceLimit,
+      overlayEnabled: setOverlayEnabled, overlayDepth: setOverlayDepth, hintDepth: setHintDepth
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      if (setters[key]) setters[key](value)
+    }
+  }
+
+  /**
+   * Save the game and settings into a new named slot
+   * @param {string} name - Slot name
+   */
+  const saveGameSlot = (name) => {
+    const summary = {
+      black: getPlayerName(aiBlack, blackEngine),
+      white: getPlayerName(aiWhite, whiteEngine),
+      score: calculateScore(board),
+      hints: hintCount
+    }
+    const savedOk = saveSlot(name || `Saved game ${slots.length + 1}`, { ...history, hints: hintCount }, getSettings(), summary)
+    setSlotError(savedOk ? null : 'Could not save: browser storage is full or disabled')
+    setSlots(listSlots())
+  }
+
+  /**
+   * Replace the game and settings with a saved slot
+   * @param {string} id - Slot id
+   */
+  const loadGameSlot = (id) => {
+    const slot = loadSlot(id)
+    const state = slot && replaySavedGame(slot.game)
+    if (!state) {
+      setSlotError('Could not load the saved game')
+      setSlots(listSlots())
+      return
+    }
+
+    applySettings(slot.settings)
+    setEditing(false)
+    setSelectedGame(null)
+    setSolvedResult(null)
+    jumpToHistory(slot.game.index, slot.game.moves, slot.game.start)
+    setHintCount(slot.game.hints || 0)
+    setSlotError(null)
+  }
+
+  /**
+   * Rename a saved slot
+   * @param {string} id - Slot id
+   * @param {string} name - New name
+   */
+  const renameGameSlot = (id, name) => {
+    setSlotError(renameSlot(id, name) ? null : 'Could not rename: browser storage is full or disabled')
+    setSlots(listSlots())
+  }
+
+  /**
+   * Delete a saved slot
+   * @param {string} id - Slot id
+   */
+  const deleteGameSlot = (id) => {
+    setSlotError(deleteSlot(id) ? null : 'Could not delete: browser storage is disabled')
+    setSlots(listSlots())
+  }
+
+  /**
+   * Enter the position editor, starting from the position on the board
+   */
+  const startEditing = () => {
+    setEditorBoard(board.map((row) => [...row]))
+    setEditorPlayer(currentPlayer)
+    setPositionError(null)
+    setEditing(true)
+  }
+
+  /**
+   * Cycle a square in the position editor: empty, black, white, hole, empty
+   * @param {number} row - Row of the square
+   * @param {number} col - Column of the square
+   */
+  const editSquare = (row, col) => {
+    const next = { [EMPTY]: BLACK, [BLACK]: WHITE, [WHITE]: BLOCKED, [BLOCKED]: EMPTY }
+    setEditorBoard((current) => current.map((cells, r) =>
+      r === row ? cells.map((piece, c) => (c === col ? next[piece] : piece)) : cells
+    ))
+  }
+
+  /**
+   * Put a position string into the position editor
+   * @param {string} text - Position string
+   */
+  const applyPositionString = (text) => {
+    try {
+      const { board: parsedBoard, player } = parsePosition(text)
+      setEditorBoard(parsedBoard)
+      setEditorPlayer(player)
+      setPositionError(null)
+    } catch (error) {
+      setPositionError(`Could not read position: ${error.message}`)
+    }
+  }
+
+  /**
+   * Leave the position editor and start a game from the edited position
+   */
+  const playFromPosition = () => {
+    if (validatePosition(editorBoard, editorPlayer).errors.length > 0) return
+
+    const start = { board: editorBoard, player: editorPlayer }
+    setEditing(false)
+    setGameOver(false)
+    setWinner(null)
+    setSelectedGame(null)
+    setSolvedResult(null)
+    setHistory({ moves: [], index: 0, start })
+    setHintCount(0)
+    setBoard(editorBoard)
+    // Hands the turn over, passing at once if the side to move has no moves
+    switchTurn(editorBoard, editorPlayer)
   }
 
   /**
    * Check if the current player is AI-controlled
    */
   const isCurrentPlayerAI = () => {
+    // Both sides of an online game are people
+    if (online) return false
     if (currentPlayer === BLACK) return aiBlack
     if (currentPlayer === WHITE) return aiWhite
     return false
@@ -59,18 +610,194 @@ function App() {
    * @param {number} col - Column of the move
    */
   const handleMove = (row, col) => {
+    // Online, the server plays the move and sends back the new game
+    if (online) {
+      if (online.color === currentPlayer && isRoomGameShown() && isValidMove(board, row, col, currentPlayer)) {
+        onlineClientRef.current.sendMove(row, col)
+      }
+      return
+    }
+
     // Only allow human moves if the current player is not AI-controlled
     if (!gameOver && !isCurrentPlayerAI()) {
       if (isValidMove(board, row, col, currentPlayer)) {
-        const newBoard = makeGameMove(board, row, col, currentPlayer)
-        setBoard(newBoard)
-        switchTurn(newBoard, currentPlayer === BLACK ? WHITE : BLACK)
+        playMove(board, row, col, currentPlayer)
+      }
+    }
+  }
+
+  /**
+   * Play a legal move, record it and hand the turn on
+   * @param {number[][]} fromBoard - Board the move is played on
+   * @param {number} row - Row of the move
+   * @param {number} col - Column of the move
+   * @param {number} player - Player making the move
+   */
+  const playMove = (fromBoard, row, col, player) => {
+    const newBoard = makeGameMove(fromBoard, row, col, player)
+    setBoard(newBoard)
+    pushHistory({ player, row, col })
+    switchTurn(newBoard, player === BLACK ? WHITE : BLACK)
+  }
+
+  /**
+   * Append a move or pass to the history at the current position
+   * Playing from an earlier position discards the moves that followed it
+   * @param {Object} entry - {player, row, col} or {player, pass: true}
+   */
+  const pushHistory = (entry) => {
+    setHistory(({ moves, index, start }) => ({ moves: [...moves.slice(0, index), entry], index: index + 1, start }))
+  }
+
+  /**
+   * Go to the position after a number of history entries
+   * @param {number} index - Number of entries to keep on the board
+   * @param {Array<Object>} moves - History entries (defaults to the current game line)
+   * @param {Object|null} start - Starting position of those entries (defaults to the current game's)
+   */
+  const jumpToHistory = (index, moves = history.moves, start = history.start) => {
+    const state = replayHistory(moves, index, start)
+    setBoard(state.board)
+    setCurrentPlayer(state.currentPlayer)
+    setGameOver(state.gameOver)
+    setWinner(state.winner)
+    setPassedPlayer(state.passedPlayer)
+    setHistory({ moves, index, start })
+  }
+
+  /**
+   * Replace the game with one read from a transcript such as "f5d6c3d3c4"
+   * The transcript is played from the starting position of the current game, so
+   * variant start positions and holes are kept
+   * @param {string} transcript - Game transcript
+   */
+  const importGame = (transcript) => {
+    try {
+      const start = history.start
+      const moves = importTranscript(transcript, start)
+      jumpToHistory(moves.length, moves, start)
+      setHintCount(0)
+      setSelectedGame(null)
+      setTranscriptError(null)
+    } catch (error) {
+      setTranscriptError(`Could not import transcript: ${error.message}`)
+    }
+  }
+
+  /**
+   * Connect to a relay server for online play
+   * Callbacks from a client that has since been replaced are ignored
+   * @param {string} url - Server address
+   * @returns {Object} Online client, not yet in a room
+   */
+  const connectOnline = (url) => {
+    if (onlineClientRef.current) leaveRoom()
+
+    const client = createOnlineClient(url, {
+      onStatus: (status) => {
+        if (onlineClientRef.current !== client) return
+        if (status === 'closed') {
+          onlineClientRef.current = null
+          setOnline(null)
+        } else {
+          setOnline((current) => ({ ...current, status }))
+        }
+      },
+      onJoined: ({ code, color }) => {
+        if (onlineClientRef.current !== client) return
+        setOnlineError(null)
+        setOnline((current) => ({ ...current, code, color }))
+      },
+      onState: (state) => {
+        if (onlineClientRef.current === client) showRoomGame(state)
+      },
+      onError: (message) => {
+        if (onlineClientRef.current === client) setOnlineError(message)
       }
+    })
+
+    onlineClientRef.current = client
+    setOnlineError(null)
+    setOnline({ code: null, color: null, status: 'connecting', players: null, spectators: 0, game: null })
+    return client
+  }
+
+  /**
+   * Create a room for the current board size and rules, and take a seat in it
+   * @param {string} url - Server address
+   * @param {number} color - Color to play (BLACK or WHITE)
+   */
+  const createRoom = (url, color) => {
+    connectOnline(url).create({ size: board.length, startPosition, holeCount, antiOthello }, color)
+  }
+
+  /**
+   * Join a room as a player, or watch it
+   * @param {string} url - Server address
+   * @param {string} code - Room code
+   * @param {boolean} spectate - Watch even if a seat is free
+   */
+  const joinRoom = (url, code, spectate) => {
+    connectOnline(url).join(code, spectate)
+  }
+
+  /**
+   * Leave the online room and go back to local play, keeping the game on the board
+   */
+  const leaveRoom = () => {
+    onlineClientRef.current.leave()
+    onlineClientRef.current = null
+    setOnline(null)
+  }
+
+  /**
+   * Put a game sent by the server on the board
+   * The room's rules are adopted so the winner is decided the same way as on the server
+   * @param {Object} state - Room state {rules, start, moves, players, spectators}
+   */
+  const showRoomGame = (state) => {
+    const { rules, start, moves, players, spectators } = state
+    applyAntiOthello(rules.antiOthello)
+    setStartPosition(rules.startPosition)
+    setHoleCount(rules.holeCount)
+    jumpToHistory(moves.length, moves, start)
+    setSelectedGame(null)
+    setEditing(false)
+    setOnlineError(null)
+    setOnline((current) => ({ ...current, players, spectators, game: { moves, start } }))
+  }
+
+  /**
+   * Check whether the board shows the latest position of the online game
+   * Moving through the move list or loading another game leaves it
+   * @returns {boolean} True if moves played now go to the room
+   */
+  const isRoomGameShown = () => (
+    Boolean(online && online.game) && history.moves === online.game.moves && history.index === online.game.moves.length
+  )
+
+  /**
+   * Undo or redo one move
+   * With a human playing, moves continue to the next position a human is to
+   * move in, so undo takes back the AI's reply together with the human move
+   * @param {number} direction - -1 to undo, 1 to redo
+   */
+  const stepHistory = (direction) => {
+    const { moves, index } = history
+    const humanPlaying = !aiBlack || !aiWhite
+    const isAiToMove = (count) => !online && (getPlayerToMove(moves, count, history.start) === BLACK ? aiBlack : aiWhite)
+
+    let target = skipPasses(moves, index + direction, direction)
+    while (humanPlaying && target > 0 && target < moves.length && isAiToMove(target)) {
+      target = skipPasses(moves, target + direction, direction)
     }
+
+    jumpToHistory(target)
   }
 
   /**
    * Switch to the next player's turn
+   * A player with no legal moves passes, and the turn goes straight back
    * @param {number[][]} newBoard - The new board state
    * @param {number} nextPlayer - The next player to move
    */
@@ -80,48 +807,272 @@ function App() {
       const gameWinner = getWinner(newBoard)
       setGameOver(true)
       setWinner(gameWinner)
+      setPassedPlayer(null)
       return
     }
 
+    // Forced pass: the opponent must have a move, or the game would be over
+    if (getValidMoves(newBoard, nextPlayer).length === 0) {
+      pushHistory({ player: nextPlayer, pass: true })
+      setPassedPlayer(nextPlayer)
+      setCurrentPlayer(nextPlayer === BLACK ? WHITE : BLACK)
+      return
+    }
+
+    setPassedPlayer(null)
     setCurrentPlayer(nextPlayer)
   }
 
+  /**
+   * Play on from the position on the board, dropping the moves that followed it
+   * This is how the AI is started again after going back into the game
+   */
+  const resumePlay = () => {
+    const { moves, index, start } = history
+    const count = skipPasses(moves, index, 1)
+    jumpToHistory(count, moves.slice(0, count), start)
+  }
+
+  // Going back into the game doesn't hand the turn to the AI: it waits until a
+  // human moves or play is resumed, so looking through a game keeps its moves
+  const browsingHistory = history.index < history.moves.length
+
   /**
    * Handle AI's turn
+   * The search runs in a worker; changing the board or any setting cancels it
    */
   useEffect(() => {
-    if (!gameOver && isCurrentPlayerAI()) {
-      const makeAiMove = async () => {
-        setIsAiThinking(true)
-        setAlphaBeta(alphaBetaEnabled)
-        setDebug(debugMode)
-        
-        // Calculate the best move
-        const bestMove = findBestMove(board, currentPlayer, searchDepth, alphaBetaEnabled)
-        const nodes = getNodesExamined()
-        setNodesExamined(nodes)
-        
-        if (bestMove.row !== -1 && bestMove.col !== -1) {
-          // Add delay to make it look like the AI is thinking
-          // Minimum 800ms, scales with search depth for more realistic feel
-          const thinkingDelay = Math.max(800, searchDepth * 200)
-          
-          setTimeout(() => {
-            const newBoard = makeGameMove(board, bestMove.row, bestMove.col, currentPlayer)
-            setBoard(newBoard)
-            setIsAiThinking(false)
-            switchTurn(newBoard, currentPlayer === BLACK ? WHITE : BLACK)
-          }, thinkingDelay)
-        } else {
-          setIsAiThinking(false)
-        }
+    if (gameOver || editing || browsingHistory || !isCurrentPlayerAI()) return
+
+    const engine = getEngine()
+    const engineType = currentPlayer === BLACK ? blackEngine : whiteEngine
+    const startTime = Date.now()
+    let cancelled = false
+    let moveTimer = null
+
+    setIsAiThinking(true)
+    setSearchBestMove(null)
+    setEngineError(null)
+
+    const handleProgress = (progress) => {
+      if (cancelled) return
+      setNodesExamined(progress.nodesExamined)
+      setSearchBestMove(progress.bestMove)
+    }
+
+    engine.search(
+      {
+        board,
+        player: currentPlayer,
+        engine: engineType,
+        depth: searchDepth,
+        timeLimit: searchMode === 'time' ? timeLimit * 1000 : null,
+        alphaBeta: alphaBetaEnabled,
+        transposition: transpositionEnabled,
+        moveOrdering: moveOrderingEnabled,
+        endgameThreshold: endgameEnabled ? endgameThreshold : 0,
+        wldOnly,
+        useBook: openingBookEnabled,
+        mctsPlayouts,
+        mctsExploration,
+        mctsHeuristic,
+        heuristicProfile: currentPlayer === BLACK ? blackProfile : whiteProfile,
+        antiOthello,
+        debug: debugMode,
+        traceLimit
+      },
+      handleProgress
+    ).then((result) => {
+      if (cancelled) return
+      // Cancelled searches resolve with null
+      if (!result) {
+        setIsAiThinking(false)
+        return
       }
-      
-      makeAiMove()
+
+      const { bestMove, nodesExamined: nodes } = result
+      setNodesExamined(nodes)
+      setSearchBestMove(bestMove)
+      setDepthReached(result.depthReached)
+      setTranspositionStats(transpositionEnabled ? result.transpositionStats : null)
+      setSolvedResult(result.solved ? { player: currentPlayer, ...result.solved } : null)
+      setMctsStats(result.mctsStats)
+      setSearchTrace(result.trace)
+      setOrderingComparison(result.orderingComparison)
+
+      if (bestMove.row === -1 || bestMove.col === -1) {
+        setIsAiThinking(false)
+        return
+      }
+
+      // Pad fast searches so the move doesn't appear instantly
+      const remainingDelay = Math.max(0, MIN_THINKING_TIME - (Date.now() - startTime))
+
+      moveTimer = setTimeout(() => {
+        setIsAiThinking(false)
+        playMove(board, bestMove.row, bestMove.col, currentPlayer)
+      }, remainingDelay)
+    }).catch((error) => {
+      if (cancelled) return
+      reportEngineError(error)
+      setIsAiThinking(false)
+    })
+
+    return () => {
+      cancelled = true
+      clearTimeout(moveTimer)
+      engine.cancel()
+      setIsAiThinking(false)
+    }
+  }, [board, currentPlayer, gameOver, blackEngine, whiteEngine, mctsPlayouts, mctsExploration, mctsHeuristic, blackProfile, whiteProfile, searchDepth, searchMode, timeLimit, alphaBetaEnabled, transpositionEnabled, moveOrderingEnabled, endgameEnabled, endgameThreshold, wldOnly, openingBookEnabled, debugMode, traceLimit, aiBlack, aiWhite, editing, browsingHistory])
+
+  /**
+   * Go back to the online room this tab was in before a reload
+   * Unmounting closes the connection but keeps the seat
+   */
+  useEffect(() => {
+    const session = loadOnlineSession()
+    if (!session) return
+
+    const client = connectOnline(session.url)
+    client.resume(session)
+
+    return () => {
+      client.close()
+      if (onlineClientRef.current === client) onlineClientRef.current = null
     }
-  }, [board, currentPlayer, gameOver, searchDepth, alphaBetaEnabled, debugMode, aiBlack, aiWhite])
+  }, [])
+
+  /**
+   * Stop an analysis of a game line that is no longer on the board
+   */
+  useEffect(() => {
+    if (analysis && analysis.running && analysis.moves !== history.moves) getAnalysisEngine().cancel()
+  }, [history.moves])
+
+  /**
+   * Stop a comparison of a position that is no longer on the board
+   */
+  useEffect(() => {
+    if (comparison && comparison.running && comparison.board !== board) getComparisonEngine().cancel()
+  }, [board])
+
+  /**
+   * Autosave the game and settings whenever either changes
+   */
+  useEffect(() => {
+    saveAutosave({ ...history, hints: hintCount }, getSettings())
+  }, [history, hintCount, hintDepth, startPosition, holeCount, antiOthello, aiBlack, aiWhite, blackEngine, whiteEngine, searchDepth, searchMode, timeLimit, alphaBetaEnabled, transpositionEnabled, moveOrderingEnabled, endgameEnabled, endgameThreshold, wldOnly, openingBookEnabled, mctsPlayouts, mctsExploration, mctsHeuristic, blackProfile, whiteProfile, debugMode, traceLimit, overlayEnabled, overlayDepth])
+
+  /**
+   * Score the legal moves for the overlay on a human player's turn
+   * Runs on its own engine in the background, so the board stays playable
+   */
+  useEffect(() => {
+    setMoveScores(null)
+    if (!overlayEnabled || gameOver || editing || online || isCurrentPlayerAI()) return
+
+    const engine = getOverlayEngine()
+    let cancelled = false
+
+    engine.scoreMoves({
+      board,
+      player: currentPlayer,
+      depth: overlayDepth,
+      heuristicProfile: currentPlayer === BLACK ? blackProfile : whiteProfile,
+      antiOthello
+    }).then((result) => {
+      if (!cancelled && result) setMoveScores({ board, moves: result.moves })
+    }).catch((error) => {
+      if (!cancelled) reportEngineError(error)
+    })
+
+    return () => {
+      cancelled = true
+      engine.cancel()
+    }
+  }, [board, currentPlayer, gameOver, editing, overlayEnabled, overlayDepth, blackProfile, whiteProfile, aiBlack, aiWhite, online])
+
+  /**
+   * Search for a hint for the side to move
+   * Uses the AI's engine, which is idle on a human's turn, at the hint depth;
+   * any change to the board cancels it
+   */
+  useEffect(() => {
+    if (!hintRequest || hintRequest !== board) return
+
+    const engine = getEngine()
+    let cancelled = false
+
+    engine.search({
+      board,
+      player: currentPlayer,
+      engine: 'minimax',
+      depth: hintDepth,
+      timeLimit: null,
+      alphaBeta: true,
+      transposition: true,
+      moveOrdering: true,
+      endgameThreshold: endgameEnabled ? endgameThreshold : 0,
+      wldOnly: false,
+      useBook: openingBookEnabled,
+      heuristicProfile: currentPlayer === BLACK ? blackProfile : whiteProfile,
+      antiOthello,
+      debug: false
+    }).then((result) => {
+      if (cancelled) return
+
+      // A search cancelled by another one on the engine resolves with null; the
+      // request is dropped so the Hint button can be pressed again
+      setHintRequest(null)
+      if (!result) return
+
+      const { row, col } = result.bestMove
+      if (row === -1) return
+      setHint({ board, row, col })
+      setHintCount((count) => count + 1)
+    }).catch((error) => {
+      if (cancelled) return
+      reportEngineError(error)
+      setHintRequest(null)
+    })
+
+    return () => {
+      cancelled = true
+      engine.cancel()
+    }
+  }, [hintRequest, board])
+
+  /**
+   * Track the name of the opening being played while the game is in book
+   */
+  useEffect(() => {
+    if (!openingBookEnabled || !isInBook(board, currentPlayer)) {
+      setOpeningName(null)
+      return
+    }
+
+    // Positions between named lines keep the last name reached
+    const name = getOpeningName(board, currentPlayer)
+    if (name) setOpeningName(name)
+  }, [board, currentPlayer, openingBookEnabled, bookSummary])
 
   const scores = calculateScore(board)
+  const hintAvailable = !gameOver && !editing && !online && !isCurrentPlayerAI()
+
+  // Analysis of the game line on the board, if there is one; a line can be
+  // analyzed once it reaches the end of the game
+  const currentAnalysis = analysis && analysis.moves === history.moves ? analysis : null
+  const gameFinished = gameOver || replayHistory(history.moves, history.moves.length, history.start).gameOver
+  const currentComparison = comparison && comparison.board === board ? comparison : null
+
+  // Evaluation of the current position for the side to move, with that side's profile
+  const currentProfile = currentPlayer === BLACK ? blackProfile : whiteProfile
+  const evaluation = gameOver ? null : {
+    player: currentPlayer,
+    profileName: currentProfile.name,
+    ...evaluateTerms(board, currentPlayer, currentPlayer, currentProfile)
+  }
 
   return (
     <div className="app">
@@ -129,43 +1080,198 @@ function App() {
         <div className="game-header">
           <h1>Othello with Mini-Max AI</h1>
           <GameControls 
-            onRestart={restartGame}
+            onRestart={() => restartGame()}
             scores={scores}
             currentPlayer={currentPlayer}
             isAiThinking={isAiThinking}
+            passedPlayer={passedPlayer}
+            onHint={() => setHintRequest(board)}
+            hintAvailable={hintAvailable}
+            hintPending={hintRequest === board}
+            hintCount={hintCount}
           />
         </div>
         
         <div className="game-content">
           <div className="left-panel">
             <Settings
+              boardSize={board.length}
+              onBoardSizeChange={(size) => restartGame({ size })}
+              startPosition={startPosition}
+              holeCount={holeCount}
+              antiOthello={antiOthello}
+              onRulesChange={changeRules}
               aiBlack={aiBlack}
               aiWhite={aiWhite}
               onAiBlackChange={setAiBlack}
               onAiWhiteChange={setAiWhite}
-              onRestart={restartGame}
+              blackEngine={blackEngine}
+              whiteEngine={whiteEngine}
+              onBlackEngineChange={setBlackEngine}
+              onWhiteEngineChange={setWhiteEngine}
+              mctsPlayouts={mctsPlayouts}
+              onMctsPlayoutsChange={setMctsPlayouts}
+              mctsExploration={mctsExploration}
+              onMctsExplorationChange={setMctsExploration}
+              mctsHeuristic={mctsHeuristic}
+              onMctsHeuristicToggle={setMctsHeuristic}
+              onRestart={() => restartGame()}
               searchDepth={searchDepth}
               onDepthChange={setSearchDepth}
+              searchMode={searchMode}
+              onSearchModeChange={setSearchMode}
+              timeLimit={timeLimit}
+              onTimeLimitChange={setTimeLimit}
               alphaBetaEnabled={alphaBetaEnabled}
               onAlphaBetaToggle={setAlphaBetaEnabled}
+              transpositionEnabled={transpositionEnabled}
+              onTranspositionToggle={setTranspositionEnabled}
+              moveOrderingEnabled={moveOrderingEnabled}
+              onMoveOrderingToggle={setMoveOrderingEnabled}
+              endgameEnabled={endgameEnabled}
+              onEndgameToggle={setEndgameEnabled}
+              endgameThreshold={endgameThreshold}
+              onEndgameThresholdChange={setEndgameThreshold}
+              wldOnly={wldOnly}
+              onWldOnlyToggle={setWldOnly}
+              openingBookEnabled={openingBookEnabled}
+              onOpeningBookToggle={setOpeningBookEnabled}
+              bookSummary={bookSummary}
+              bookError={bookError}
+              onBookFileLoad={loadBookFile}
               debugMode={debugMode}
               onDebugModeToggle={setDebugMode}
+              traceLimit={traceLimit}
+              onTraceLimitChange={setTraceLimit}
+              overlayEnabled={overlayEnabled}
+              onOverlayToggle={setOverlayEnabled}
+              overlayDepth={overlayDepth}
+              onOverlayDepthChange={setOverlayDepth}
+              hintDepth={hintDepth}
+              onHintDepthChange={setHintDepth}
+            />
+            <HeuristicEditor
+              blackProfile={blackProfile}
+              whiteProfile={whiteProfile}
+              onProfileChange={setProfile}
+              onProfileFileLoad={loadProfileFile}
+              profileError={profileError}
             />
             <DebugPanel 
               nodesExamined={nodesExamined}
+              searchBestMove={searchBestMove}
+              depthReached={depthReached}
+              transpositionStats={transpositionStats}
+              solvedResult={solvedResult}
+              openingName={openingName}
+              mctsStats={mctsStats}
+              evaluation={evaluation}
+              orderingComparison={orderingComparison}
+              isAiThinking={isAiThinking}
               currentPlayer={currentPlayer}
               scores={scores}
+              playableSquares={board.flat().filter((piece) => piece !== BLOCKED).length}
+              antiOthello={antiOthello}
               gameOver={gameOver}
               winner={winner}
+              hintCount={hintCount}
+              debugMode={debugMode}
+              engineError={engineError}
+            />
+            {debugMode && <SearchTree trace={searchTrace} />}
+            <SearchComparison
+              comparison={currentComparison}
+              maxDepth={comparisonDepth}
+              onMaxDepthChange={setComparisonDepth}
+              includeOrdering={comparisonOrdering}
+              onIncludeOrderingToggle={setComparisonOrdering}
+              canCompare={!gameOver && !editing && getValidMoves(board, currentPlayer).length > 0}
+              onCompare={compareSearches}
+              onStop={() => getComparisonEngine().cancel()}
             />
           </div>
           
           <div className="board-container">
             <Board 
-              board={board}
+              board={editing ? editorBoard : board}
               currentPlayer={currentPlayer}
               onMove={handleMove}
               gameOver={gameOver}
+              editMode={editing}
+              onEditSquare={editSquare}
+              moveScores={moveScores && moveScores.board === board ? moveScores.moves : null}
+              hintMove={hint && hint.board === board && hintAvailable ? hint : null}
+            />
+          </div>
+          
+          <div className="right-panel">
+            <OnlinePanel
+              online={online}
+              onlineError={onlineError}
+              inSync={isRoomGameShown()}
+              currentPlayer={currentPlayer}
+              gameOver={gameOver}
+              onCreate={createRoom}
+              onJoin={joinRoom}
+              onShowGame={() => online.game && jumpToHistory(online.game.moves.length, online.game.moves, online.game.start)}
+              onLeave={leaveRoom}
+            />
+            <MoveList
+              moves={history.moves}
+              currentIndex={history.index}
+              onJump={(index) => jumpToHistory(skipPasses(history.moves, index, 1))}
+              onUndo={() => stepHistory(-1)}
+              onRedo={() => stepHistory(1)}
+              aiWaiting={browsingHistory && !gameOver && !editing && isCurrentPlayerAI()}
+              onResume={resumePlay}
+              transcript={exportTranscript(history.moves.slice(0, history.index))}
+              onImport={importGame}
+              importError={transcriptError}
+            />
+            <AnalysisPanel
+              moves={history.moves}
+              currentIndex={history.index}
+              gameFinished={gameFinished}
+              analysis={currentAnalysis}
+              reviews={currentAnalysis ? reviewMoves(history.moves, currentAnalysis.evaluations) : []}
+              analysisDepth={analysisDepth}
+              onDepthChange={setAnalysisDepth}
+              onAnalyze={analyzeGame}
+              onStop={() => getAnalysisEngine().cancel()}
+              onJump={jumpToHistory}
+            />
+            <GameBrowser
+              database={gameDatabase}
+              databaseError={databaseError}
+              selectedGame={selectedGame}
+              onFileLoad={loadGameFile}
+              onOpenGame={openDatabaseGame}
+              currentIndex={history.index}
+              moveCount={history.moves.length}
+              onStep={stepGame}
+              getGGF={getGameGGF}
+            />
+            <PositionEditor
+              editing={editing}
+              position={editing ? serializePosition(editorBoard, editorPlayer) : serializePosition(board, currentPlayer)}
+              editorPlayer={editorPlayer}
+              onEditorPlayerChange={setEditorPlayer}
+              validation={editing ? validatePosition(editorBoard, editorPlayer) : null}
+              positionError={positionError}
+              onStartEditing={startEditing}
+              onApplyPosition={applyPositionString}
+              onClear={() => setEditorBoard(editorBoard.map((row) => row.map(() => EMPTY)))}
+              onReset={() => { setEditorBoard(initializeBoard(editorBoard.length)); setEditorPlayer(BLACK) }}
+              onPlay={playFromPosition}
+              onCancel={() => setEditing(false)}
+            />
+            <SaveSlots
+              slots={slots}
+              slotError={slotError}
+              onSave={saveGameSlot}
+              onLoad={loadGameSlot}
+              onRename={renameGameSlot}
+              onDelete={deleteGameSlot}
             />
           </div>
         </div>
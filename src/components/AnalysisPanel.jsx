@@ -0,0 +1,175 @@
+import React from 'react'
+import './AnalysisPanel.css'
+import { BLACK, WHITE } from '../utils/gameLogic'
+import { toAlgebraic } from '../utils/notation'
+import { formatEvaluation } from '../utils/analysis'
+
+// Size of the evaluation graph, in SVG units
+const GRAPH_WIDTH = 160
+const GRAPH_HEIGHT = 100
+
+// Evaluations beyond this are drawn at the edge of the graph, so won games
+// don't flatten everything else
+const GRAPH_RANGE = 200
+
+/**
+ * Analysis Panel Component
+ * Analyzes a finished game: graphs the evaluation over the game and lists
+ * mistakes and blunders, each clickable to jump to that position
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.moves - History entries of the game line
+ * @param {number} props.currentIndex - Number of entries currently on the board
+ * @param {boolean} props.gameFinished - Whether the game line reaches the end of the game
+ * @param {Object|null} props.analysis - Analysis {evaluations, done, total, running} of the game line
+ * @param {Array<Object>} props.reviews - Judged moves from reviewMoves
+ * @param {number} props.analysisDepth - Search depth used for analysis
+ * @param {Function} props.onDepthChange - Callback when the analysis depth changes
+ * @param {Function} props.onAnalyze - Callback to start analyzing
+ * @param {Function} props.onStop - Callback to stop a running analysis
+ * @param {Function} props.onJump - Callback with the number of entries to go to
+ */
+function AnalysisPanel({ moves, currentIndex, gameFinished, analysis, reviews, analysisDepth, onDepthChange, onAnalyze, onStop, onJump }) {
+  const running = analysis && analysis.running
+  const positionCount = Math.max(1, moves.length)
+
+  /**
+   * Get the x coordinate of a position on the graph
+   * @param {number} index - Number of entries played
+   * @returns {number} X coordinate
+   */
+  const graphX = (index) => (index / positionCount) * GRAPH_WIDTH
+
+  /**
+   * Get the y coordinate of an evaluation on the graph (Black at the top)
+   * @param {number} score - Evaluation from Black's point of view
+   * @returns {number} Y coordinate
+   */
+  const graphY = (score) => {
+    const clamped = Math.max(-GRAPH_RANGE, Math.min(GRAPH_RANGE, score))
+    return GRAPH_HEIGHT / 2 - (clamped / GRAPH_RANGE) * (GRAPH_HEIGHT / 2)
+  }
+
+  /**
+   * Get the move number of a history entry, counting moves but not passes
+   * @param {number} index - Index of the entry
+   * @returns {number} Move number
+   */
+  const moveNumber = (index) => moves.slice(0, index + 1).filter((entry) => !entry.pass).length
+
+  const points = analysis
+    ? analysis.evaluations
+      .map((evaluation, index) => evaluation && { index, x: graphX(index), y: graphY(evaluation.score) })
+      .filter(Boolean)
+    : []
+  const flagged = reviews.filter((review) => review.label)
+
+  return (
+    <div className="analysis-panel">
+      <h2>Analysis</h2>
+
+      {!gameFinished && !analysis ? (
+        <p className="analysis-hint">Finish the game to analyze it.</p>
+      ) : (
+        <div className="analysis-row">
+          <label className="analysis-label">
+            Depth
+            <select
+              value={analysisDepth}
+              onChange={(e) => onDepthChange(parseInt(e.target.value))}
+              disabled={running}
+              className="analysis-select"
+            >
+              {[2, 3, 4, 5, 6].map((depth) => (
+                <option key={depth} value={depth}>{depth}</option>
+              ))}
+            </select>
+          </label>
+          {running ? (
+            <button onClick={onStop}>Stop ({analysis.done}/{analysis.total})</button>
+          ) : (
+            <button className="analysis-button" onClick={onAnalyze} disabled={!gameFinished}>
+              {analysis ? 'Analyze Again' : 'Analyze Game'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {analysis && (
+        <>
+          <svg
+            className="analysis-graph"
+            viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+            role="img"
+            aria-label="Evaluation over the game, Black above the line"
+          >
+            <rect x="0" y="0" width={GRAPH_WIDTH} height={GRAPH_HEIGHT / 2} className="graph-black" />
+            <rect x="0" y={GRAPH_HEIGHT / 2} width={GRAPH_WIDTH} height={GRAPH_HEIGHT / 2} className="graph-white" />
+            <line
+              x1={graphX(currentIndex)}
+              x2={graphX(currentIndex)}
+              y1="0"
+              y2={GRAPH_HEIGHT}
+              className="graph-current"
+            />
+            <polyline points={points.map(({ x, y }) => `${x},${y}`).join(' ')} className="graph-line" />
+            {flagged.map((review) => (
+              <circle
+                key={review.index}
+                cx={graphX(review.afterIndex)}
+                cy={graphY(review.after)}
+                r="3"
+                className={`graph-mark ${review.label}`}
+              />
+            ))}
+            {points.map(({ index }) => (
+              <rect
+                key={index}
+                x={graphX(index) - GRAPH_WIDTH / positionCount / 2}
+                y="0"
+                width={GRAPH_WIDTH / positionCount}
+                height={GRAPH_HEIGHT}
+                className="graph-hit"
+                onClick={() => onJump(index)}
+              >
+                <title>{formatEvaluation(analysis.evaluations[index].score)}</title>
+              </rect>
+            ))}
+          </svg>
+
+          {!running && (
+            <div className="analysis-summary">
+              {[BLACK, WHITE].map((player) => {
+                const own = flagged.filter((review) => review.player === player)
+                return (
+                  <div key={player}>
+                    {player === BLACK ? 'Black' : 'White'}: {own.filter((review) => review.label === 'mistake').length} mistakes,{' '}
+                    {own.filter((review) => review.label === 'blunder').length} blunders
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
+          <ul className="analysis-moves">
+            {flagged.map((review) => (
+              <li
+                key={review.index}
+                className={`analysis-move ${review.label} ${currentIndex === review.index ? 'current' : ''}`}
+                onClick={() => onJump(review.index)}
+              >
+                <span className={`analysis-disc ${review.player === BLACK ? 'black' : 'white'}`}></span>
+                <span>
+                  {moveNumber(review.index)}. {toAlgebraic(review.row, review.col)} {review.label} (−{review.loss})
+                  {review.bestMove && `, best ${toAlgebraic(review.bestMove.row, review.bestMove.col)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AnalysisPanel
@@ -1,6 +1,7 @@
 import React from 'react'
 import './Board.css'
-import { EMPTY, BLACK, WHITE, isValidMove, getValidMoves } from '../utils/gameLogic'
+import { EMPTY, BLACK, WHITE, BLOCKED, isValidMove, getValidMoves } from '../utils/gameLogic'
+import { WIN_SCORE } from '../utils/analysis'
 
 /**
  * Board Component
@@ -11,15 +12,22 @@ import { EMPTY, BLACK, WHITE, isValidMove, getValidMoves } from '../utils/gameLo
  * @param {number} props.currentPlayer - Current player (BLACK or WHITE)
  * @param {Function} props.onMove - Callback when a move is made
  * @param {boolean} props.gameOver - Whether the game is over
+ * @param {boolean} props.editMode - Whether clicks edit squares instead of playing moves
+ * @param {Function} props.onEditSquare - Callback when a square is clicked in edit mode
+ * @param {Array<Object>|null} props.moveScores - Engine scores {row, col, score} of the legal moves, best first,
+ *   shown on their squares; null for no overlay
+ * @param {Object|null} props.hintMove - Square {row, col} suggested by a hint, highlighted until a move is played
  */
-function Board({ board, currentPlayer, onMove, gameOver }) {
+function Board({ board, currentPlayer, onMove, gameOver, editMode = false, onEditSquare, moveScores = null, hintMove = null }) {
   /**
    * Handle a click on a cell
    * @param {number} row - Row of the clicked cell
    * @param {number} col - Column of the clicked cell
    */
   const handleCellClick = (row, col) => {
-    if (!gameOver && isValidMove(board, row, col, currentPlayer)) {
+    if (editMode) {
+      onEditSquare(row, col)
+    } else if (!gameOver && isValidMove(board, row, col, currentPlayer)) {
       onMove(row, col)
     }
   }
@@ -27,11 +35,21 @@ function Board({ board, currentPlayer, onMove, gameOver }) {
   /**
    * Get all valid moves for the current player
    */
-  const validMoves = getValidMoves(board, currentPlayer)
+  const validMoves = editMode ? [] : getValidMoves(board, currentPlayer)
   
   // Create a set for O(1) lookup
   const validMovesSet = new Set(validMoves.map(([r, c]) => `${r},${c}`))
 
+  // Overlay scores by square, graded from the best move (1) to the worst (0)
+  const scoresBySquare = new Map()
+  if (moveScores && moveScores.length > 0) {
+    const best = moveScores[0].score
+    const worst = moveScores[moveScores.length - 1].score
+    for (const { row, col, score } of moveScores) {
+      scoresBySquare.set(`${row},${col}`, { score, grade: best === worst ? 1 : (score - worst) / (best - worst), best: score === best })
+    }
+  }
+
   /**
    * Get cell class name based on its state
    * @param {number} row - Row index
@@ -39,16 +57,30 @@ function Board({ board, currentPlayer, onMove, gameOver }) {
    * @returns {string} CSS class name
    */
   const getCellClassName = (row, col) => {
-    let className = 'cell'
+    let className = editMode ? 'cell editing' : 'cell'
     const piece = board[row][col]
     
     if (piece === BLACK) className += ' black'
     else if (piece === WHITE) className += ' white'
+    else if (piece === BLOCKED) className += ' hole'
     else if (validMovesSet.has(`${row},${col}`)) className += ' valid-move'
     
+    if (hintMove && hintMove.row === row && hintMove.col === col) className += ' hint'
+    
     return className
   }
 
+  /**
+   * Format an overlay score for its square
+   * @param {number} score - Score from the side to move's point of view
+   * @returns {string} Signed score, or Win/Loss when the search found the game's end
+   */
+  const formatScore = (score) => {
+    if (score >= WIN_SCORE) return 'Win'
+    if (score <= -WIN_SCORE) return 'Loss'
+    return score > 0 ? `+${score}` : String(score)
+  }
+
   /**
    * Render a single cell
    * @param {number} row - Row index
@@ -59,6 +91,7 @@ function Board({ board, currentPlayer, onMove, gameOver }) {
     const isBlack = board[row][col] === BLACK
     const isWhite = board[row][col] === WHITE
     const isValid = validMovesSet.has(`${row},${col}`)
+    const overlay = isValid && !gameOver ? scoresBySquare.get(`${row},${col}`) : null
     
     return (
       <div
@@ -68,14 +101,23 @@ function Board({ board, currentPlayer, onMove, gameOver }) {
       >
         {isBlack && <div className="piece black-piece" />}
         {isWhite && <div className="piece white-piece" />}
-        {isValid && !gameOver && <div className="valid-move-indicator" />}
+        {isValid && !gameOver && !overlay && <div className="valid-move-indicator" />}
+        {overlay && (
+          <div
+            className={`move-score ${overlay.best ? 'best' : ''}`}
+            // Hue runs from red for the worst move to green for the best
+            style={{ backgroundColor: `hsla(${Math.round(overlay.grade * 120)}, 70%, 45%, 0.85)` }}
+          >
+            {formatScore(overlay.score)}
+          </div>
+        )}
       </div>
     )
   }
 
   return (
     <div className="board">
-      <div className="board-grid">
+      <div className={`board-grid size-${board.length}`}>
         {board.map((row, rowIndex) => (
           <div key={rowIndex} className="board-row">
             {row.map((_, colIndex) => renderCell(rowIndex, colIndex))}
@@ -1,6 +1,7 @@
 import React from 'react'
 import './DebugPanel.css'
 import { BLACK, WHITE } from '../utils/gameLogic'
+import { toAlgebraic } from '../utils/notation'
 
 /**
  * Debug Panel Component
@@ -8,12 +9,26 @@ import { BLACK, WHITE } from '../utils/gameLogic'
  * 
  * @param {Object} props - Component props
  * @param {number} props.nodesExamined - Number of nodes examined in last search
+ * @param {Object|null} props.searchBestMove - Best move found so far by the running or last search; Mini-Max moves also carry pv, rootScores and stats
+ * @param {number} props.depthReached - Deepest completed search depth of the last search
+ * @param {Object|null} props.transpositionStats - Transposition table statistics of the last search
+ * @param {Object|null} props.solvedResult - Proven result {player, score, wldOnly} from the endgame solver
+ * @param {string|null} props.openingName - Name of the book opening being played
+ * @param {Array|null} props.mctsStats - Root move visits and win rates of the last MCTS search
+ * @param {Object|null} props.orderingComparison - Node counts {depth, ordered, unordered} of the last debug search's position with and without move ordering
+ * @param {Object|null} props.evaluation - Per-term evaluation {player, profileName, total, terms} of the current position
+ * @param {boolean} props.isAiThinking - Whether the AI is currently searching
  * @param {number} props.currentPlayer - Current player
  * @param {Object} props.scores - Current scores
+ * @param {number} props.playableSquares - Squares of the board that are not holes
+ * @param {boolean} props.antiOthello - Whether the player with fewer discs wins
  * @param {boolean} props.gameOver - Whether game is over
  * @param {number|null} props.winner - Winner of the game
+ * @param {number} props.hintCount - Hints taken this game
+ * @param {boolean} props.debugMode - Whether AI searches record a search tree
+ * @param {string|null} props.engineError - Error from the last search that failed in its worker
  */
-function DebugPanel({ nodesExamined, currentPlayer, scores, gameOver, winner }) {
+function DebugPanel({ nodesExamined, searchBestMove, depthReached, transpositionStats, solvedResult, openingName, mctsStats, evaluation, orderingComparison, isAiThinking, currentPlayer, scores, playableSquares, antiOthello, gameOver, winner, hintCount, debugMode, engineError }) {
   /**
    * Get winner message
    * @returns {string} Winner message
@@ -37,6 +52,52 @@ function DebugPanel({ nodesExamined, currentPlayer, scores, gameOver, winner })
     return `Player ${currentPlayer === BLACK ? 'Black' : 'White'}'s Turn`
   }
 
+  /**
+   * Describe the endgame solver's proven result
+   * @returns {string} e.g. "Black wins by 6"
+   */
+  const getSolvedMessage = () => {
+    const { player, score, wldOnly } = solvedResult
+    if (score === 0) return 'Draw'
+
+    const opponent = player === BLACK ? WHITE : BLACK
+    const solvedWinner = score > 0 ? player : opponent
+    const name = solvedWinner === BLACK ? 'Black' : 'White'
+    return wldOnly ? `${name} wins` : `${name} wins by ${Math.abs(score)}`
+  }
+
+  /**
+   * Format the search's best move for display
+   * @returns {string} Best move and its score
+   */
+  const getBestMoveDisplay = () => {
+    if (!searchBestMove || searchBestMove.row === -1) return '—'
+    if (searchBestMove.book) return `[${searchBestMove.row}, ${searchBestMove.col}] (book)`
+    return `[${searchBestMove.row}, ${searchBestMove.col}] (${searchBestMove.score})`
+  }
+
+  /**
+   * Format a move of the principal variation
+   * @param {Object} move - Move {row, col, player}, row -1 for a pass
+   * @returns {string} Algebraic move or "pass"
+   */
+  const formatLineMove = (move) => move.row === -1 ? 'pass' : toAlgebraic(move.row, move.col)
+
+  /**
+   * Describe the share of cutoffs made by the first move searched
+   * @param {Object} stats - Search statistics
+   * @returns {string} e.g. "1,234 (92.1% first move)"
+   */
+  const getCutoffDisplay = (stats) => {
+    if (stats.cutoffs === 0) return '0'
+    const firstMoveRate = (100 * stats.firstMoveCutoffs / stats.cutoffs).toFixed(1)
+    return `${stats.cutoffs.toLocaleString()} (${firstMoveRate}% first move)`
+  }
+
+  const stats = searchBestMove && searchBestMove.stats
+  const principalVariation = searchBestMove && searchBestMove.pv
+  const rootScores = searchBestMove && searchBestMove.rootScores
+
   return (
     <div className="debug-panel">
       <h2>Game Status</h2>
@@ -47,9 +108,40 @@ function DebugPanel({ nodesExamined, currentPlayer, scores, gameOver, winner })
           <span className="status-value">{getGameStatus()}</span>
         </div>
         
+        {engineError && (
+          <div className="status-item">
+            <span className="status-label">Error:</span>
+            <span className="status-value engine-error">{engineError}</span>
+          </div>
+        )}
+        
+        {antiOthello && (
+          <div className="status-item">
+            <span className="status-label">Rules:</span>
+            <span className="status-value">Anti-Othello (fewer discs win)</span>
+          </div>
+        )}
+        
+        {openingName && (
+          <div className="status-item">
+            <span className="status-label">Opening:</span>
+            <span className="status-value">{openingName}</span>
+          </div>
+        )}
+        
+        {solvedResult && !gameOver && (
+          <div className="status-item">
+            <span className="status-label">Solved:</span>
+            <span className="status-value">{getSolvedMessage()}</span>
+          </div>
+        )}
+        
         {gameOver && (
           <div className="winner-message">
             <strong>{getWinnerMessage()}</strong>
+            <div className="winner-hints">
+              {hintCount > 0 ? `Played with ${hintCount} hint${hintCount === 1 ? '' : 's'}` : 'No hints used'}
+            </div>
           </div>
         )}
       </div>
@@ -57,11 +149,170 @@ function DebugPanel({ nodesExamined, currentPlayer, scores, gameOver, winner })
       <div className="metrics-section">
         <h3>AI Metrics</h3>
         <div className="metric-item">
-          <span className="metric-label">Nodes Examined:</span>
+          <span className="metric-label">{mctsStats ? 'Playouts:' : 'Nodes Examined:'}</span>
           <span className="metric-value">{nodesExamined.toLocaleString()}</span>
         </div>
+        <div className="metric-item">
+          <span className="metric-label">{isAiThinking ? 'Best So Far:' : 'Best Move:'}</span>
+          <span className="metric-value">{getBestMoveDisplay()}</span>
+        </div>
+        <div className="metric-item">
+          <span className="metric-label">Depth Reached:</span>
+          <span className="metric-value">{depthReached || '—'}</span>
+        </div>
+        {stats && (
+          <>
+            <div className="metric-item">
+              <span className="metric-label">Search Time:</span>
+              <span className="metric-value">{(stats.elapsed / 1000).toFixed(2)} s</span>
+            </div>
+            <div className="metric-item">
+              <span className="metric-label">Nodes/Second:</span>
+              <span className="metric-value">{stats.nodesPerSecond !== null ? stats.nodesPerSecond.toLocaleString() : '—'}</span>
+            </div>
+            <div className="metric-item">
+              <span className="metric-label">Cutoffs:</span>
+              <span className="metric-value">{getCutoffDisplay(stats)}</span>
+            </div>
+          </>
+        )}
+        {transpositionStats && (
+          <>
+            <div className="metric-item">
+              <span className="metric-label">TT Hit Rate:</span>
+              <span className="metric-value">
+                {(transpositionStats.hitRate * 100).toFixed(1)}% ({transpositionStats.hits.toLocaleString()} / {transpositionStats.probes.toLocaleString()})
+              </span>
+            </div>
+            <div className="metric-item">
+              <span className="metric-label">TT Entries:</span>
+              <span className="metric-value">
+                {transpositionStats.entries.toLocaleString()} / {transpositionStats.capacity.toLocaleString()}
+              </span>
+            </div>
+          </>
+        )}
       </div>
       
+      {principalVariation && principalVariation.length > 0 && (
+        <div className="metrics-section">
+          <h3>Principal Variation</h3>
+          <div className="principal-variation">
+            {principalVariation.map(formatLineMove).join(' ')}
+          </div>
+          <div className="metric-note">
+            The line both sides play if each makes the move the search expects
+          </div>
+        </div>
+      )}
+      
+      {rootScores && rootScores.length > 0 && (
+        <div className="metrics-section">
+          <h3>Root Moves</h3>
+          <table className="debug-table">
+            <thead>
+              <tr>
+                <th>Move</th>
+                <th>Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rootScores.map(({ row, col, score, exact }) => (
+                <tr
+                  key={`${row}-${col}`}
+                  className={row === searchBestMove.row && col === searchBestMove.col ? 'debug-table-best' : ''}
+                >
+                  <td>{toAlgebraic(row, col)}</td>
+                  <td>{exact ? score : `≤ ${score}`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="metric-note">
+            ≤ marks moves alpha-beta proved no better than the best without finding their exact score
+          </div>
+        </div>
+      )}
+      
+      {mctsStats && mctsStats.length > 0 && (
+        <div className="metrics-section">
+          <h3>MCTS Root Moves</h3>
+          <table className="debug-table">
+            <thead>
+              <tr>
+                <th>Move</th>
+                <th>Visits</th>
+                <th>Win Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mctsStats.map(({ row, col, visits, winRate }) => (
+                <tr key={`${row}-${col}`}>
+                  <td>{toAlgebraic(row, col)}</td>
+                  <td>{visits.toLocaleString()}</td>
+                  <td>{(winRate * 100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      
+      {orderingComparison && (
+        <div className="metrics-section">
+          <h3>Move Ordering (Depth {orderingComparison.depth})</h3>
+          <div className="metric-item">
+            <span className="metric-label">Nodes, Ordered:</span>
+            <span className="metric-value">{orderingComparison.ordered.toLocaleString()}</span>
+          </div>
+          <div className="metric-item">
+            <span className="metric-label">Nodes, Unordered:</span>
+            <span className="metric-value">{orderingComparison.unordered.toLocaleString()}</span>
+          </div>
+          <div className="metric-item">
+            <span className="metric-label">Node Reduction:</span>
+            <span className="metric-value">
+              {(100 * (1 - orderingComparison.ordered / orderingComparison.unordered)).toFixed(1)}%
+            </span>
+          </div>
+          <div className="metric-note">
+            The last move's position searched again with move ordering switched the other way
+          </div>
+        </div>
+      )}
+      
+      {evaluation && (
+        <div className="metrics-section">
+          <h3>Evaluation ({evaluation.player === BLACK ? 'Black' : 'White'}, {evaluation.profileName})</h3>
+          <table className="debug-table">
+            <thead>
+              <tr>
+                <th>Term</th>
+                <th>Value</th>
+                <th>Weight</th>
+                <th>Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {evaluation.terms.map(({ key, label, value, weight, score }) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td>{value}</td>
+                  <td>{Number.isInteger(weight) ? weight : weight.toFixed(1)}</td>
+                  <td>{Math.round(score)}</td>
+                </tr>
+              ))}
+              <tr className="debug-table-total">
+                <td>Total</td>
+                <td></td>
+                <td></td>
+                <td>{evaluation.total}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      
       <div className="info-section">
         <h3>Game Info</h3>
         <div className="info-item">
@@ -70,12 +321,16 @@ function DebugPanel({ nodesExamined, currentPlayer, scores, gameOver, winner })
         </div>
         <div className="info-item">
           <span>Empty Squares:</span>
-          <span className="info-value">{64 - scores.black - scores.white}</span>
+          <span className="info-value">{playableSquares - scores.black - scores.white}</span>
         </div>
       </div>
       
       <div className="console-note">
-        <p>💡 Check the browser console for detailed move sequences when Debug Mode is enabled.</p>
+        <p>
+          {debugMode
+            ? '💡 The search tree of each Mini-Max move is shown in the Search Tree panel.'
+            : '💡 Enable Debug Mode to explore the search tree of each AI move.'}
+        </p>
       </div>
     </div>
   )
@@ -0,0 +1,90 @@
+import React from 'react'
+import './GameBrowser.css'
+import { downloadText } from '../utils/download'
+
+/**
+ * Game Browser Component
+ * Opens GGF and WTHOR game files, loads a chosen game onto the board to step
+ * through, and saves the current game as GGF
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.database - Loaded file {name, games, skipped}
+ * @param {string|null} props.databaseError - Error from the last file load
+ * @param {number|null} props.selectedGame - Index of the game on the board, if one was opened
+ * @param {Function} props.onFileLoad - Callback with a user-chosen game file
+ * @param {Function} props.onOpenGame - Callback with the index of the game to open
+ * @param {number} props.currentIndex - Number of history entries on the board
+ * @param {number} props.moveCount - Number of history entries in the game line
+ * @param {Function} props.onStep - Callback with the history position to step to (-1/1 for one move, or 'first'/'last')
+ * @param {Function} props.getGGF - Returns the current game as GGF text
+ */
+function GameBrowser({
+  database,
+  databaseError,
+  selectedGame,
+  onFileLoad,
+  onOpenGame,
+  currentIndex,
+  moveCount,
+  onStep,
+  getGGF
+}) {
+  return (
+    <div className="game-browser">
+      <h2>Game Browser</h2>
+
+      <label className="browser-button">
+        Open GGF / WTHOR File
+        <input
+          type="file"
+          accept=".ggf,.wtb,.txt"
+          onChange={(e) => {
+            if (e.target.files[0]) onFileLoad(e.target.files[0])
+            e.target.value = ''
+          }}
+        />
+      </label>
+
+      {database && (
+        <>
+          <div className="browser-summary">
+            {database.games.length.toLocaleString()} games from {database.name}
+            {database.skipped > 0 && ` (${database.skipped} skipped)`}
+          </div>
+          <select
+            size="8"
+            value={selectedGame ?? ''}
+            onChange={(e) => onOpenGame(parseInt(e.target.value))}
+            className="browser-games"
+          >
+            {database.games.map((game, i) => (
+              <option key={i} value={i}>
+                {i + 1}. {game.black} – {game.white}{game.result && ` (${game.result})`}
+              </option>
+            ))}
+          </select>
+        </>
+      )}
+      {databaseError && <div className="browser-error">{databaseError}</div>}
+
+      {selectedGame !== null && (
+        <div className="browser-steps">
+          <button onClick={() => onStep('first')} disabled={currentIndex === 0}>⏮</button>
+          <button onClick={() => onStep(-1)} disabled={currentIndex === 0}>◀</button>
+          <span className="browser-position">{currentIndex} / {moveCount}</span>
+          <button onClick={() => onStep(1)} disabled={currentIndex >= moveCount}>▶</button>
+          <button onClick={() => onStep('last')} disabled={currentIndex >= moveCount}>⏭</button>
+        </div>
+      )}
+
+      <button
+        className="browser-button"
+        onClick={() => downloadText('othello-game.ggf', getGGF())}
+      >
+        Save Game as GGF
+      </button>
+    </div>
+  )
+}
+
+export default GameBrowser
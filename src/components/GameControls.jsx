@@ -4,15 +4,20 @@ import { BLACK, WHITE } from '../utils/gameLogic'
 
 /**
  * Game Controls Component
- * Displays game status and restart button
+ * Displays game status, the hint button and restart button
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onRestart - Callback to restart the game
  * @param {Object} props.scores - Current scores {black, white}
  * @param {number} props.currentPlayer - Current player to move
  * @param {boolean} props.isAiThinking - Whether the AI is currently thinking
+ * @param {number|null} props.passedPlayer - Player who just had to pass, if any
+ * @param {Function} props.onHint - Callback to ask the engine for a hint
+ * @param {boolean} props.hintAvailable - Whether a human player is to move
+ * @param {boolean} props.hintPending - Whether a hint is being searched for
+ * @param {number} props.hintCount - Hints taken this game
  */
-function GameControls({ onRestart, scores, currentPlayer, isAiThinking }) {
+function GameControls({ onRestart, scores, currentPlayer, isAiThinking, passedPlayer, onHint, hintAvailable, hintPending, hintCount }) {
   /**
    * Get the name of the player
    * @param {number} player - Player identifier
@@ -54,12 +59,30 @@ function GameControls({ onRestart, scores, currentPlayer, isAiThinking }) {
         )}
       </div>
       
-      <button 
-        className="restart-button"
-        onClick={onRestart}
-      >
-        New Game
-      </button>
+      {passedPlayer && (
+        <div className="pass-notice">
+          {getPlayerName(passedPlayer)} has no moves — passes
+        </div>
+      )}
+      
+      <div className="control-buttons">
+        <button
+          className="hint-button"
+          onClick={onHint}
+          disabled={!hintAvailable || hintPending}
+          title="Show the engine's best move"
+        >
+          {hintPending ? 'Thinking...' : 'Hint'}
+          {hintCount > 0 && <span className="hint-count">{hintCount}</span>}
+        </button>
+        
+        <button 
+          className="restart-button"
+          onClick={onRestart}
+        >
+          New Game
+        </button>
+      </div>
     </div>
   )
 }
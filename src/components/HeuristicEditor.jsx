@@ -0,0 +1,178 @@
+import React, { useState } from 'react'
+import './HeuristicEditor.css'
+import { BLACK, WHITE } from '../utils/gameLogic'
+import { HEURISTIC_TERMS, HEURISTIC_PRESETS, MAX_TERM_WEIGHT, normalizeProfile, serializeProfile } from '../utils/heuristic'
+import { downloadText } from '../utils/download'
+
+/**
+ * Heuristic Editor Component
+ * Edits the evaluation profile each side's AI plays with
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.blackProfile - Heuristic profile used by Black
+ * @param {Object} props.whiteProfile - Heuristic profile used by White
+ * @param {Function} props.onProfileChange - Callback with (player, profile) when a profile is edited
+ * @param {Function} props.onProfileFileLoad - Callback with (player, file) for a user-chosen profile file
+ * @param {string|null} props.profileError - Error from the last profile file load
+ */
+function HeuristicEditor({ blackProfile, whiteProfile, onProfileChange, onProfileFileLoad, profileError }) {
+  const [editingPlayer, setEditingPlayer] = useState(WHITE)
+
+  const profile = editingPlayer === BLACK ? blackProfile : whiteProfile
+
+  /**
+   * Replace one setting of a term
+   * The profile is normalized, so typed values outside the limits are clamped
+   * @param {string} key - Term key
+   * @param {string} field - 'enabled' or a numeric setting of the term
+   * @param {boolean|number} value - New value
+   */
+  const updateTerm = (key, field, value) => {
+    if (field !== 'enabled' && !Number.isFinite(value)) return
+
+    onProfileChange(editingPlayer, normalizeProfile({
+      ...profile,
+      terms: { ...profile.terms, [key]: { ...profile.terms[key], [field]: value } }
+    }))
+  }
+
+  /**
+   * Replace the profile with a copy of a built-in preset
+   * @param {string} name - Preset name
+   */
+  const applyPreset = (name) => {
+    const preset = HEURISTIC_PRESETS.find((p) => p.name === name)
+    if (preset) onProfileChange(editingPlayer, normalizeProfile(preset))
+  }
+
+  /**
+   * Download the profile as a JSON file
+   */
+  const saveProfile = () => {
+    downloadText(`${profile.name.replace(/[^\w-]+/g, '_')}.json`, serializeProfile(profile), 'application/json')
+  }
+
+  return (
+    <div className="heuristic-editor">
+      <h2>Heuristic Profiles</h2>
+
+      <div className="profile-tabs">
+        {[BLACK, WHITE].map((player) => (
+          <button
+            key={player}
+            className={`profile-tab ${editingPlayer === player ? 'active' : ''}`}
+            onClick={() => setEditingPlayer(player)}
+          >
+            {player === BLACK ? 'Black' : 'White'}: {(player === BLACK ? blackProfile : whiteProfile).name}
+          </button>
+        ))}
+      </div>
+
+      <div className="profile-row">
+        <input
+          type="text"
+          value={profile.name}
+          onChange={(e) => onProfileChange(editingPlayer, { ...profile, name: e.target.value })}
+          className="profile-name"
+          aria-label="Profile name"
+        />
+        <select
+          value=""
+          onChange={(e) => applyPreset(e.target.value)}
+          className="profile-preset"
+        >
+          <option value="" disabled>Preset...</option>
+          {HEURISTIC_PRESETS.map((preset) => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <table className="term-table">
+        <tbody>
+          {HEURISTIC_TERMS.map(({ key, label, description }) => {
+            const term = profile.terms[key]
+            return (
+              <tr key={key} className={term.enabled ? '' : 'disabled'} title={description}>
+                <td>
+                  <label className="term-label">
+                    <input
+                      type="checkbox"
+                      checked={term.enabled}
+                      onChange={(e) => updateTerm(key, 'enabled', e.target.checked)}
+                    />
+                    {label}
+                  </label>
+                  {term.endgameWeight !== undefined && (
+                    <div className="term-endgame">
+                      {term.endgameDiscs !== undefined ? (
+                        <>
+                          Over
+                          <input
+                            type="number"
+                            min="4"
+                            max="64"
+                            value={term.endgameDiscs}
+                            onChange={(e) => updateTerm(key, 'endgameDiscs', parseInt(e.target.value))}
+                            disabled={!term.enabled}
+                            className="term-input small"
+                            aria-label={`${label} endgame disc count`}
+                          />
+                          discs:
+                        </>
+                      ) : (
+                        'At full board:'
+                      )}
+                      <input
+                        type="number"
+                        step="1"
+                        min={-MAX_TERM_WEIGHT}
+                        max={MAX_TERM_WEIGHT}
+                        value={term.endgameWeight}
+                        onChange={(e) => updateTerm(key, 'endgameWeight', parseFloat(e.target.value))}
+                        disabled={!term.enabled}
+                        className="term-input small"
+                        aria-label={`${label} endgame weight`}
+                      />
+                    </div>
+                  )}
+                </td>
+                <td className="term-weight">
+                  <input
+                    type="number"
+                    step="1"
+                    min={-MAX_TERM_WEIGHT}
+                    max={MAX_TERM_WEIGHT}
+                    value={term.weight}
+                    onChange={(e) => updateTerm(key, 'weight', parseFloat(e.target.value))}
+                    disabled={!term.enabled}
+                    className="term-input"
+                    aria-label={`${label} weight`}
+                  />
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <div className="profile-actions">
+        <button className="profile-button" onClick={saveProfile}>Save JSON</button>
+        <label className="profile-button">
+          Load JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              if (e.target.files[0]) onProfileFileLoad(editingPlayer, e.target.files[0])
+              e.target.value = ''
+            }}
+          />
+        </label>
+      </div>
+      {profileError && <div className="profile-error">{profileError}</div>}
+    </div>
+  )
+}
+
+export default HeuristicEditor
@@ -0,0 +1,110 @@
+import React, { useState } from 'react'
+import './MoveList.css'
+import { BLACK } from '../utils/gameLogic'
+import { toAlgebraic } from '../utils/notation'
+
+/**
+ * Move List Component
+ * Shows the moves of the game and lets the player undo, redo or jump back
+ * to any earlier position
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.moves - History entries ({player, row, col} or {player, pass: true})
+ * @param {number} props.currentIndex - Number of entries currently on the board
+ * @param {Function} props.onJump - Callback with the number of entries to go back (or forward) to
+ * @param {Function} props.onUndo - Callback to undo a move
+ * @param {Function} props.onRedo - Callback to redo a move
+ * @param {boolean} props.aiWaiting - Whether the AI is to move at an earlier position and waits to be resumed
+ * @param {Function} props.onResume - Callback to play on from the position on the board
+ * @param {string} props.transcript - Transcript of the moves on the board
+ * @param {Function} props.onImport - Callback with a transcript to load as the game
+ * @param {string|null} props.importError - Error from the last transcript import
+ */
+function MoveList({ moves, currentIndex, onJump, onUndo, onRedo, aiWaiting, onResume, transcript, onImport, importError }) {
+  const [importText, setImportText] = useState('')
+  let moveNumber = 0
+
+  return (
+    <div className="move-list">
+      <div className="move-list-header">
+        <h2>Moves</h2>
+        <div className="move-list-buttons">
+          <button onClick={onUndo} disabled={currentIndex === 0}>Undo</button>
+          <button onClick={onRedo} disabled={currentIndex >= moves.length}>Redo</button>
+        </div>
+      </div>
+
+      {aiWaiting && (
+        <div className="move-list-waiting">
+          <span>The AI waits while you look back through the game</span>
+          <button onClick={onResume}>Play from here</button>
+        </div>
+      )}
+
+      <ol className="move-list-entries">
+        <li
+          className={`move-entry ${currentIndex === 0 ? 'current' : ''}`}
+          onClick={() => onJump(0)}
+        >
+          <span className="move-number"></span>
+          <span className="move-text">Start</span>
+        </li>
+        {moves.map((entry, i) => {
+          if (!entry.pass) moveNumber++
+          const classes = [
+            'move-entry',
+            i === currentIndex - 1 ? 'current' : '',
+            i >= currentIndex ? 'future' : '',
+            entry.pass ? 'pass' : ''
+          ].join(' ')
+
+          return (
+            <li key={i} className={classes} onClick={() => onJump(i + 1)}>
+              <span className="move-number">{entry.pass ? '' : `${moveNumber}.`}</span>
+              <span className={`move-disc ${entry.player === BLACK ? 'black' : 'white'}`}></span>
+              <span className="move-text">{entry.pass ? 'pass' : toAlgebraic(entry.row, entry.col)}</span>
+            </li>
+          )
+        })}
+      </ol>
+
+      <div className="transcript">
+        <label className="transcript-label">
+          Transcript
+          <input
+            type="text"
+            readOnly
+            value={transcript}
+            onFocus={(e) => e.target.select()}
+            className="transcript-input"
+          />
+        </label>
+        <button
+          onClick={() => navigator.clipboard && navigator.clipboard.writeText(transcript)}
+          disabled={!transcript}
+        >
+          Copy
+        </button>
+      </div>
+
+      <div className="transcript">
+        <label className="transcript-label">
+          Import
+          <input
+            type="text"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="f5d6c3d3c4..."
+            className="transcript-input"
+          />
+        </label>
+        <button onClick={() => onImport(importText)} disabled={!importText.trim()}>
+          Load
+        </button>
+      </div>
+      {importError && <div className="transcript-error">{importError}</div>}
+    </div>
+  )
+}
+
+export default MoveList
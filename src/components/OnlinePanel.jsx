@@ -0,0 +1,151 @@
+import React, { useState } from 'react'
+import './OnlinePanel.css'
+import { BLACK, WHITE } from '../utils/gameLogic'
+import { getDefaultServerUrl } from '../utils/online'
+
+// What each connection status is shown as
+const STATUS_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  reconnecting: 'Connection lost, reconnecting…'
+}
+
+// What each seat status is shown as
+const SEAT_LABELS = {
+  connected: 'online',
+  away: 'disconnected',
+  open: 'waiting to join'
+}
+
+/**
+ * Online Panel Component
+ * Creates or joins a room on the relay server to play someone in another
+ * browser, or watches a room as a spectator
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.online - Room {code, color, status, players, spectators, game}, null when offline
+ * @param {string|null} props.onlineError - Error from the server or connection
+ * @param {boolean} props.inSync - Whether the board shows the latest position of the room's game
+ * @param {number} props.currentPlayer - Current player
+ * @param {boolean} props.gameOver - Whether the game is over
+ * @param {Function} props.onCreate - Callback with (url, color) to create a room with the current board size and rules
+ * @param {Function} props.onJoin - Callback with (url, code, spectate) to join or watch a room
+ * @param {Function} props.onShowGame - Callback to put the room's game back on the board
+ * @param {Function} props.onLeave - Callback to leave the room
+ */
+function OnlinePanel({ online, onlineError, inSync, currentPlayer, gameOver, onCreate, onJoin, onShowGame, onLeave }) {
+  const [url, setUrl] = useState(getDefaultServerUrl)
+  const [color, setColor] = useState(BLACK)
+  const [code, setCode] = useState('')
+
+  /**
+   * Describe whose turn it is from this player's point of view
+   * @returns {string} Turn message
+   */
+  const getTurnMessage = () => {
+    if (gameOver) return 'Game over'
+    const name = currentPlayer === BLACK ? 'Black' : 'White'
+    if (online.color === null) return `${name} to move`
+    return online.color === currentPlayer ? 'Your turn' : `Waiting for ${name}`
+  }
+
+  /**
+   * Describe this client's place in the room
+   * @returns {string} e.g. "Playing Black"
+   */
+  const getRoleMessage = () => {
+    if (online.color === null) return 'Watching'
+    return `Playing ${online.color === BLACK ? 'Black' : 'White'}`
+  }
+
+  if (!online) {
+    return (
+      <div className="online-panel">
+        <h2>Online Play</h2>
+
+        <label className="online-label">
+          Server
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className="online-input"
+          />
+        </label>
+
+        <div className="online-row">
+          <select
+            value={color}
+            onChange={(e) => setColor(parseInt(e.target.value))}
+            className="online-select"
+            aria-label="Color to play"
+          >
+            <option value={BLACK}>Play Black</option>
+            <option value={WHITE}>Play White</option>
+          </select>
+          <button className="online-button" onClick={() => onCreate(url.trim(), color)}>
+            Create Room
+          </button>
+        </div>
+        <p className="online-hint">The room uses this board's size and rule settings.</p>
+
+        <div className="online-row">
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            onKeyDown={(e) => e.key === 'Enter' && code.trim() && onJoin(url.trim(), code.trim(), false)}
+            placeholder="Room code"
+            maxLength={4}
+            className="online-input online-code-input"
+          />
+          <button className="online-button" onClick={() => onJoin(url.trim(), code.trim(), false)} disabled={!code.trim()}>
+            Join
+          </button>
+          <button onClick={() => onJoin(url.trim(), code.trim(), true)} disabled={!code.trim()}>
+            Watch
+          </button>
+        </div>
+
+        {onlineError && <div className="online-error">{onlineError}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="online-panel">
+      <h2>Online Play</h2>
+
+      <div className={`online-status ${online.status}`}>{STATUS_LABELS[online.status]}</div>
+
+      {online.code && (
+        <>
+          <div className="online-room">
+            Room <span className="online-code">{online.code}</span>
+          </div>
+          <div className="online-details">{getRoleMessage()}</div>
+        </>
+      )}
+
+      {online.players && (
+        <>
+          <div className="online-details">
+            <div>Black: {SEAT_LABELS[online.players.black]}</div>
+            <div>White: {SEAT_LABELS[online.players.white]}</div>
+            <div>{online.spectators} watching</div>
+          </div>
+          <div className="online-turn">{getTurnMessage()}</div>
+        </>
+      )}
+
+      {online.game && !inSync && (
+        <button onClick={onShowGame}>Back to Room Game</button>
+      )}
+      <button onClick={onLeave}>Leave Room</button>
+
+      {onlineError && <div className="online-error">{onlineError}</div>}
+    </div>
+  )
+}
+
+export default OnlinePanel
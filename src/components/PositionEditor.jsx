@@ -0,0 +1,115 @@
+import React, { useState } from 'react'
+import './PositionEditor.css'
+import { BLACK, WHITE } from '../utils/gameLogic'
+
+/**
+ * Position Editor Component
+ * Shows the position string of the board and sets up positions to study:
+ * in edit mode, clicking a square cycles it between empty, black, white and a hole
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.editing - Whether the editor is open
+ * @param {string} props.position - Position string of the board (or the position being edited)
+ * @param {number} props.editorPlayer - Side to move in the edited position
+ * @param {Function} props.onEditorPlayerChange - Callback when the side to move changes
+ * @param {Object|null} props.validation - {errors, warnings} for the edited position
+ * @param {string|null} props.positionError - Error from the last position string applied
+ * @param {Function} props.onStartEditing - Callback to open the editor
+ * @param {Function} props.onApplyPosition - Callback with a position string to load into the editor
+ * @param {Function} props.onClear - Callback to empty the board
+ * @param {Function} props.onReset - Callback to restore the starting position
+ * @param {Function} props.onPlay - Callback to start playing from the edited position
+ * @param {Function} props.onCancel - Callback to close the editor without changes
+ */
+function PositionEditor({
+  editing,
+  position,
+  editorPlayer,
+  onEditorPlayerChange,
+  validation,
+  positionError,
+  onStartEditing,
+  onApplyPosition,
+  onClear,
+  onReset,
+  onPlay,
+  onCancel
+}) {
+  const [positionText, setPositionText] = useState('')
+
+  return (
+    <div className="position-editor">
+      <h2>Position</h2>
+
+      <label className="position-label">
+        Position String
+        <input
+          type="text"
+          readOnly
+          value={position}
+          onFocus={(e) => e.target.select()}
+          className="position-input"
+        />
+      </label>
+
+      {!editing ? (
+        <button className="position-button" onClick={onStartEditing}>Edit Position</button>
+      ) : (
+        <>
+          <p className="position-hint">Click squares to cycle empty → black → white → hole.</p>
+
+          <label className="position-label">
+            Side to Move
+            <select
+              value={editorPlayer}
+              onChange={(e) => onEditorPlayerChange(parseInt(e.target.value))}
+              className="position-select"
+            >
+              <option value={BLACK}>Black (X)</option>
+              <option value={WHITE}>White (O)</option>
+            </select>
+          </label>
+
+          <div className="position-row">
+            <button onClick={onClear}>Clear</button>
+            <button onClick={onReset}>Start Position</button>
+          </div>
+
+          <div className="position-row">
+            <input
+              type="text"
+              value={positionText}
+              onChange={(e) => setPositionText(e.target.value)}
+              placeholder="Paste a position string"
+              className="position-input"
+            />
+            <button onClick={() => onApplyPosition(positionText)} disabled={!positionText.trim()}>
+              Apply
+            </button>
+          </div>
+          {positionError && <div className="position-error">{positionError}</div>}
+
+          {validation.errors.map((message) => (
+            <div key={message} className="position-error">{message}</div>
+          ))}
+          {validation.warnings.map((message) => (
+            <div key={message} className="position-warning">{message}</div>
+          ))}
+
+          <div className="position-row">
+            <button
+              className="position-button"
+              onClick={onPlay}
+              disabled={validation.errors.length > 0}
+            >
+              Play from Here
+            </button>
+            <button onClick={onCancel}>Cancel</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PositionEditor
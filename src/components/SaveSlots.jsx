@@ -0,0 +1,107 @@
+import React, { useState } from 'react'
+import './SaveSlots.css'
+
+/**
+ * Save Slots Component
+ * Saves the game under a name and lists saved games to load, rename or delete
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.slots - Saved games {id, name, savedAt, summary}, newest first
+ * @param {string|null} props.slotError - Error from the last save slot action
+ * @param {Function} props.onSave - Callback with a name to save the game under
+ * @param {Function} props.onLoad - Callback with the id of a slot to load
+ * @param {Function} props.onRename - Callback with (id, name) to rename a slot
+ * @param {Function} props.onDelete - Callback with the id of a slot to delete
+ */
+function SaveSlots({ slots, slotError, onSave, onLoad, onRename, onDelete }) {
+  const [saveName, setSaveName] = useState('')
+  const [renamingId, setRenamingId] = useState(null)
+  const [renameText, setRenameText] = useState('')
+
+  /**
+   * Save the game and clear the name field
+   */
+  const save = () => {
+    onSave(saveName.trim())
+    setSaveName('')
+  }
+
+  /**
+   * Start renaming a slot
+   * @param {Object} slot - Slot to rename
+   */
+  const startRename = (slot) => {
+    setRenamingId(slot.id)
+    setRenameText(slot.name)
+  }
+
+  /**
+   * Finish renaming the slot being renamed
+   */
+  const finishRename = () => {
+    if (renameText.trim()) onRename(renamingId, renameText.trim())
+    setRenamingId(null)
+  }
+
+  return (
+    <div className="save-slots">
+      <h2>Saved Games</h2>
+
+      <div className="slot-row">
+        <input
+          type="text"
+          value={saveName}
+          onChange={(e) => setSaveName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder="Name (optional)"
+          className="slot-input"
+        />
+        <button className="slot-button" onClick={save}>Save</button>
+      </div>
+      {slotError && <div className="slot-error">{slotError}</div>}
+
+      {slots.length === 0 ? (
+        <p className="slot-empty">No saved games yet. The current game is also kept automatically.</p>
+      ) : (
+        <ul className="slot-list">
+          {slots.map((slot) => (
+            <li key={slot.id} className="slot">
+              {renamingId === slot.id ? (
+                <div className="slot-row">
+                  <input
+                    type="text"
+                    value={renameText}
+                    onChange={(e) => setRenameText(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && finishRename()}
+                    className="slot-input"
+                    aria-label="Slot name"
+                    autoFocus
+                  />
+                  <button onClick={finishRename}>OK</button>
+                </div>
+              ) : (
+                <div className="slot-name">{slot.name}</div>
+              )}
+              <div className="slot-details">
+                {new Date(slot.savedAt).toLocaleString()}
+              </div>
+              {slot.summary && (
+                <div className="slot-details">
+                  {slot.summary.black} vs {slot.summary.white}: {slot.summary.score.black}–{slot.summary.score.white}
+                  {slot.summary.hints > 0 && `, ${slot.summary.hints} hint${slot.summary.hints === 1 ? '' : 's'}`}
+                </div>
+              )}
+              <div className="slot-row">
+                <button onClick={() => onLoad(slot.id)}>Load</button>
+                <button onClick={() => startRename(slot)}>Rename</button>
+                <button onClick={() => onDelete(slot.id)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SaveSlots
@@ -0,0 +1,191 @@
+import React from 'react'
+import './SearchComparison.css'
+import { toAlgebraic } from '../utils/notation'
+import { COMPARISON_SEARCHES } from '../utils/comparison'
+
+// Size of the node count chart, in SVG units
+const CHART_WIDTH = 260
+const CHART_HEIGHT = 110
+const LABEL_HEIGHT = 12 // Space under the bars for depth labels
+
+// Depths offered; plain Mini-Max examines millions of nodes beyond this
+const MAX_COMPARISON_DEPTH = 6
+
+/**
+ * Get a comparison search's description by key
+ * @param {string} key - Search key
+ * @returns {Object} Search {key, label, alphaBeta, moveOrdering}
+ */
+function getSearch(key) {
+  return COMPARISON_SEARCHES.find((search) => search.key === key)
+}
+
+/**
+ * Search Comparison Component
+ * Runs plain Mini-Max and alpha-beta on the current position at each depth and
+ * compares their node counts, times and chosen moves, checking that both find
+ * the same minimax value
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.comparison - Comparison {request, rows, running} of the position on the board
+ * @param {number} props.maxDepth - Deepest depth to compare
+ * @param {Function} props.onMaxDepthChange - Callback when the deepest depth changes
+ * @param {boolean} props.includeOrdering - Whether alpha-beta with move ordering is compared too
+ * @param {Function} props.onIncludeOrderingToggle - Callback when the move ordering option changes
+ * @param {boolean} props.canCompare - Whether the side to move has moves to search
+ * @param {Function} props.onCompare - Callback to start comparing
+ * @param {Function} props.onStop - Callback to stop a running comparison
+ */
+function SearchComparison({ comparison, maxDepth, onMaxDepthChange, includeOrdering, onIncludeOrderingToggle, canCompare, onCompare, onStop }) {
+  const running = comparison && comparison.running
+  const rows = comparison ? comparison.rows : []
+  const deepest = rows[rows.length - 1]
+
+  // Node counts grow by a factor of several per depth, so the chart is logarithmic
+  const maxLog = Math.max(1, ...rows.flatMap((row) => row.runs.map((run) => Math.log10(run.nodesExamined))))
+  const plotHeight = CHART_HEIGHT - LABEL_HEIGHT
+  const searchCount = rows.length > 0 ? rows[0].runs.length : 1
+  const groupWidth = CHART_WIDTH / Math.max(1, rows.length)
+  const barWidth = (groupWidth * 0.8) / searchCount
+
+  /**
+   * Get the height of a node count's bar
+   * @param {number} nodes - Nodes examined
+   * @returns {number} Bar height
+   */
+  const barHeight = (nodes) => (Math.log10(Math.max(1, nodes)) / maxLog) * plotHeight
+
+  /**
+   * Describe a search's node count as a share of plain Mini-Max's
+   * @param {Object} row - Comparison row
+   * @param {Object} run - Result of one search in the row
+   * @returns {string} e.g. "12.5%"
+   */
+  const getNodeShare = (row, run) => {
+    const minimax = row.runs.find((other) => other.key === 'minimax')
+    return `${(100 * run.nodesExamined / minimax.nodesExamined).toFixed(1)}%`
+  }
+
+  return (
+    <div className="search-comparison">
+      <h2>Search Comparison</h2>
+      <p className="comparison-hint">
+        Runs plain Mini-Max and alpha-beta on this position at each depth, without the transposition table.
+      </p>
+
+      <div className="comparison-row">
+        <label className="comparison-label">
+          Up to depth
+          <select
+            value={maxDepth}
+            onChange={(e) => onMaxDepthChange(parseInt(e.target.value))}
+            disabled={running}
+            className="comparison-select"
+          >
+            {Array.from({ length: MAX_COMPARISON_DEPTH }, (_, i) => i + 1).map((depth) => (
+              <option key={depth} value={depth}>{depth}</option>
+            ))}
+          </select>
+        </label>
+        <label className="comparison-label">
+          <input
+            type="checkbox"
+            checked={includeOrdering}
+            onChange={(e) => onIncludeOrderingToggle(e.target.checked)}
+            disabled={running}
+          />
+          Move ordering
+        </label>
+      </div>
+      {running ? (
+        <button onClick={onStop}>Stop ({rows.length}/{comparison.request.maxDepth})</button>
+      ) : (
+        <button className="comparison-button" onClick={onCompare} disabled={!canCompare}>
+          Compare
+        </button>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <svg
+            className="comparison-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            role="img"
+            aria-label="Nodes examined at each depth, logarithmic scale"
+          >
+            {rows.map((row, rowIndex) => (
+              <g key={row.depth}>
+                {row.runs.map((run, runIndex) => (
+                  <rect
+                    key={run.key}
+                    x={rowIndex * groupWidth + groupWidth * 0.1 + runIndex * barWidth}
+                    y={plotHeight - barHeight(run.nodesExamined)}
+                    width={barWidth}
+                    height={barHeight(run.nodesExamined)}
+                    className={`chart-bar ${run.key}`}
+                  >
+                    <title>{getSearch(run.key).label}: {run.nodesExamined.toLocaleString()} nodes</title>
+                  </rect>
+                ))}
+                <text x={rowIndex * groupWidth + groupWidth / 2} y={CHART_HEIGHT - 2} className="chart-label">
+                  {row.depth}
+                </text>
+              </g>
+            ))}
+          </svg>
+          <div className="comparison-legend">
+            {rows[0].runs.map((run) => (
+              <span key={run.key}>
+                <span className={`legend-swatch ${run.key}`}></span>
+                {getSearch(run.key).label}
+              </span>
+            ))}
+          </div>
+
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th>Depth</th>
+                <th>Search</th>
+                <th>Nodes</th>
+                <th>Time</th>
+                <th>Move</th>
+                <th>Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => row.runs.map((run, runIndex) => (
+                <tr key={`${row.depth}-${run.key}`} className={`${runIndex === 0 ? 'first' : ''} ${row.agree ? '' : 'disagree'}`}>
+                  {runIndex === 0 && (
+                    <td rowSpan={row.runs.length} className="comparison-depth" title={row.agree ? 'Every search found the same value' : 'The values differ'}>
+                      {row.depth} {row.agree ? '✓' : '✗'}
+                    </td>
+                  )}
+                  <td className="comparison-search">{getSearch(run.key).label}</td>
+                  <td>{run.nodesExamined.toLocaleString()}</td>
+                  <td>{run.elapsed} ms</td>
+                  <td>{toAlgebraic(run.row, run.col)}</td>
+                  <td>{run.score}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+
+          <div className="comparison-summary">
+            {deepest.runs.filter((run) => run.key !== 'minimax').map((run) => (
+              <div key={run.key}>
+                At depth {deepest.depth}, {getSearch(run.key).label} examined {getNodeShare(deepest, run)} of Mini-Max's nodes
+              </div>
+            ))}
+            {rows.every((row) => row.agree)
+              ? <div>Every search found the same minimax value at every depth.</div>
+              : <div className="comparison-error">Some values differ, which alpha-beta should never cause.</div>}
+            <div>Different moves with the same score are equally good; pruning can change which one is found first.</div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SearchComparison
@@ -0,0 +1,149 @@
+import React, { useState } from 'react'
+import './SearchTree.css'
+import { BLACK } from '../utils/gameLogic'
+import { toAlgebraic } from '../utils/notation'
+
+/**
+ * Get the nodes of the principal variation: from the root, each node's best child
+ * @param {Object|null} trace - Search trace
+ * @returns {Array<Object>} Nodes from the root down
+ */
+function getPrincipalVariation(trace) {
+  const nodes = []
+  let node = trace ? trace.root : null
+  while (node) {
+    nodes.push(node)
+    node = node.children.find((child) => child.best)
+  }
+  return nodes
+}
+
+/**
+ * Describe the move that reached a node
+ * @param {Object} node - Trace node
+ * @returns {string} Algebraic move, "pass" or "Root"
+ */
+function getMoveLabel(node) {
+  if (node.move === null) return 'Root'
+  if (node.move === 'pass') return 'pass'
+  return toAlgebraic(node.move[0], node.move[1])
+}
+
+/**
+ * Format an alpha or beta bound
+ * @param {number} value - Bound
+ * @returns {string} Bound, with infinities as symbols
+ */
+function formatBound(value) {
+  if (value === Infinity) return '∞'
+  if (value === -Infinity) return '−∞'
+  return String(value)
+}
+
+/**
+ * Search Tree Component
+ * Collapsible view of the tree the last Mini-Max search walked, with the
+ * principal variation highlighted and the branches alpha-beta cut off
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.trace - Search trace {root, nodeCount, truncated, limit} of the last debug search
+ */
+function SearchTree({ trace }) {
+  // Expanded node ids for the trace they belong to; a new trace opens along its principal variation
+  const [expansion, setExpansion] = useState({ trace: null, ids: new Set() })
+
+  const principalVariation = getPrincipalVariation(trace)
+  const pvIds = new Set(principalVariation.map((node) => node.id))
+  const expandedIds = expansion.trace === trace ? expansion.ids : pvIds
+
+  /**
+   * Expand or collapse a node
+   * @param {number} id - Node id
+   */
+  const toggle = (id) => {
+    const ids = new Set(expandedIds)
+    if (ids.has(id)) ids.delete(id)
+    else ids.add(id)
+    setExpansion({ trace, ids })
+  }
+
+  /**
+   * Render a node and, if expanded, its children
+   * @param {Object} node - Trace node
+   * @param {number} index - Position among its siblings, used as a key for pruned moves
+   * @returns {JSX.Element} Tree item
+   */
+  const renderNode = (node, index) => {
+    if (node.pruned) {
+      return (
+        <li key={`pruned-${index}`} className="tree-node pruned">
+          <span className="tree-toggle"></span>
+          <span className="tree-move">{toAlgebraic(node.move[0], node.move[1])}</span>
+          <span className="tree-badge pruned">pruned</span>
+        </li>
+      )
+    }
+
+    const hasChildren = node.children.length > 0 || node.omitted > 0
+    const isExpanded = expandedIds.has(node.id)
+
+    return (
+      <li key={node.id} className="tree-node">
+        <div
+          className={`tree-row ${pvIds.has(node.id) ? 'pv' : ''}`}
+          onClick={() => hasChildren && toggle(node.id)}
+        >
+          <span className="tree-toggle">{hasChildren ? (isExpanded ? '▾' : '▸') : ''}</span>
+          {node.move !== null && (
+            <span className={`tree-disc ${node.player === BLACK ? 'white' : 'black'}`}></span>
+          )}
+          <span className="tree-move">{getMoveLabel(node)}</span>
+          <span className="tree-window">[{formatBound(node.alpha)}, {formatBound(node.beta)}]</span>
+          <span className="tree-score">{node.score}</span>
+          {node.cutoff && <span className="tree-badge cutoff">cutoff</span>}
+          {node.kind === 'transposition' && <span className="tree-badge table">table</span>}
+        </div>
+        {isExpanded && hasChildren && (
+          <ul className="tree-children">
+            {node.children.map(renderNode)}
+            {node.omitted > 0 && (
+              <li className="tree-node omitted">{node.omitted} more not recorded (node limit)</li>
+            )}
+          </ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <div className="search-tree">
+      <h2>Search Tree</h2>
+
+      {!trace ? (
+        <p className="tree-hint">The tree of the next Mini-Max search is shown here (book moves, the endgame solver and MCTS aren't traced).</p>
+      ) : (
+        <>
+          <div className="tree-summary">
+            Depth {trace.root.depth}, {trace.nodeCount.toLocaleString()} nodes recorded
+            {trace.truncated && ` (limit of ${trace.limit.toLocaleString()} reached)`}
+          </div>
+          <div className="tree-pv">
+            PV: {principalVariation.slice(1).map(getMoveLabel).join(' ') || '—'}
+          </div>
+          <div className="tree-legend">
+            Scores are for the side the AI searched for; [α, β] is the window each node was searched with.
+          </div>
+          <div className="tree-actions">
+            <button onClick={() => setExpansion({ trace, ids: pvIds })}>Show PV</button>
+            <button onClick={() => setExpansion({ trace, ids: new Set() })}>Collapse All</button>
+          </div>
+          <ul className="tree-root">
+            {renderNode(trace.root, 0)}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SearchTree
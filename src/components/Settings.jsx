@@ -1,64 +1,237 @@
 import React from 'react'
 import './Settings.css'
-import { BLACK, WHITE } from '../utils/gameLogic'
+import { BLACK, WHITE, BOARD_SIZES, DEFAULT_BOARD_SIZE } from '../utils/gameLogic'
+import { START_POSITIONS, HOLE_COUNTS } from '../utils/variants'
 
 /**
  * Settings Component
  * Allows configuration of AI settings and player types
  * 
  * @param {Object} props - Component props
+ * @param {number} props.boardSize - Size of the board being played
+ * @param {Function} props.onBoardSizeChange - Callback to start a new game on another board size
+ * @param {string} props.startPosition - Arrangement of the center discs ('standard', 'parallel' or 'random')
+ * @param {number} props.holeCount - Number of blocked squares on the starting board
+ * @param {boolean} props.antiOthello - Whether the player with fewer discs wins
+ * @param {Function} props.onRulesChange - Callback with changed rules {startPosition, holeCount, antiOthello}; starts a new game
  * @param {boolean} props.aiBlack - Whether Black player is AI
  * @param {boolean} props.aiWhite - Whether White player is AI
  * @param {Function} props.onAiBlackChange - Callback when Black AI setting changes
  * @param {Function} props.onAiWhiteChange - Callback when White AI setting changes
+ * @param {string} props.blackEngine - Engine used by an AI Black player ('minimax' or 'mcts')
+ * @param {string} props.whiteEngine - Engine used by an AI White player ('minimax' or 'mcts')
+ * @param {Function} props.onBlackEngineChange - Callback when Black's engine changes
+ * @param {Function} props.onWhiteEngineChange - Callback when White's engine changes
+ * @param {number} props.mctsPlayouts - Playouts per MCTS move in fixed mode
+ * @param {Function} props.onMctsPlayoutsChange - Callback when the playout count changes
+ * @param {number} props.mctsExploration - MCTS exploration constant
+ * @param {Function} props.onMctsExplorationChange - Callback when the exploration constant changes
+ * @param {boolean} props.mctsHeuristic - Whether MCTS playouts are guided by the heuristic
+ * @param {Function} props.onMctsHeuristicToggle - Callback to toggle heuristic playouts
  * @param {Function} props.onRestart - Callback to restart the game
  * @param {number} props.searchDepth - Current search depth
  * @param {Function} props.onDepthChange - Callback when depth changes
+ * @param {string} props.searchMode - 'depth' for fixed depth or 'time' for a time budget
+ * @param {Function} props.onSearchModeChange - Callback when search mode changes
+ * @param {number} props.timeLimit - Time budget per move in seconds
+ * @param {Function} props.onTimeLimitChange - Callback when time budget changes
  * @param {boolean} props.alphaBetaEnabled - Whether alpha-beta is enabled
  * @param {Function} props.onAlphaBetaToggle - Callback to toggle alpha-beta
+ * @param {boolean} props.transpositionEnabled - Whether the transposition table is enabled
+ * @param {Function} props.onTranspositionToggle - Callback to toggle the transposition table
+ * @param {boolean} props.moveOrderingEnabled - Whether move ordering is enabled
+ * @param {Function} props.onMoveOrderingToggle - Callback to toggle move ordering
+ * @param {boolean} props.endgameEnabled - Whether the exact endgame solver is enabled
+ * @param {Function} props.onEndgameToggle - Callback to toggle the endgame solver
+ * @param {number} props.endgameThreshold - Empty squares at which the solver takes over
+ * @param {Function} props.onEndgameThresholdChange - Callback when the threshold changes
+ * @param {boolean} props.wldOnly - Whether the solver only proves win/loss/draw
+ * @param {Function} props.onWldOnlyToggle - Callback to toggle win/loss/draw mode
+ * @param {boolean} props.openingBookEnabled - Whether the AI plays from the opening book
+ * @param {Function} props.onOpeningBookToggle - Callback to toggle the opening book
+ * @param {Object} props.bookSummary - Loaded book summary {lines, skipped, positions}
+ * @param {string|null} props.bookError - Error from the last book file load
+ * @param {Function} props.onBookFileLoad - Callback with a user-chosen book file
  * @param {boolean} props.debugMode - Whether debug mode is enabled
  * @param {Function} props.onDebugModeToggle - Callback to toggle debug mode
+ * @param {number} props.traceLimit - Most nodes a debug search trace records
+ * @param {Function} props.onTraceLimitChange - Callback when the trace node limit changes
+ * @param {boolean} props.overlayEnabled - Whether legal moves show their engine scores on the board
+ * @param {Function} props.onOverlayToggle - Callback to toggle the move evaluation overlay
+ * @param {number} props.overlayDepth - Search depth used to score moves for the overlay
+ * @param {Function} props.onOverlayDepthChange - Callback when the overlay depth changes
+ * @param {number} props.hintDepth - Search depth used for hints
+ * @param {Function} props.onHintDepthChange - Callback when the hint depth changes
  */
 function Settings({
+  boardSize,
+  onBoardSizeChange,
+  startPosition,
+  holeCount,
+  antiOthello,
+  onRulesChange,
   aiBlack,
   aiWhite,
   onAiBlackChange,
   onAiWhiteChange,
+  blackEngine,
+  whiteEngine,
+  onBlackEngineChange,
+  onWhiteEngineChange,
+  mctsPlayouts,
+  onMctsPlayoutsChange,
+  mctsExploration,
+  onMctsExplorationChange,
+  mctsHeuristic,
+  onMctsHeuristicToggle,
   onRestart,
   searchDepth,
   onDepthChange,
+  searchMode,
+  onSearchModeChange,
+  timeLimit,
+  onTimeLimitChange,
   alphaBetaEnabled,
   onAlphaBetaToggle,
+  transpositionEnabled,
+  onTranspositionToggle,
+  moveOrderingEnabled,
+  onMoveOrderingToggle,
+  endgameEnabled,
+  onEndgameToggle,
+  endgameThreshold,
+  onEndgameThresholdChange,
+  wldOnly,
+  onWldOnlyToggle,
+  openingBookEnabled,
+  onOpeningBookToggle,
+  bookSummary,
+  bookError,
+  onBookFileLoad,
   debugMode,
-  onDebugModeToggle
+  onDebugModeToggle,
+  traceLimit,
+  onTraceLimitChange,
+  overlayEnabled,
+  onOverlayToggle,
+  overlayDepth,
+  onOverlayDepthChange,
+  hintDepth,
+  onHintDepthChange
 }) {
   /**
-   * Handle player type change and restart game
+   * Handle player type change, restarting the game when switching between human and AI
+   * @param {number} player - BLACK or WHITE
+   * @param {string} type - 'human', 'minimax' or 'mcts'
    */
-  const handlePlayerTypeChange = (player, isAI) => {
+  const handlePlayerTypeChange = (player, type) => {
+    const isAI = type !== 'human'
+    const wasAI = player === BLACK ? aiBlack : aiWhite
+
     if (player === BLACK) {
       onAiBlackChange(isAI)
+      if (isAI) onBlackEngineChange(type)
     } else {
       onAiWhiteChange(isAI)
+      if (isAI) onWhiteEngineChange(type)
+    }
+
+    // Restart game when player type changes; switching engines keeps playing
+    if (isAI !== wasAI) {
+      setTimeout(() => onRestart(), 0)
     }
-    // Restart game when player type changes
-    setTimeout(() => onRestart(), 0)
   }
 
+  const usesMcts = (aiBlack && blackEngine === 'mcts') || (aiWhite && whiteEngine === 'mcts')
+
   return (
     <div className="settings-panel">
       <h2>Game Settings</h2>
       
+      <div className="setting-group">
+        <label className="setting-label">
+          Board Size:
+          <select
+            value={boardSize}
+            onChange={(e) => onBoardSizeChange(parseInt(e.target.value))}
+            className="setting-select"
+          >
+            {BOARD_SIZES.map((size) => (
+              <option key={size} value={size}>{size}x{size}</option>
+            ))}
+          </select>
+        </label>
+        <div className="setting-hint">
+          {boardSize === DEFAULT_BOARD_SIZE
+            ? 'Changing the size starts a new game'
+            : 'MCTS, the endgame solver and the opening book only work on 8x8; the AI uses Mini-Max here'}
+        </div>
+      </div>
+      
+      <div className="setting-group">
+        <label className="setting-label">
+          Start Position:
+          <select
+            value={startPosition}
+            onChange={(e) => onRulesChange({ startPosition: e.target.value })}
+            className="setting-select"
+          >
+            {START_POSITIONS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <div className="setting-hint">
+          {startPosition === 'random'
+            ? 'The four center discs are shuffled each new game'
+            : 'Arrangement of the four center discs'}
+        </div>
+      </div>
+      
+      <div className="setting-group">
+        <label className="setting-label">
+          Holes:
+          <select
+            value={holeCount}
+            onChange={(e) => onRulesChange({ holeCount: parseInt(e.target.value) })}
+            className="setting-select"
+          >
+            {HOLE_COUNTS.map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+        <div className="setting-hint">
+          Blocked squares no disc can be played on or flipped across, placed in mirrored pairs
+        </div>
+      </div>
+      
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={antiOthello}
+            onChange={(e) => onRulesChange({ antiOthello: e.target.checked })}
+            className="setting-checkbox"
+          />
+          <span>Anti-Othello</span>
+        </label>
+        <div className="setting-hint">
+          The player with fewer discs wins; the opening book is not used
+        </div>
+      </div>
+      
       <div className="setting-group">
         <label className="setting-label">
           Black Player:
           <select 
-            value={aiBlack ? 'ai' : 'human'}
-            onChange={(e) => handlePlayerTypeChange(BLACK, e.target.value === 'ai')}
+            value={aiBlack ? blackEngine : 'human'}
+            onChange={(e) => handlePlayerTypeChange(BLACK, e.target.value)}
             className="setting-select"
           >
             <option value="human">Human</option>
-            <option value="ai">AI</option>
+            <option value="minimax">AI (Mini-Max)</option>
+            <option value="mcts">AI (MCTS)</option>
           </select>
         </label>
       </div>
@@ -67,34 +240,125 @@ function Settings({
         <label className="setting-label">
           White Player:
           <select 
-            value={aiWhite ? 'ai' : 'human'}
-            onChange={(e) => handlePlayerTypeChange(WHITE, e.target.value === 'ai')}
+            value={aiWhite ? whiteEngine : 'human'}
+            onChange={(e) => handlePlayerTypeChange(WHITE, e.target.value)}
             className="setting-select"
           >
             <option value="human">Human</option>
-            <option value="ai">AI</option>
+            <option value="minimax">AI (Mini-Max)</option>
+            <option value="mcts">AI (MCTS)</option>
           </select>
         </label>
       </div>
       
       <div className="setting-group">
         <label className="setting-label">
-          Search Depth: {searchDepth}
-          <input
-            type="range"
-            min="2"
-            max="6"
-            value={searchDepth}
-            onChange={(e) => onDepthChange(parseInt(e.target.value))}
-            className="setting-slider"
-          />
-          <div className="slider-labels">
-            <span>2</span>
-            <span>6</span>
-          </div>
+          Search Mode:
+          <select
+            value={searchMode}
+            onChange={(e) => onSearchModeChange(e.target.value)}
+            className="setting-select"
+          >
+            <option value="depth">Fixed Depth</option>
+            <option value="time">Time Limit (Iterative Deepening)</option>
+          </select>
         </label>
       </div>
       
+      {searchMode === 'depth' ? (
+        <div className="setting-group">
+          <label className="setting-label">
+            Search Depth: {searchDepth}
+            <input
+              type="range"
+              min="2"
+              max="6"
+              value={searchDepth}
+              onChange={(e) => onDepthChange(parseInt(e.target.value))}
+              className="setting-slider"
+            />
+            <div className="slider-labels">
+              <span>2</span>
+              <span>6</span>
+            </div>
+          </label>
+        </div>
+      ) : (
+        <div className="setting-group">
+          <label className="setting-label">
+            Time per Move: {timeLimit}s
+            <input
+              type="range"
+              min="1"
+              max="10"
+              value={timeLimit}
+              onChange={(e) => onTimeLimitChange(parseInt(e.target.value))}
+              className="setting-slider"
+            />
+            <div className="slider-labels">
+              <span>1s</span>
+              <span>10s</span>
+            </div>
+          </label>
+        </div>
+      )}
+      
+      {usesMcts && (
+        <>
+          {searchMode === 'depth' && (
+            <div className="setting-group">
+              <label className="setting-label">
+                MCTS Playouts per Move: {mctsPlayouts.toLocaleString()}
+                <input
+                  type="range"
+                  min="500"
+                  max="20000"
+                  step="500"
+                  value={mctsPlayouts}
+                  onChange={(e) => onMctsPlayoutsChange(parseInt(e.target.value))}
+                  className="setting-slider"
+                />
+                <div className="slider-labels">
+                  <span>500</span>
+                  <span>20,000</span>
+                </div>
+              </label>
+            </div>
+          )}
+          
+          <div className="setting-group">
+            <label className="setting-label">
+              MCTS Exploration (C): {mctsExploration.toFixed(1)}
+              <input
+                type="range"
+                min="0.1"
+                max="3"
+                step="0.1"
+                value={mctsExploration}
+                onChange={(e) => onMctsExplorationChange(parseFloat(e.target.value))}
+                className="setting-slider"
+              />
+              <div className="slider-labels">
+                <span>0.1</span>
+                <span>3.0</span>
+              </div>
+            </label>
+          </div>
+          
+          <div className="setting-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={mctsHeuristic}
+                onChange={(e) => onMctsHeuristicToggle(e.target.checked)}
+                className="setting-checkbox"
+              />
+              <span>Heuristic-Guided Playouts</span>
+            </label>
+          </div>
+        </>
+      )}
+      
       <div className="setting-group">
         <label className="checkbox-label">
           <input
@@ -107,6 +371,110 @@ function Settings({
         </label>
       </div>
       
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={transpositionEnabled}
+            onChange={(e) => onTranspositionToggle(e.target.checked)}
+            className="setting-checkbox"
+          />
+          <span>Transposition Table</span>
+        </label>
+      </div>
+      
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={moveOrderingEnabled}
+            onChange={(e) => onMoveOrderingToggle(e.target.checked)}
+            className="setting-checkbox"
+          />
+          <span>Move Ordering</span>
+        </label>
+      </div>
+      
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={endgameEnabled}
+            onChange={(e) => onEndgameToggle(e.target.checked)}
+            className="setting-checkbox"
+          />
+          <span>Endgame Solver</span>
+        </label>
+      </div>
+      
+      {endgameEnabled && (
+        <>
+          <div className="setting-group">
+            <label className="setting-label">
+              Solve at {endgameThreshold} Empty Squares
+              <input
+                type="range"
+                min="8"
+                max="20"
+                value={endgameThreshold}
+                onChange={(e) => onEndgameThresholdChange(parseInt(e.target.value))}
+                className="setting-slider"
+              />
+              <div className="slider-labels">
+                <span>8</span>
+                <span>20</span>
+              </div>
+            </label>
+            <div className="setting-hint">
+              Gives up after half the time limit (5s in depth mode) and searches normally
+            </div>
+          </div>
+          
+          <div className="setting-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={wldOnly}
+                onChange={(e) => onWldOnlyToggle(e.target.checked)}
+                className="setting-checkbox"
+              />
+              <span>Win/Loss/Draw Only (Faster)</span>
+            </label>
+          </div>
+        </>
+      )}
+      
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={openingBookEnabled}
+            onChange={(e) => onOpeningBookToggle(e.target.checked)}
+            className="setting-checkbox"
+          />
+          <span>Opening Book</span>
+        </label>
+      </div>
+      
+      {openingBookEnabled && (
+        <div className="setting-group">
+          <label className="setting-label">
+            Load Book File (.json or .txt):
+            <input
+              type="file"
+              accept=".json,.txt"
+              onChange={(e) => e.target.files[0] && onBookFileLoad(e.target.files[0])}
+              className="setting-file"
+            />
+          </label>
+          <div className="setting-hint">
+            {bookSummary.lines} lines, {bookSummary.positions} positions
+            {bookSummary.skipped > 0 && `, ${bookSummary.skipped} invalid lines skipped`}
+          </div>
+          {bookError && <div className="setting-error">{bookError}</div>}
+        </div>
+      )}
+      
       <div className="setting-group">
         <label className="checkbox-label">
           <input
@@ -115,12 +483,81 @@ function Settings({
             onChange={(e) => onDebugModeToggle(e.target.checked)}
             className="setting-checkbox"
           />
-          <span>Debug Mode (Console)</span>
+          <span>Debug Mode (Search Tree)</span>
+        </label>
+      </div>
+      
+      {debugMode && (
+        <div className="setting-group">
+          <label className="setting-label">
+            Search Tree Node Limit:
+            <select
+              value={traceLimit}
+              onChange={(e) => onTraceLimitChange(parseInt(e.target.value))}
+              className="setting-select"
+            >
+              {[500, 2000, 10000, 50000].map((limit) => (
+                <option key={limit} value={limit}>{limit.toLocaleString()} nodes</option>
+              ))}
+            </select>
+          </label>
+          <div className="setting-hint">Deeper moves stop being recorded past the limit</div>
+        </div>
+      )}
+      
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={overlayEnabled}
+            onChange={(e) => onOverlayToggle(e.target.checked)}
+            className="setting-checkbox"
+          />
+          <span>Show Move Evaluations</span>
+        </label>
+      </div>
+      
+      {overlayEnabled && (
+        <div className="setting-group">
+          <label className="setting-label">
+            Evaluation Depth: {overlayDepth}
+            <input
+              type="range"
+              min="1"
+              max="6"
+              value={overlayDepth}
+              onChange={(e) => onOverlayDepthChange(parseInt(e.target.value))}
+              className="setting-slider"
+            />
+            <div className="slider-labels">
+              <span>1</span>
+              <span>6</span>
+            </div>
+          </label>
+          <div className="setting-hint">Scores each legal move on a human player's turn</div>
+        </div>
+      )}
+      
+      <div className="setting-group">
+        <label className="setting-label">
+          Hint Depth: {hintDepth}
+          <input
+            type="range"
+            min="1"
+            max="6"
+            value={hintDepth}
+            onChange={(e) => onHintDepthChange(parseInt(e.target.value))}
+            className="setting-slider"
+          />
+          <div className="slider-labels">
+            <span>1</span>
+            <span>6</span>
+          </div>
         </label>
       </div>
       
       <div className="setting-note">
-        <p>Increase depth for stronger AI. Higher depths take longer to compute.</p>
+        <p>Increase depth or time for stronger AI. Higher depths take longer to compute.</p>
         <p style={{ marginTop: '8px', fontSize: '0.85em', color: '#888' }}>
           {!aiBlack && !aiWhite && 'Human vs Human mode'}
           {aiBlack && !aiWhite && 'AI vs Human mode'}
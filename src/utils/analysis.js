@@ -0,0 +1,118 @@
+/**
+ * Game Analysis for Othello
+ * Reviews a finished game: every position is searched, and each move is
+ * judged by how much the evaluation dropped for the player who made it
+ *
+ * Evaluations are kept from Black's point of view (positive favours Black),
+ * so a move's loss is the fall in the mover's evaluation from the position
+ * before it to the next position the engine searched.
+ */
+
+import { BLACK, WHITE, getValidMoves, makeMove, isGameOver, getWinner, initializeBoard } from './gameLogic.js';
+
+// Score the search gives a won game (WIN_SCORE in minimax.js, which isn't
+// imported here to keep the search and its tables out of the main thread)
+export const WIN_SCORE = 10000;
+
+// Evaluation losses, in heuristic points, that mark a move as a mistake or a blunder
+export const MISTAKE_THRESHOLD = 40;
+export const BLUNDER_THRESHOLD = 100;
+
+/**
+ * List the positions of a game that analysis evaluates
+ * Positions where the side to move must pass are left out; they have no
+ * move to judge and the same board is evaluated for the other side next
+ * @param {Array<Object>} moves - History entries
+ * @param {Object|null} start - Starting position {board, player}, or null for the standard start
+ * @returns {Array<{index: number, board: number[][], player: number, terminal: boolean}>}
+ *   Positions, by the number of history entries played before them
+ */
+export function getAnalysisPositions(moves, start = null) {
+  const positions = [];
+  let board = start ? start.board : initializeBoard();
+  let player = start ? start.player : BLACK;
+
+  for (let index = 0; index <= moves.length; index++) {
+    const terminal = isGameOver(board, player);
+    if (terminal || getValidMoves(board, player).length > 0) {
+      positions.push({ index, board, player, terminal });
+    }
+
+    const entry = moves[index];
+    if (!entry) break;
+    if (!entry.pass) board = makeMove(board, entry.row, entry.col, entry.player);
+    player = entry.player === BLACK ? WHITE : BLACK;
+  }
+
+  return positions;
+}
+
+/**
+ * Score a finished game from Black's point of view, as the search scores a won game
+ * @param {number[][]} board - Final board
+ * @returns {number} WIN_SCORE if Black won, -WIN_SCORE if White won, 0 for a draw
+ */
+export function getTerminalScore(board) {
+  const winner = getWinner(board);
+  if (winner === BLACK) return WIN_SCORE;
+  if (winner === WHITE) return -WIN_SCORE;
+  return 0;
+}
+
+/**
+ * Judge every move of an analyzed game
+ * @param {Array<Object>} moves - History entries
+ * @param {Array<Object|null>} evaluations - Indexed by entries played: {score, bestMove} with the
+ *   score from Black's point of view, or null for positions not (yet) evaluated
+ * @returns {Array<Object>} One review per evaluated move: {index, player, row, col, before, after,
+ *   afterIndex, loss, bestMove, label}, where afterIndex is the position after is taken from and
+ *   label is 'blunder', 'mistake' or null
+ */
+export function reviewMoves(moves, evaluations) {
+  const reviews = [];
+
+  moves.forEach((entry, index) => {
+    const before = evaluations[index];
+    if (entry.pass || !before) return;
+
+    // The next evaluated position; one pass may come in between
+    const afterIndex = moves[index + 1] && moves[index + 1].pass ? index + 2 : index + 1;
+    const after = evaluations[afterIndex];
+    if (!after) return;
+
+    const { bestMove } = before;
+    const playedBest = bestMove && bestMove.row === entry.row && bestMove.col === entry.col;
+    const drop = entry.player === BLACK ? before.score - after.score : after.score - before.score;
+    const loss = playedBest ? 0 : Math.max(0, drop);
+
+    let label = null;
+    if (loss >= BLUNDER_THRESHOLD) label = 'blunder';
+    else if (loss >= MISTAKE_THRESHOLD) label = 'mistake';
+
+    reviews.push({
+      index,
+      player: entry.player,
+      row: entry.row,
+      col: entry.col,
+      before: before.score,
+      after: after.score,
+      afterIndex,
+      loss,
+      bestMove,
+      label
+    });
+  });
+
+  return reviews;
+}
+
+/**
+ * Describe an evaluation for display
+ * @param {number} score - Evaluation from Black's point of view
+ * @returns {string} Signed score, or which side wins when the search found a won game
+ */
+export function formatEvaluation(score) {
+  if (score >= WIN_SCORE) return 'Black wins';
+  if (score <= -WIN_SCORE) return 'White wins';
+  return `${score > 0 ? '+' : ''}${score}`;
+}
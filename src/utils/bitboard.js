@@ -0,0 +1,333 @@
+/**
+ * Bitboard Core for Othello
+ * Represents each color as a 64-bit mask split into two unsigned 32-bit
+ * halves, so move generation and flipping are a handful of shifts and ANDs
+ * instead of walking the board square by square
+ *
+ * Square index = row * 8 + col; bits 0-31 (rows 0-3) live in the low half,
+ * bits 32-63 (rows 4-7) in the high half. Only the standard 8x8 board fits;
+ * searches on other sizes use gameLogic.js, which works square by square.
+ *
+ * Blocked "hole" squares have a mask of their own: they are never empty, so
+ * no one can play there, and as they hold no disc they end every run.
+ */
+
+import { EMPTY, BLACK, WHITE, BLOCKED } from './gameLogic.js';
+
+export const BITBOARD_SIZE = 8;
+
+// Masks clearing the A file (col 0) and H file (col 7) of each row
+const NOT_A_FILE = 0xfefefefe;
+const NOT_H_FILE = 0x7f7f7f7f;
+
+// Shift amount and wrap mask for each direction: positive shifts move
+// towards higher square indices (down/right), negative towards lower
+const DIRECTIONS = [
+  { shift: 1, mask: NOT_A_FILE },   // right
+  { shift: -1, mask: NOT_H_FILE },  // left
+  { shift: 8, mask: 0xffffffff },   // down
+  { shift: -8, mask: 0xffffffff },  // up
+  { shift: 9, mask: NOT_A_FILE },   // down-right
+  { shift: 7, mask: NOT_H_FILE },   // down-left
+  { shift: -7, mask: NOT_A_FILE },  // up-right
+  { shift: -9, mask: NOT_H_FILE }   // up-left
+];
+
+// Results of shiftMasked, kept in module scope to avoid allocating per shift
+let shiftedHi = 0;
+let shiftedLo = 0;
+
+/**
+ * Shift a 64-bit mask one step in a direction, dropping bits that wrap
+ * around the board edge; the result is left in shiftedHi/shiftedLo
+ * @param {number} hi - High 32 bits
+ * @param {number} lo - Low 32 bits
+ * @param {{shift: number, mask: number}} direction - Direction to shift
+ */
+function shiftMasked(hi, lo, direction) {
+  const { shift, mask } = direction;
+
+  if (shift > 0) {
+    shiftedHi = ((hi << shift) | (lo >>> (32 - shift))) & mask;
+    shiftedLo = (lo << shift) & mask;
+  } else {
+    const n = -shift;
+    shiftedLo = ((lo >>> n) | (hi << (32 - n))) & mask;
+    shiftedHi = (hi >>> n) & mask;
+  }
+}
+
+/**
+ * Test whether a square's bit is set
+ * @param {number} hi - High 32 bits
+ * @param {number} lo - Low 32 bits
+ * @param {number} square - Square index (0-63)
+ * @returns {boolean} True if the bit is set
+ */
+function testBit(hi, lo, square) {
+  return square < 32 ? ((lo >>> square) & 1) === 1 : ((hi >>> (square - 32)) & 1) === 1;
+}
+
+/**
+ * Count the set bits in a 32-bit integer
+ * @param {number} x - Integer to count
+ * @returns {number} Number of set bits
+ */
+function popCount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+/**
+ * Count the set bits in a 64-bit mask
+ * @param {{hi: number, lo: number}} mask - Mask to count
+ * @returns {number} Number of set bits
+ */
+export function countBits(mask) {
+  return popCount32(mask.hi) + popCount32(mask.lo);
+}
+
+/**
+ * Convert a 2D array board into a bitboard position
+ * @param {number[][]} board - Board state
+ * @returns {{blackHi: number, blackLo: number, whiteHi: number, whiteLo: number, blockedHi: number, blockedLo: number}}
+ *   Bitboard position
+ */
+export function fromBoard(board) {
+  let blackHi = 0;
+  let blackLo = 0;
+  let whiteHi = 0;
+  let whiteLo = 0;
+  let blockedHi = 0;
+  let blockedLo = 0;
+
+  for (let row = 0; row < BITBOARD_SIZE; row++) {
+    for (let col = 0; col < BITBOARD_SIZE; col++) {
+      const square = row * BITBOARD_SIZE + col;
+      const piece = board[row][col];
+      if (piece === EMPTY) continue;
+
+      if (square < 32) {
+        const bit = 1 << square;
+        if (piece === BLACK) blackLo |= bit;
+        else if (piece === WHITE) whiteLo |= bit;
+        else if (piece === BLOCKED) blockedLo |= bit;
+      } else {
+        const bit = 1 << (square - 32);
+        if (piece === BLACK) blackHi |= bit;
+        else if (piece === WHITE) whiteHi |= bit;
+        else if (piece === BLOCKED) blockedHi |= bit;
+      }
+    }
+  }
+
+  return {
+    blackHi: blackHi >>> 0,
+    blackLo: blackLo >>> 0,
+    whiteHi: whiteHi >>> 0,
+    whiteLo: whiteLo >>> 0,
+    blockedHi: blockedHi >>> 0,
+    blockedLo: blockedLo >>> 0
+  };
+}
+
+/**
+ * Convert a bitboard position back into a 2D array board
+ * @param {Object} position - Bitboard position
+ * @returns {number[][]} Board state
+ */
+export function toBoard(position) {
+  const board = [];
+
+  for (let row = 0; row < BITBOARD_SIZE; row++) {
+    const boardRow = [];
+    for (let col = 0; col < BITBOARD_SIZE; col++) {
+      const square = row * BITBOARD_SIZE + col;
+      if (testBit(position.blackHi, position.blackLo, square)) boardRow.push(BLACK);
+      else if (testBit(position.whiteHi, position.whiteLo, square)) boardRow.push(WHITE);
+      else if (testBit(position.blockedHi, position.blockedLo, square)) boardRow.push(BLOCKED);
+      else boardRow.push(EMPTY);
+    }
+    board.push(boardRow);
+  }
+
+  return board;
+}
+
+/**
+ * Split a position into the mover's and opponent's masks
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move (BLACK or WHITE)
+ * @returns {number[]} [ownHi, ownLo, oppHi, oppLo]
+ */
+function getSides(position, player) {
+  return player === BLACK
+    ? [position.blackHi, position.blackLo, position.whiteHi, position.whiteLo]
+    : [position.whiteHi, position.whiteLo, position.blackHi, position.blackLo];
+}
+
+/**
+ * Get all legal moves for a player as a mask
+ * Floods from the player's discs across runs of opponent discs in each
+ * direction; an empty square at the end of a run is a legal move
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move (BLACK or WHITE)
+ * @returns {{hi: number, lo: number}} Mask of legal move squares
+ */
+export function getMoveMask(position, player) {
+  const [ownHi, ownLo, oppHi, oppLo] = getSides(position, player);
+  const emptyHi = ~(ownHi | oppHi | position.blockedHi);
+  const emptyLo = ~(ownLo | oppLo | position.blockedLo);
+
+  let movesHi = 0;
+  let movesLo = 0;
+
+  for (const direction of DIRECTIONS) {
+    shiftMasked(ownHi, ownLo, direction);
+    let runHi = shiftedHi & oppHi;
+    let runLo = shiftedLo & oppLo;
+
+    // A run of opponent discs is at most 6 long
+    for (let i = 0; i < 5; i++) {
+      shiftMasked(runHi, runLo, direction);
+      runHi |= shiftedHi & oppHi;
+      runLo |= shiftedLo & oppLo;
+    }
+
+    shiftMasked(runHi, runLo, direction);
+    movesHi |= shiftedHi & emptyHi;
+    movesLo |= shiftedLo & emptyLo;
+  }
+
+  return { hi: movesHi >>> 0, lo: movesLo >>> 0 };
+}
+
+/**
+ * Get the opponent discs flipped by playing a square
+ * Shifts the move's bit along each direction while it lands on opponent
+ * discs; the run flips if the square past its end holds one of the
+ * player's discs
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square index (0-63) of the move
+ * @param {number} player - Player making the move
+ * @returns {{hi: number, lo: number}} Mask of flipped discs (empty if the move is illegal)
+ */
+export function getFlipMask(position, square, player) {
+  const [ownHi, ownLo, oppHi, oppLo] = getSides(position, player);
+
+  if (testBit(ownHi | oppHi | position.blockedHi, ownLo | oppLo | position.blockedLo, square)) {
+    return { hi: 0, lo: 0 };
+  }
+
+  const moveHi = square < 32 ? 0 : 1 << (square - 32);
+  const moveLo = square < 32 ? 1 << square : 0;
+  let flipsHi = 0;
+  let flipsLo = 0;
+
+  for (const direction of DIRECTIONS) {
+    let runHi = 0;
+    let runLo = 0;
+    shiftMasked(moveHi, moveLo, direction);
+
+    // Extend the run while the shifted bit is an opponent disc; the edge masks
+    // clear the bit when it would leave the board
+    while (((shiftedHi & oppHi) | (shiftedLo & oppLo)) !== 0) {
+      runHi |= shiftedHi;
+      runLo |= shiftedLo;
+      shiftMasked(shiftedHi, shiftedLo, direction);
+    }
+
+    if (((shiftedHi & ownHi) | (shiftedLo & ownLo)) !== 0) {
+      flipsHi |= runHi;
+      flipsLo |= runLo;
+    }
+  }
+
+  return { hi: flipsHi >>> 0, lo: flipsLo >>> 0 };
+}
+
+/**
+ * Play a move, placing a disc and flipping the captured discs
+ * The move is assumed to be legal
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square index (0-63) of the move
+ * @param {number} player - Player making the move
+ * @returns {Object} New bitboard position
+ */
+export function applyMove(position, square, player) {
+  const flips = getFlipMask(position, square, player);
+  const placeHi = square < 32 ? 0 : 1 << (square - 32);
+  const placeLo = square < 32 ? 1 << square : 0;
+
+  if (player === BLACK) {
+    return {
+      blackHi: (position.blackHi | flips.hi | placeHi) >>> 0,
+      blackLo: (position.blackLo | flips.lo | placeLo) >>> 0,
+      whiteHi: (position.whiteHi & ~flips.hi) >>> 0,
+      whiteLo: (position.whiteLo & ~flips.lo) >>> 0,
+      blockedHi: position.blockedHi,
+      blockedLo: position.blockedLo
+    };
+  }
+
+  return {
+    blackHi: (position.blackHi & ~flips.hi) >>> 0,
+    blackLo: (position.blackLo & ~flips.lo) >>> 0,
+    whiteHi: (position.whiteHi | flips.hi | placeHi) >>> 0,
+    whiteLo: (position.whiteLo | flips.lo | placeLo) >>> 0,
+    blockedHi: position.blockedHi,
+    blockedLo: position.blockedLo
+  };
+}
+
+/**
+ * List the squares set in a mask, in ascending (row-major) order
+ * @param {{hi: number, lo: number}} mask - Mask to list
+ * @returns {number[]} Square indices
+ */
+export function maskToSquares(mask) {
+  const squares = [];
+  let { hi, lo } = mask;
+
+  while (lo !== 0) {
+    const bit = lo & -lo;
+    squares.push(31 - Math.clz32(bit));
+    lo = (lo ^ bit) >>> 0;
+  }
+  while (hi !== 0) {
+    const bit = hi & -hi;
+    squares.push(63 - Math.clz32(bit));
+    hi = (hi ^ bit) >>> 0;
+  }
+
+  return squares;
+}
+
+/**
+ * Count leaf nodes of the move tree to a fixed depth (perft)
+ * A pass counts as a move; a finished game counts as a leaf
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move
+ * @param {number} depth - Depth to count to
+ * @returns {number} Number of leaf nodes
+ */
+export function perftBitboard(position, player, depth) {
+  if (depth === 0) return 1;
+
+  const opponent = player === BLACK ? WHITE : BLACK;
+  const moves = getMoveMask(position, player);
+
+  if ((moves.hi | moves.lo) === 0) {
+    const opponentMoves = getMoveMask(position, opponent);
+    if ((opponentMoves.hi | opponentMoves.lo) === 0) return 1; // Game over
+    return perftBitboard(position, opponent, depth - 1); // Pass
+  }
+
+  let nodes = 0;
+  for (const square of maskToSquares(moves)) {
+    nodes += perftBitboard(applyMove(position, square, player), opponent, depth - 1);
+  }
+  return nodes;
+}
@@ -0,0 +1,33 @@
+/**
+ * Search Comparison for Othello
+ * Describes the searches the comparison tool runs side by side on one
+ * position, to show how many nodes alpha-beta pruning and move ordering save
+ */
+
+// Searches compared at each depth. None uses the transposition table, so the
+// node counts differ only by pruning and ordering
+export const COMPARISON_SEARCHES = [
+  { key: 'minimax', label: 'Mini-Max', alphaBeta: false, moveOrdering: false },
+  { key: 'alphaBeta', label: 'Alpha-Beta', alphaBeta: true, moveOrdering: false },
+  { key: 'ordered', label: 'α-β + Ordering', alphaBeta: true, moveOrdering: true }
+];
+
+/**
+ * Get the searches to compare
+ * @param {boolean} includeOrdering - Whether to include alpha-beta with move ordering
+ * @returns {Array<Object>} Searches {key, label, alphaBeta, moveOrdering}
+ */
+export function getComparisonSearches(includeOrdering) {
+  return COMPARISON_SEARCHES.filter((search) => includeOrdering || !search.moveOrdering);
+}
+
+/**
+ * Check that every search at one depth found the same minimax value
+ * Alpha-beta only skips moves that cannot change the result, so the values
+ * must match; the chosen moves may still differ between equally good moves
+ * @param {Array<{score: number}>} runs - Results of the searches at one depth
+ * @returns {boolean} True if all values are equal
+ */
+export function valuesAgree(runs) {
+  return runs.every((run) => run.score === runs[0].score);
+}
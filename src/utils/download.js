@@ -0,0 +1,20 @@
+/**
+ * File Download Helper
+ * Saves generated text (profiles, game records) as a file through the browser
+ */
+
+/**
+ * Download text as a file
+ * @param {string} fileName - Name to save the file as
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadText(fileName, text, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
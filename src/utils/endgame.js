@@ -0,0 +1,295 @@
+/**
+ * Exact Endgame Solver for Othello
+ * Searches to the end of the game on bitboards and returns the exact final
+ * disc differential, or just win/loss/draw for a faster proof; in
+ * anti-Othello the differential counts for the side with fewer discs
+ *
+ * Move ordering:
+ *   - Hash move: the best move found on an earlier visit of the position goes first
+ *   - Fastest-first: moves leaving the opponent the fewest replies go first
+ *   - Parity: moves into board quadrants with an odd number of empties go
+ *     first, so the mover tends to get the last move in each region
+ *
+ * The work grows several times over with each extra empty square, so a solve
+ * can be given a time budget; when it runs out the solver gives up without a
+ * result and the caller falls back to a normal search.
+ */
+
+import { BLACK, WHITE, isAntiOthello } from './gameLogic.js';
+import { fromBoard, getMoveMask, applyMove, maskToSquares, countBits } from './bitboard.js';
+import { hashPosition } from './zobrist.js';
+import { createTranspositionTable, EXACT, LOWER_BOUND, UPPER_BOUND } from './transpositionTable.js';
+
+const BOARD_SIZE = 8;
+
+// Below this many empties, fastest-first costs more than it saves
+const FASTEST_FIRST_MIN_EMPTIES = 7;
+
+// Below this many empties, hashing a position costs more than the table saves
+const TRANSPOSITION_MIN_EMPTIES = 8;
+
+// How many nodes to search between clock checks
+const TIME_CHECK_INTERVAL = 4096;
+
+// How many nodes to search between progress reports
+const PROGRESS_INTERVAL = 100000;
+
+// Quadrant (0-3) of each square, used for parity ordering
+const QUADRANT = Array.from({ length: BOARD_SIZE * BOARD_SIZE }, (_, square) => {
+  const row = Math.floor(square / BOARD_SIZE);
+  const col = square % BOARD_SIZE;
+  return (row < 4 ? 0 : 2) + (col < 4 ? 0 : 1);
+});
+
+// Cleared at the start of each solve; scores are from the side to move's view
+const transpositionTable = createTranspositionTable();
+
+let nodesSearched = 0;
+let deadline = null;
+let timedOut = false;
+let progressCallback = null;
+let currentBestMove = null;
+let currentEmpties = 0;
+
+/**
+ * Get the number of nodes searched by the last solve
+ * @returns {number} Number of nodes searched
+ */
+export function getEndgameNodes() {
+  return nodesSearched;
+}
+
+/**
+ * Count the empty squares on a board
+ * @param {number[][]} board - Current board state
+ * @returns {number} Number of empty squares
+ */
+export function countEmpties(board) {
+  const position = fromBoard(board);
+  return BOARD_SIZE * BOARD_SIZE - countBits({ hi: position.blackHi, lo: position.blackLo }) -
+    countBits({ hi: position.whiteHi, lo: position.whiteLo }) -
+    countBits({ hi: position.blockedHi, lo: position.blockedLo });
+}
+
+/**
+ * Final disc differential from a player's perspective
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to score for
+ * @returns {number} Player's discs minus opponent's discs
+ */
+function discDifference(position, player) {
+  const black = countBits({ hi: position.blackHi, lo: position.blackLo });
+  const white = countBits({ hi: position.whiteHi, lo: position.whiteLo });
+  return player === BLACK ? black - white : white - black;
+}
+
+/**
+ * Final score of a finished game from a player's perspective
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to score for
+ * @returns {number} Disc differential, negated in anti-Othello where fewer discs win
+ */
+function finalScore(position, player) {
+  const difference = discDifference(position, player);
+  return isAntiOthello() ? -difference : difference;
+}
+
+/**
+ * Report the solve's progress to the registered callback
+ */
+function reportProgress() {
+  if (progressCallback) {
+    progressCallback({ bestMove: currentBestMove, nodesExamined: nodesSearched, depth: currentEmpties });
+  }
+}
+
+/**
+ * Check whether a timed solve has run out of time
+ * The clock is only read every TIME_CHECK_INTERVAL nodes to keep it cheap
+ * @returns {boolean} True if the solve should stop
+ */
+function isOutOfTime() {
+  if (deadline === null) return false;
+  if (!timedOut && nodesSearched % TIME_CHECK_INTERVAL === 0 && Date.now() >= deadline) {
+    timedOut = true;
+  }
+  return timedOut;
+}
+
+/**
+ * Order moves for the solver
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move
+ * @param {number[]} squares - Legal move squares
+ * @param {number} empties - Number of empty squares
+ * @param {number} hashMove - Best move of an earlier visit, or -1
+ * @returns {number[]} Squares in search order
+ */
+function orderMoves(position, player, squares, empties, hashMove = -1) {
+  if (squares.length < 2) return squares;
+
+  // Count empties per quadrant for parity
+  const quadrantEmpties = [0, 0, 0, 0];
+  const occupiedHi = position.blackHi | position.whiteHi | position.blockedHi;
+  const occupiedLo = position.blackLo | position.whiteLo | position.blockedLo;
+  for (const square of maskToSquares({ hi: ~occupiedHi >>> 0, lo: ~occupiedLo >>> 0 })) {
+    quadrantEmpties[QUADRANT[square]]++;
+  }
+
+  const opponent = player === BLACK ? WHITE : BLACK;
+  const keyed = squares.map((square) => {
+    if (square === hashMove) return { square, key: -1 };
+
+    // Odd quadrants first; within them, fewest opponent replies first
+    let key = (quadrantEmpties[QUADRANT[square]] & 1) ? 0 : 100;
+    if (empties >= FASTEST_FIRST_MIN_EMPTIES) {
+      key += countBits(getMoveMask(applyMove(position, square, player), opponent));
+    }
+    return { square, key };
+  });
+
+  keyed.sort((a, b) => a.key - b.key);
+  return keyed.map(({ square }) => square);
+}
+
+/**
+ * Negamax alpha-beta search to the end of the game
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move
+ * @param {number} alpha - Lower bound of the window
+ * @param {number} beta - Upper bound of the window
+ * @param {number} empties - Number of empty squares
+ * @param {boolean} passed - Whether the previous player passed
+ * @returns {number} Final score for the player to move (bounded by the window;
+ *   meaningless once the solve has run out of time)
+ */
+function solve(position, player, alpha, beta, empties, passed) {
+  nodesSearched++;
+
+  if (nodesSearched % PROGRESS_INTERVAL === 0) {
+    reportProgress();
+  }
+
+  if (isOutOfTime()) {
+    return 0;
+  }
+
+  const opponent = player === BLACK ? WHITE : BLACK;
+  const moves = getMoveMask(position, player);
+
+  if ((moves.hi | moves.lo) === 0) {
+    // Neither side can move: the game is over
+    if (passed) return finalScore(position, player);
+    return -solve(position, opponent, -beta, -alpha, empties, true);
+  }
+
+  // The number of empties is fixed by the position, so every entry is deep enough
+  let hash = null;
+  let hashMove = -1;
+  if (empties >= TRANSPOSITION_MIN_EMPTIES) {
+    hash = hashPosition(position, player);
+    const entry = transpositionTable.probe(hash, empties);
+
+    if (entry) {
+      if (entry.bound === EXACT) return entry.score;
+      if (entry.bound === LOWER_BOUND) alpha = Math.max(alpha, entry.score);
+      else beta = Math.min(beta, entry.score);
+      if (alpha >= beta) return entry.score;
+    }
+    hashMove = transpositionTable.getMove(hash);
+  }
+
+  // Window actually searched, used to classify the result for the table
+  const searchAlpha = alpha;
+  let best = -Infinity;
+  let bestSquare = -1;
+  const squares = orderMoves(position, player, maskToSquares(moves), empties, hashMove);
+
+  for (const square of squares) {
+    const score = -solve(applyMove(position, square, player), opponent, -beta, -alpha, empties - 1, false);
+
+    if (score > best) {
+      best = score;
+      bestSquare = square;
+      if (score > alpha) {
+        alpha = score;
+        if (alpha >= beta) break;
+      }
+    }
+  }
+
+  // A timed-out solve returns meaningless scores that must not be cached
+  if (hash && !timedOut) {
+    let bound = EXACT;
+    if (best <= searchAlpha) bound = UPPER_BOUND;
+    else if (best >= beta) bound = LOWER_BOUND;
+    transpositionTable.store(hash, empties, best, bound, bestSquare);
+  }
+
+  return best;
+}
+
+/**
+ * Solve an endgame position perfectly
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to move
+ * @param {Object} options - Solve options
+ * @param {boolean} [options.wldOnly] - Only prove win/loss/draw (score is then -1, 0 or 1)
+ * @param {number} [options.timeLimit] - Time budget in milliseconds; unlimited if not set
+ * @param {Function} [options.onProgress] - Called with {bestMove, nodesExamined, depth} while solving
+ * @returns {{row: number, col: number, score: number|null}|null} Best move and its proven score,
+ *   or null if the time ran out before the result was proven
+ */
+export function solveEndgame(board, player, options = {}) {
+  const { wldOnly = false, timeLimit = null, onProgress = null } = options;
+
+  nodesSearched = 0;
+  deadline = timeLimit ? Date.now() + timeLimit : null;
+  timedOut = false;
+  progressCallback = onProgress;
+  currentBestMove = null;
+  transpositionTable.clear();
+
+  const position = fromBoard(board);
+  const opponent = player === BLACK ? WHITE : BLACK;
+  const empties = countEmpties(board);
+  const moves = getMoveMask(position, player);
+  currentEmpties = empties;
+
+  if ((moves.hi | moves.lo) === 0) {
+    return { row: -1, col: -1, score: null };
+  }
+
+  // A win/loss/draw proof only needs to tell scores apart around zero
+  let alpha = wldOnly ? -1 : -Infinity;
+  const beta = wldOnly ? 1 : Infinity;
+  let bestMove = { row: -1, col: -1, score: -Infinity };
+
+  for (const square of orderMoves(position, player, maskToSquares(moves), empties)) {
+    const score = -solve(applyMove(position, square, player), opponent, -beta, -alpha, empties - 1, false);
+
+    // Part of the tree is unsearched, so nothing is proven
+    if (timedOut) break;
+
+    if (score > bestMove.score) {
+      bestMove = { row: Math.floor(square / BOARD_SIZE), col: square % BOARD_SIZE, score };
+      currentBestMove = bestMove;
+      if (score > alpha) {
+        alpha = score;
+        if (alpha >= beta) break;
+      }
+    }
+
+    reportProgress();
+  }
+
+  deadline = null;
+  progressCallback = null;
+  if (timedOut) return null;
+
+  if (wldOnly) {
+    bestMove.score = Math.sign(bestMove.score);
+  }
+
+  return bestMove;
+}
@@ -0,0 +1,180 @@
+/**
+ * Engine API for Othello
+ * Wraps the search worker with a promise-based interface that streams
+ * progress updates and can be cancelled at any time
+ *
+ * Each engine runs one search at a time in its own worker, so separate
+ * engines can search side by side. A search that fails in the worker rejects
+ * its promise
+ */
+
+/**
+ * Create a new search engine backed by a Web Worker
+ * The worker is started lazily on the first search and restarted after a cancel
+ * @returns {{search: Function, scoreMoves: Function, compare: Function, cancel: Function, setOpeningBook: Function}} Engine instance
+ */
+export function createEngine() {
+  let worker = null;
+  let nextSearchId = 0;
+  let pending = null; // { id, resolve, reject, onProgress }
+  let bookEntries = null; // Custom opening book, or null for the bundled one
+
+  /**
+   * Handle a message posted by the worker
+   * @param {MessageEvent} event - Worker message
+   */
+  const handleMessage = (event) => {
+    const message = event.data;
+
+    // Ignore messages from searches that are no longer pending
+    if (!pending || message.id !== pending.id) return;
+
+    const { type, id, ...data } = message;
+
+    if (type === 'progress') {
+      if (pending.onProgress) {
+        pending.onProgress(data);
+      }
+    } else if (type === 'result') {
+      const { resolve } = pending;
+      pending = null;
+      resolve(data);
+    }
+  };
+
+  /**
+   * Handle the worker failing: an exception thrown by the search, or a
+   * message that could not be read
+   * The worker is discarded, so the next search starts a fresh one, and the
+   * pending search is rejected
+   * @param {ErrorEvent|MessageEvent} event - Error event
+   */
+  const handleError = (event) => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    if (pending) {
+      const { reject } = pending;
+      pending = null;
+      reject(new Error(event.message || 'the search worker failed'));
+    }
+  };
+
+  /**
+   * Get the running worker, starting one if needed
+   * @returns {Worker} Search worker
+   */
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('./searchWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+      worker.onmessageerror = handleError;
+      // A restarted worker starts with the bundled book again
+      if (bookEntries) {
+        worker.postMessage({ type: 'loadBook', entries: bookEntries });
+      }
+    }
+    return worker;
+  };
+
+  /**
+   * Replace the opening book used by the worker
+   * The book is kept and reloaded whenever the worker is restarted
+   * @param {Array} entries - Opening book entries
+   */
+  const setOpeningBook = (entries) => {
+    bookEntries = entries;
+    if (worker) {
+      worker.postMessage({ type: 'loadBook', entries });
+    }
+  };
+
+  /**
+   * Cancel the running search, if any
+   * The worker is terminated because a synchronous search cannot be interrupted;
+   * the pending search resolves with null
+   */
+  const cancel = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    if (pending) {
+      const { resolve } = pending;
+      pending = null;
+      resolve(null);
+    }
+  };
+
+  /**
+   * Send a request to the worker, cancelling any search already running
+   * @param {string} type - Worker message type
+   * @param {Object} request - Request fields
+   * @param {Function} [onProgress] - Called with progress updates
+   * @returns {Promise<Object|null>} Result fields, or null if cancelled; rejects if the worker fails
+   */
+  const start = (type, request, onProgress) => {
+    cancel();
+
+    const id = ++nextSearchId;
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress };
+      getWorker().postMessage({ type, id, ...request });
+    });
+  };
+
+  /**
+   * Start a search for the best move, cancelling any search already running
+   * @param {Object} request - Search request
+   * @param {number[][]} request.board - Current board state
+   * @param {number} request.player - Player to find move for
+   * @param {string} request.engine - 'minimax' or 'mcts'
+   * @param {number} request.depth - Search depth
+   * @param {number} [request.timeLimit] - Time budget in ms; when set, replaces the depth or playout count
+   * @param {boolean} request.alphaBeta - Whether to use alpha-beta pruning
+   * @param {boolean} request.transposition - Whether to use the transposition table
+   * @param {boolean} request.moveOrdering - Whether to order moves before searching them
+   * @param {number} request.endgameThreshold - Solve exactly at or below this many empties (0 disables)
+   * @param {boolean} request.wldOnly - Have the endgame solver prove only win/loss/draw
+   * @param {boolean} request.useBook - Play a book move when the position is in the opening book
+   * @param {number} request.mctsPlayouts - Playouts per MCTS search
+   * @param {number} request.mctsExploration - MCTS exploration constant
+   * @param {boolean} request.mctsHeuristic - Guide MCTS playouts with the heuristic
+   * @param {Object} request.heuristicProfile - Evaluation profile for the side to move
+   * @param {boolean} request.debug - Whether to log the search to the console and record a search trace
+   * @param {number} [request.traceLimit] - Most nodes a search trace records
+   * @param {Function} [onProgress] - Called with {bestMove, nodesExamined, depth} while searching
+   * @returns {Promise<{bestMove: Object, nodesExamined: number, depthReached: number, transpositionStats: Object, solved: Object, mctsStats: Array, trace: Object}|null>} Search result, or null if cancelled
+   */
+  const search = (request, onProgress) => start('search', request, onProgress);
+
+  /**
+   * Score every legal move with an exact Mini-Max search, cancelling any search already running
+   * @param {Object} request - Scoring request
+   * @param {number[][]} request.board - Current board state
+   * @param {number} request.player - Player to score moves for
+   * @param {number} request.depth - Search depth
+   * @param {Object} request.heuristicProfile - Evaluation profile for the side to move
+   * @returns {Promise<{moves: Array<{row: number, col: number, score: number}>, nodesExamined: number}|null>}
+   *   Moves best first, or null if cancelled
+   */
+  const scoreMoves = (request) => start('scoreMoves', request);
+
+  /**
+   * Compare plain Mini-Max with alpha-beta at each depth, cancelling any search already running
+   * @param {Object} request - Comparison request
+   * @param {number[][]} request.board - Current board state
+   * @param {number} request.player - Player to move
+   * @param {number} request.maxDepth - Deepest depth compared
+   * @param {boolean} request.includeOrdering - Also run alpha-beta with move ordering
+   * @param {Object} request.heuristicProfile - Evaluation profile for the side to move
+   * @param {Function} [onProgress] - Called with {rows} as each depth completes
+   * @returns {Promise<{rows: Array<{depth: number, runs: Array<Object>, agree: boolean}>}|null>}
+   *   One row per depth, or null if cancelled
+   */
+  const compare = (request, onProgress) => start('compare', request, onProgress);
+
+  return { search, scoreMoves, compare, cancel, setOpeningBook };
+}
@@ -0,0 +1,243 @@
+/**
+ * Game Database Files for Othello
+ * Reads games from GGF text files and WTHOR (.wtb) binary databases, and
+ * writes our own games as GGF, so real games can be studied and our games
+ * taken into other analysis tools
+ *
+ * GGF: "(;GM[Othello]PB[black]PW[white]RE[+2.000]TY[8]BO[8 <64 squares> *]B[f5]W[d6]...;)"
+ * with "*" for black, "O" for white and "-" for empty squares; holes are
+ * written as "#", which other programs may not read
+ *
+ * WTHOR: a 16-byte header followed by 68-byte game records; bytes 8-67 of a
+ * record are the moves, each 10 * row + col with both counted from 1 (f5 = 56)
+ * and 0 after the last move. Player and tournament names live in separate
+ * files, so only their numbers are available here.
+ *
+ * Parsed games are {black, white, event, date, result, start, moves}, where
+ * start is the GGF starting position {board, player} (null for the standard
+ * start) and moves are history entries replayed and checked with
+ * importTranscript. GGF games may be on any board size the game supports
+ * (TY[6], TY[10]); WTHOR databases are 8x8 only. Games on other board sizes or
+ * with an illegal move are skipped.
+ */
+
+import { BLACK, WHITE, EMPTY, BLOCKED, BOARD_SIZES, DEFAULT_BOARD_SIZE, initializeBoard, calculateScore } from './gameLogic.js';
+import { toAlgebraic, importTranscript } from './notation.js';
+
+const WTHOR_BOARD_SIZE = 8;
+
+const WTHOR_HEADER_SIZE = 16;
+const WTHOR_RECORD_SIZE = 68;
+const WTHOR_MOVES_OFFSET = 8;
+const WTHOR_MOVE_COUNT = 60;
+
+// GGF square characters
+const GGF_PIECES = { [EMPTY]: '-', [BLACK]: '*', [WHITE]: 'O', [BLOCKED]: '#' };
+const GGF_CHARS = { '-': EMPTY, '*': BLACK, O: WHITE, '#': BLOCKED };
+
+/**
+ * Write a board as a GGF BO[] value
+ * @param {number[][]} board - Board state
+ * @param {number} player - Player to move
+ * @returns {string} Board size, rows of squares and the side to move
+ */
+function boardToGGF(board, player) {
+  const rows = board.map((row) => row.map((piece) => GGF_PIECES[piece]).join(''));
+  return `${board.length} ${rows.join(' ')} ${GGF_PIECES[player]}`;
+}
+
+// The standard starting position as GGF writes it, without whitespace
+const GGF_START = boardToGGF(initializeBoard(), BLACK).replace(/\s+/g, '');
+
+/**
+ * Read a GGF BO[] value
+ * @param {string} value - Board size, squares and side to move
+ * @returns {{board: number[][], player: number}|null} Position, or null if it is not a valid board of a supported size
+ */
+function parseGGFBoard(value) {
+  const [, sizeText, compact] = /^(\d*)(.*)$/.exec(value.replace(/\s+/g, '').toUpperCase());
+  const size = sizeText ? parseInt(sizeText, 10) : DEFAULT_BOARD_SIZE;
+  if (!BOARD_SIZES.includes(size) || compact.length !== size * size + 1 || !/^[-*O#]+$/.test(compact)) return null;
+
+  const board = [];
+  for (let row = 0; row < size; row++) {
+    board.push([...compact.slice(row * size, (row + 1) * size)].map((char) => GGF_CHARS[char]));
+  }
+
+  const player = GGF_CHARS[compact[size * size]];
+  if (player !== BLACK && player !== WHITE) return null;
+  return { board, player };
+}
+
+/**
+ * Replay a list of move tokens into history entries
+ * @param {string[]} tokens - Moves such as "f5", or "pa" for a pass
+ * @param {Object|null} start - Starting position, or null for the standard start
+ * @returns {Array<Object>|null} History entries, or null if a move is illegal
+ */
+function replayTokens(tokens, start = null) {
+  if (tokens.length === 0) return [];
+  try {
+    return importTranscript(tokens.join(''), start);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a GGF file
+ * @param {string} text - File contents, one or more games
+ * @returns {{games: Array<Object>, skipped: number}} Parsed games and the number skipped
+ */
+export function parseGGF(text) {
+  const games = [];
+  let skipped = 0;
+
+  for (const [, body] of text.matchAll(/\(;([\s\S]*?);\)/g)) {
+    const properties = {};
+    const tokens = [];
+
+    for (const [, key, value] of body.matchAll(/([A-Z]{1,2})\[([^\]]*)\]/g)) {
+      if (key === 'B' || key === 'W') {
+        // Moves may carry an evaluation and time: "f5/1.23/4.5"
+        tokens.push(value.split('/')[0].trim().toLowerCase());
+      } else {
+        properties[key] = value.trim();
+      }
+    }
+
+    const standardStart = !properties.BO || properties.BO.replace(/\s+/g, '').toUpperCase() === GGF_START;
+    const start = standardStart ? null : parseGGFBoard(properties.BO);
+    const moves = standardStart || start ? replayTokens(tokens, start) : null;
+
+    if (!moves) {
+      skipped++;
+      continue;
+    }
+
+    games.push({
+      black: properties.PB || 'Black',
+      white: properties.PW || 'White',
+      event: properties.PC || '',
+      date: properties.DT || '',
+      result: properties.RE || '',
+      start,
+      moves
+    });
+  }
+
+  return { games, skipped };
+}
+
+/**
+ * Parse a WTHOR database
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{games: Array<Object>, skipped: number}} Parsed games and the number skipped
+ * @throws {Error} If the file is too short or not an 8x8 database
+ */
+export function parseWTHOR(buffer) {
+  if (buffer.byteLength < WTHOR_HEADER_SIZE) {
+    throw new Error('file is too short to be a WTHOR database');
+  }
+
+  const view = new DataView(buffer);
+  const declaredGames = view.getUint32(4, true);
+  const year = view.getUint16(10, true);
+  const boardSize = view.getUint8(12);
+
+  if (boardSize !== 0 && boardSize !== WTHOR_BOARD_SIZE) {
+    throw new Error(`only 8x8 databases are supported (board size ${boardSize})`);
+  }
+
+  const recordCount = Math.min(declaredGames, Math.floor((buffer.byteLength - WTHOR_HEADER_SIZE) / WTHOR_RECORD_SIZE));
+  const games = [];
+  let skipped = 0;
+
+  for (let i = 0; i < recordCount; i++) {
+    const offset = WTHOR_HEADER_SIZE + i * WTHOR_RECORD_SIZE;
+    const tokens = [];
+    let valid = true;
+
+    for (let m = 0; m < WTHOR_MOVE_COUNT; m++) {
+      const code = view.getUint8(offset + WTHOR_MOVES_OFFSET + m);
+      if (code === 0) break;
+
+      const row = Math.floor(code / 10) - 1;
+      const col = (code % 10) - 1;
+      if (row < 0 || row >= WTHOR_BOARD_SIZE || col < 0 || col >= WTHOR_BOARD_SIZE) {
+        valid = false;
+        break;
+      }
+      tokens.push(toAlgebraic(row, col));
+    }
+
+    const moves = valid ? replayTokens(tokens) : null;
+    if (!moves) {
+      skipped++;
+      continue;
+    }
+
+    const blackDiscs = view.getUint8(offset + 6);
+    const difference = 2 * blackDiscs - WTHOR_BOARD_SIZE * WTHOR_BOARD_SIZE;
+
+    games.push({
+      black: `Player #${view.getUint16(offset + 2, true)}`,
+      white: `Player #${view.getUint16(offset + 4, true)}`,
+      event: `Tournament #${view.getUint16(offset, true)}`,
+      date: year ? String(year) : '',
+      result: `${difference >= 0 ? '+' : ''}${difference}`,
+      start: null,
+      moves
+    });
+  }
+
+  return { games, skipped };
+}
+
+/**
+ * Parse a game database file, choosing the format by file name
+ * @param {string} name - File name (".wtb" is WTHOR, anything else GGF)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{games: Array<Object>, skipped: number}} Parsed games and the number skipped
+ */
+export function parseGameFile(name, buffer) {
+  if (/\.wtb$/i.test(name)) {
+    return parseWTHOR(buffer);
+  }
+  return parseGGF(new TextDecoder().decode(buffer));
+}
+
+/**
+ * Write a game as GGF
+ * @param {Array<Object>} moves - History entries ({player, row, col} or {player, pass: true})
+ * @param {Object} info - Game details
+ * @param {string} [info.black] - Black player's name
+ * @param {string} [info.white] - White player's name
+ * @param {number[][]} [info.finalBoard] - Final board, to record the result when the game is over
+ * @param {Object|null} [info.start] - Starting position {board, player}, or null for the standard start
+ * @param {Date} [info.date] - When the game was played
+ * @returns {string} GGF game record
+ */
+export function exportGGF(moves, { black = 'Black', white = 'White', finalBoard = null, start = null, date = new Date() } = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const dateText = `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}_` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+  let record = `(;GM[Othello]PC[Othello-]DT[${dateText}]PB[${black}]PW[${white}]`;
+
+  if (finalBoard) {
+    const { black: blackDiscs, white: whiteDiscs } = calculateScore(finalBoard);
+    const difference = blackDiscs - whiteDiscs;
+    record += `RE[${difference >= 0 ? '+' : ''}${difference.toFixed(3)}]`;
+  }
+
+  const { board: startBoard, player: startPlayer } = start || { board: initializeBoard(), player: BLACK };
+  record += `TY[${startBoard.length}]BO[${boardToGGF(startBoard, startPlayer)}]`;
+
+  for (const entry of moves) {
+    const color = entry.player === BLACK ? 'B' : 'W';
+    record += `${color}[${entry.pass ? 'pa' : toAlgebraic(entry.row, entry.col)}]`;
+  }
+
+  return `${record};)`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Game History for Othello
+ * A game is kept as a list of entries, {player, row, col} for a move and
+ * {player, pass: true} for a forced pass. Any earlier position is rebuilt by
+ * replaying the list from the starting position with makeMove.
+ *
+ * A game set up in the position editor starts from its own position,
+ * passed as start = {board, player}; null means the standard start.
+ */
+
+import { BLACK, WHITE, initializeBoard, makeMove, isGameOver, getWinner } from './gameLogic.js';
+
+/**
+ * Get the player to move after a number of history entries
+ * @param {Array<Object>} moves - History entries
+ * @param {number} count - Number of entries played
+ * @param {Object|null} start - Starting position {board, player}, or null for the standard start
+ * @returns {number} Player to move (BLACK or WHITE)
+ */
+export function getPlayerToMove(moves, count, start = null) {
+  if (count === 0) return start ? start.player : BLACK;
+  return moves[count - 1].player === BLACK ? WHITE : BLACK;
+}
+
+/**
+ * Rebuild the game state after the first entries of a history
+ * @param {Array<Object>} moves - History entries
+ * @param {number} count - Number of entries to replay
+ * @param {Object|null} start - Starting position {board, player}, or null for the standard start
+ * @returns {{board: number[][], currentPlayer: number, gameOver: boolean, winner: number|null, passedPlayer: number|null}}
+ *   Game state at that point
+ */
+export function replayHistory(moves, count = moves.length, start = null) {
+  let board = start ? start.board : initializeBoard();
+
+  for (const entry of moves.slice(0, count)) {
+    if (!entry.pass) {
+      board = makeMove(board, entry.row, entry.col, entry.player);
+    }
+  }
+
+  const currentPlayer = getPlayerToMove(moves, count, start);
+  const gameOver = isGameOver(board, currentPlayer);
+  const last = count > 0 ? moves[count - 1] : null;
+
+  return {
+    board,
+    currentPlayer,
+    gameOver,
+    winner: gameOver ? getWinner(board) : null,
+    passedPlayer: last && last.pass ? last.player : null
+  };
+}
+
+/**
+ * Move a history position off any point where a player is about to pass
+ * Such positions have no legal moves for the side to move, so they are
+ * skipped in the given direction
+ * @param {Array<Object>} moves - History entries
+ * @param {number} count - Candidate number of entries played
+ * @param {number} direction - 1 to skip forward, -1 to skip back
+ * @returns {number} Number of entries played at a playable position
+ */
+export function skipPasses(moves, count, direction) {
+  let index = Math.max(0, Math.min(count, moves.length));
+  let step = direction;
+  while (index < moves.length && moves[index].pass) {
+    // A set-up game can open with a pass; there is nothing playable before it
+    if (index === 0) step = 1;
+    index += step;
+  }
+  return index;
+}
@@ -1,13 +1,31 @@
 /**
  * Game Logic for Othello
  * Handles board representation, valid move detection, and disc flipping
+ *
+ * The functions here work square by square (mailbox) on the arrays the React
+ * components use; the board size is the array's length. Converting to
+ * bitboards costs more than a single move check saves, so only the searches
+ * use the bitboard core (bitboard.js): on the standard 8x8 board they convert
+ * the root once and carry bitboard positions through the tree. perft counts
+ * the move tree here so it can be checked against perftBitboard.
+ *
+ * Rule variants: BLOCKED squares are holes no one may play on, which also
+ * end a line of discs like the board's edge, and in anti-Othello (set with
+ * setAntiOthello) the player with fewer discs wins. Variant starting
+ * positions are built in variants.js.
  */
 
 export const EMPTY = 0;
 export const BLACK = 1;
 export const WHITE = 2;
+export const BLOCKED = 3; // Hole square, not playable
 
-const BOARD_SIZE = 8;
+// Board sizes a game can be played on; all are even so the start is centered
+export const BOARD_SIZES = [6, 8, 10];
+export const DEFAULT_BOARD_SIZE = 8;
+export const MAX_BOARD_SIZE = Math.max(...BOARD_SIZES);
+
+let antiOthello = false;
 
 // 8 directions: up, down, left, right, and 4 diagonals
 const DIRECTION_OFFSETS = [
@@ -18,13 +36,15 @@ const DIRECTION_OFFSETS = [
 
 /**
  * Initialize a new Othello board with the starting position
- * @returns {number[][]} 8x8 board with initial pieces
+ * @param {number} size - Board size (even)
+ * @returns {number[][]} Board of that size with the four center pieces
  */
-export function initializeBoard() {
-  const board = Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(EMPTY));
+export function initializeBoard(size = DEFAULT_BOARD_SIZE) {
+  const board = Array(size).fill(null).map(() => Array(size).fill(EMPTY));
   // Center starting position
-  board[3][3] = board[4][4] = WHITE;
-  board[3][4] = board[4][3] = BLACK;
+  const center = size / 2;
+  board[center - 1][center - 1] = board[center][center] = WHITE;
+  board[center - 1][center] = board[center][center - 1] = BLACK;
   return board;
 }
 
@@ -64,19 +84,20 @@ export function isValidMove(board, row, col, player) {
  * @returns {boolean} True if direction is valid for flipping
  */
 function isDirectionValid(board, row, col, dx, dy, player, opponent) {
+  const size = board.length;
   let r = row + dx;
   let c = col + dy;
   let foundOpponent = false;
 
   // Move in the direction while there are opponent pieces
-  while (r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE && board[r][c] === opponent) {
+  while (r >= 0 && r < size && c >= 0 && c < size && board[r][c] === opponent) {
     foundOpponent = true;
     r += dx;
     c += dy;
   }
 
   // Must have found at least one opponent piece and ended on a friendly piece
-  return foundOpponent && r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE && board[r][c] === player;
+  return foundOpponent && r >= 0 && r < size && c >= 0 && c < size && board[r][c] === player;
 }
 
 /**
@@ -87,8 +108,8 @@ function isDirectionValid(board, row, col, dx, dy, player, opponent) {
  */
 export function getValidMoves(board, player) {
   const validMoves = [];
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
       if (isValidMove(board, row, col, player)) {
         validMoves.push([row, col]);
       }
@@ -121,7 +142,7 @@ export function makeMove(board, row, col, player) {
       let c = col + dy;
       
       // Flip all opponent pieces in this direction
-      while (r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE && newBoard[r][c] === opponent) {
+      while (r >= 0 && r < board.length && c >= 0 && c < board.length && newBoard[r][c] === opponent) {
         newBoard[r][c] = player;
         r += dx;
         c += dy;
@@ -159,8 +180,8 @@ export function calculateScore(board) {
   let black = 0;
   let white = 0;
   
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
       if (board[row][col] === BLACK) black++;
       else if (board[row][col] === WHITE) white++;
     }
@@ -169,6 +190,22 @@ export function calculateScore(board) {
   return { black, white };
 }
 
+/**
+ * Turn anti-Othello on or off
+ * @param {boolean} enabled - Whether the player with fewer discs wins
+ */
+export function setAntiOthello(enabled) {
+  antiOthello = enabled;
+}
+
+/**
+ * Check whether anti-Othello is being played
+ * @returns {boolean} True if the player with fewer discs wins
+ */
+export function isAntiOthello() {
+  return antiOthello;
+}
+
 /**
  * Get the winner of the game
  * @param {number[][]} board - Current board state
@@ -176,9 +213,11 @@ export function calculateScore(board) {
  */
 export function getWinner(board) {
   const { black, white } = calculateScore(board);
-  if (black > white) return BLACK;
-  if (white > black) return WHITE;
-  return null; // Tie
+  if (black === white) return null; // Tie
+
+  // Normally the player with more discs wins; in anti-Othello the one with fewer
+  const blackWins = antiOthello ? black < white : black > white;
+  return blackWins ? BLACK : WHITE;
 }
 
 /**
@@ -190,3 +229,30 @@ export function cloneBoard(board) {
   return board.map(row => [...row]);
 }
 
+
+/**
+ * Count leaf nodes of the move tree to a fixed depth (perft) square by
+ * square; compare with perftBitboard to check equivalence
+ * A pass counts as a move; a finished game counts as a leaf
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to move
+ * @param {number} depth - Depth to count to
+ * @returns {number} Number of leaf nodes
+ */
+export function perft(board, player, depth) {
+  if (depth === 0) return 1;
+
+  const opponent = player === BLACK ? WHITE : BLACK;
+  const moves = getValidMoves(board, player);
+
+  if (moves.length === 0) {
+    if (getValidMoves(board, opponent).length === 0) return 1; // Game over
+    return perft(board, opponent, depth - 1); // Pass
+  }
+
+  let nodes = 0;
+  for (const [row, col] of moves) {
+    nodes += perft(makeMove(board, row, col, player), opponent, depth - 1);
+  }
+  return nodes;
+}
@@ -2,73 +2,418 @@
  * Heuristic Evaluation Function for Othello
  * Evaluates a board position and returns a score
  * Positive scores favor the current player, negative favor the opponent
+ *
+ * The evaluation is a weighted sum of terms, each of which can be turned on
+ * or off. A heuristic profile is a named set of those weights:
+ *   { name, terms: { mobility: { enabled, weight }, ... } }
+ * Each side can play with its own profile, so different evaluation
+ * functions can be pitted against each other.
+ *
+ * Game phase: a term with an endgameDiscs setting switches to its
+ * endgameWeight once more discs than that are on the board; a term with only
+ * an endgameWeight blends from weight (opening) to endgameWeight (full board).
+ * endgameDiscs is counted on the 8x8 board and scaled to other board sizes.
+ *
+ * normalizeProfile limits weights to ±MAX_TERM_WEIGHT, and every evaluation
+ * stays below the score the search gives a won game, so no position outranks
+ * a forced win however the weights are set.
+ *
+ * Rule variants: hole squares count as neither empty nor held, and in
+ * anti-Othello the terms that count discs held (material terms) are reversed.
  */
 
-import { EMPTY, BLACK, WHITE } from './gameLogic.js';
+import { EMPTY, BLACK, WHITE, BLOCKED, DEFAULT_BOARD_SIZE, isAntiOthello } from './gameLogic.js';
 import { getValidMoves } from './gameLogic.js';
+import { BITBOARD_SIZE, fromBoard, getMoveMask, countBits } from './bitboard.js';
 
-const BOARD_SIZE = 8;
-
-// Position weights for evaluation
-// Corners and edges are important in Othello
-const POSITION_WEIGHTS = [
-  [ 100, -20,  10,   5,   5,  10, -20, 100],
-  [-20, -40,  -5,  -5,  -5,  -5, -40, -20],
-  [ 10,  -5,   5,   2,   2,   5,  -5,  10],
-  [  5,  -5,   2,   0,   0,   2,  -5,   5],
-  [  5,  -5,   2,   0,   0,   2,  -5,   5],
-  [ 10,  -5,   5,   2,   2,   5,  -5,  10],
-  [-20, -40,  -5,  -5,  -5,  -5, -40, -20],
-  [ 100, -20,  10,   5,   5,  10, -20, 100]
+// Square weights by distance from the two nearest edges, [rows][columns] in
+// from the edge; squares further in than the table reaches take the last value.
+// Corners and edges are important in Othello; on 8x8 this gives:
+//   100 -20  10   5   5  10 -20 100
+//   -20 -40  -5  -5  -5  -5 -40 -20
+//    10  -5   5   2   2   5  -5  10
+//     5  -5   2   0   0   2  -5   5   (and mirrored below)
+const EDGE_DISTANCE_WEIGHTS = [
+  [100, -20, 10, 5],
+  [-20, -40, -5, -5],
+  [10, -5, 5, 2],
+  [5, -5, 2, 0]
 ];
 
-// Corners
-const CORNERS = [[0, 0], [0, 7], [7, 0], [7, 7]];
+// Board geometry (square weights, corners, X- and C-squares) by board size
+const geometries = new Map();
 
-// X-squares adjacent to corners (dangerous positions)
-const X_SQUARES = [[1, 1], [1, 6], [6, 1], [6, 6]];
+/**
+ * Get the square weights and special squares of a board size
+ * X-squares sit diagonally next to a corner (dangerous positions) and
+ * C-squares next to it along an edge; each is paired with its corner
+ * @param {number} size - Board size
+ * @returns {{weights: number[][], corners: number[][], xSquares: number[][], xSquareCorners: number[][],
+ *   cSquares: number[][], cSquareCorners: number[][]}} Geometry of the board
+ */
+function getGeometry(size) {
+  if (geometries.has(size)) return geometries.get(size);
+
+  const last = size - 1;
+  const inset = (distance) => Math.min(distance, EDGE_DISTANCE_WEIGHTS.length - 1);
+  const weights = Array.from({ length: size }, (_, row) =>
+    Array.from({ length: size }, (_, col) =>
+      EDGE_DISTANCE_WEIGHTS[inset(Math.min(row, last - row))][inset(Math.min(col, last - col))]));
+
+  const corners = [[0, 0], [0, last], [last, 0], [last, last]];
+  const geometry = {
+    weights,
+    corners,
+    xSquares: [[1, 1], [1, last - 1], [last - 1, 1], [last - 1, last - 1]],
+    xSquareCorners: corners,
+    cSquares: [[0, 1], [0, last - 1], [1, 0], [1, last], [last - 1, 0], [last - 1, last], [last, 1], [last, last - 1]],
+    cSquareCorners: [[0, 0], [0, last], [0, 0], [0, last], [last, 0], [last, last], [last, 0], [last, last]]
+  };
+
+  geometries.set(size, geometry);
+  return geometry;
+}
 
-// C-squares adjacent to corners on edges
-const C_SQUARES = [[0, 1], [0, 6], [1, 0], [1, 7], [6, 0], [6, 7], [7, 1], [7, 6]];
+// One step along each line through a square: horizontal, vertical, both diagonals
+const AXES = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+const NEIGHBOR_OFFSETS = [
+  [-1, -1], [-1, 0], [-1, 1],
+  [0, -1],           [0, 1],
+  [1, -1],  [1, 0],  [1, 1]
+];
+
+/**
+ * Evaluation terms, in display order
+ * Each term scores the player's count minus the opponent's; penalty terms
+ * are subtracted, and material terms change sign in anti-Othello
+ */
+export const HEURISTIC_TERMS = [
+  { key: 'position', label: 'Square Weights', description: 'Static value of each occupied square', material: true },
+  { key: 'mobility', label: 'Mobility', description: 'Legal moves available' },
+  { key: 'corners', label: 'Corners', description: 'Corners held', material: true },
+  { key: 'discs', label: 'Disc Count', description: 'Discs held', material: true },
+  { key: 'frontier', label: 'Frontier', description: 'Discs next to empty squares (penalized: they give the opponent moves)', penalty: true },
+  { key: 'potentialMobility', label: 'Potential Mobility', description: 'Empty squares next to opponent discs' },
+  { key: 'stability', label: 'Stability', description: 'Discs that can never be flipped', material: true },
+  { key: 'parity', label: 'Parity', description: 'Whether the player expects to make the last move' },
+  { key: 'xSquares', label: 'X-Square Penalty', description: 'Discs diagonal to an empty corner', penalty: true, material: true },
+  { key: 'cSquares', label: 'C-Square Penalty', description: 'Edge discs next to an empty corner', penalty: true, material: true }
+];
+
+/**
+ * The original evaluation: square weights, mobility, corners and a disc count
+ * that matters more once the board fills up
+ */
+export const DEFAULT_PROFILE = {
+  name: 'Classic',
+  terms: {
+    position: { enabled: true, weight: 1 },
+    mobility: { enabled: true, weight: 5 },
+    corners: { enabled: true, weight: 30 },
+    discs: { enabled: true, weight: 2, endgameWeight: 10, endgameDiscs: 45 },
+    frontier: { enabled: false, weight: 3, endgameWeight: 1 },
+    potentialMobility: { enabled: false, weight: 2, endgameWeight: 0 },
+    stability: { enabled: false, weight: 10, endgameWeight: 20 },
+    parity: { enabled: false, weight: 10 },
+    xSquares: { enabled: false, weight: 25 },
+    cSquares: { enabled: false, weight: 10 }
+  }
+};
+
+/**
+ * Built-in profiles offered in the UI
+ */
+export const HEURISTIC_PRESETS = [
+  DEFAULT_PROFILE,
+  {
+    name: 'Positional',
+    terms: {
+      position: { enabled: true, weight: 1 },
+      mobility: { enabled: true, weight: 2 },
+      corners: { enabled: true, weight: 30 },
+      discs: { enabled: true, weight: 1, endgameWeight: 10, endgameDiscs: 45 },
+      frontier: { enabled: false, weight: 3, endgameWeight: 1 },
+      potentialMobility: { enabled: false, weight: 2, endgameWeight: 0 },
+      stability: { enabled: true, weight: 15, endgameWeight: 30 },
+      parity: { enabled: false, weight: 10 },
+      xSquares: { enabled: true, weight: 25 },
+      cSquares: { enabled: true, weight: 10 }
+    }
+  },
+  {
+    name: 'Mobility',
+    terms: {
+      position: { enabled: false, weight: 1 },
+      mobility: { enabled: true, weight: 10 },
+      corners: { enabled: true, weight: 30 },
+      discs: { enabled: true, weight: 0, endgameWeight: 10, endgameDiscs: 50 },
+      frontier: { enabled: true, weight: 5, endgameWeight: 1 },
+      potentialMobility: { enabled: true, weight: 2, endgameWeight: 0 },
+      stability: { enabled: true, weight: 10, endgameWeight: 20 },
+      parity: { enabled: true, weight: 10 },
+      xSquares: { enabled: true, weight: 25 },
+      cSquares: { enabled: false, weight: 10 }
+    }
+  },
+  {
+    name: 'Greedy',
+    terms: {
+      position: { enabled: false, weight: 1 },
+      mobility: { enabled: false, weight: 5 },
+      corners: { enabled: false, weight: 30 },
+      discs: { enabled: true, weight: 1, endgameWeight: 1, endgameDiscs: 45 },
+      frontier: { enabled: false, weight: 3, endgameWeight: 1 },
+      potentialMobility: { enabled: false, weight: 2, endgameWeight: 0 },
+      stability: { enabled: false, weight: 10, endgameWeight: 20 },
+      parity: { enabled: false, weight: 10 },
+      xSquares: { enabled: false, weight: 25 },
+      cSquares: { enabled: false, weight: 10 }
+    }
+  }
+];
+
+// Largest weight, either way, a profile can give a term
+export const MAX_TERM_WEIGHT = 100;
+
+// Disc counts an endgameDiscs setting can be, as on the 8x8 board
+const MIN_ENDGAME_DISCS = 4;
+const MAX_ENDGAME_DISCS = 64;
+
+// Largest evaluation either way, one below WIN_SCORE in minimax.js (which
+// imports this module, so the value isn't shared)
+const MAX_EVALUATION = 9999;
+
+// Profile used when evaluatePosition is not given one
+let activeProfile = DEFAULT_PROFILE;
+
+/**
+ * Set the profile used by evaluatePosition for the following searches
+ * @param {Object|null} profile - Heuristic profile, or null for the default
+ */
+export function setHeuristicProfile(profile) {
+  activeProfile = profile || DEFAULT_PROFILE;
+}
+
+/**
+ * Validate a profile and fill in any missing terms from the default profile
+ * Weights are clamped to MAX_TERM_WEIGHT either way and endgameDiscs to a
+ * disc count the board can hold
+ * @param {Object} data - Profile-like object, e.g. parsed from JSON
+ * @returns {Object} New, complete profile
+ * @throws {Error} If a term setting has the wrong type
+ */
+export function normalizeProfile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('profile must be an object');
+  }
+
+  const terms = {};
+  for (const { key } of HEURISTIC_TERMS) {
+    const defaults = DEFAULT_PROFILE.terms[key];
+    const term = { ...defaults, ...(data.terms && data.terms[key]) };
+
+    if (typeof term.enabled !== 'boolean') {
+      throw new Error(`"${key}.enabled" must be true or false`);
+    }
+    for (const field of Object.keys(defaults)) {
+      if (field === 'enabled') continue;
+      if (!Number.isFinite(term[field])) {
+        throw new Error(`"${key}.${field}" must be a number`);
+      }
+      term[field] = field === 'endgameDiscs'
+        ? clamp(term[field], MIN_ENDGAME_DISCS, MAX_ENDGAME_DISCS)
+        : clamp(term[field], -MAX_TERM_WEIGHT, MAX_TERM_WEIGHT);
+    }
+
+    terms[key] = term;
+  }
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom',
+    terms
+  };
+}
+
+/**
+ * Limit a number to a range
+ * @param {number} value - Number to limit
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value within [min, max]
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Parse a heuristic profile file
+ * @param {string} contents - JSON file contents
+ * @returns {Object} Validated profile
+ * @throws {Error} If the file is not valid JSON or not a valid profile
+ */
+export function parseProfileFile(contents) {
+  return normalizeProfile(JSON.parse(contents));
+}
+
+/**
+ * Serialize a heuristic profile for saving
+ * @param {Object} profile - Heuristic profile
+ * @returns {string} JSON text
+ */
+export function serializeProfile(profile) {
+  return JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Weight of a term at the current stage of the game
+ * @param {Object} term - Term settings from a profile
+ * @param {number} totalPieces - Discs on the board
+ * @param {number} squareCount - Playable squares on the board
+ * @returns {number} Weight to apply
+ */
+function getTermWeight(term, totalPieces, squareCount) {
+  if (term.endgameDiscs !== undefined) {
+    const endgameDiscs = term.endgameDiscs * squareCount / (DEFAULT_BOARD_SIZE * DEFAULT_BOARD_SIZE);
+    return totalPieces > endgameDiscs ? term.endgameWeight : term.weight;
+  }
+  if (term.endgameWeight !== undefined) {
+    const phase = Math.min(1, Math.max(0, (totalPieces - 4) / (squareCount - 4)));
+    return term.weight + (term.endgameWeight - term.weight) * phase;
+  }
+  return term.weight;
+}
+
+/**
+ * Unweighted value of a term: the player's count minus the opponent's
+ * @param {string} key - Term key
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate for
+ * @param {number} opponent - Opposing player
+ * @param {number} sideToMove - Player whose turn it is
+ * @param {number} totalPieces - Discs on the board
+ * @param {number} squareCount - Playable squares on the board
+ * @returns {number} Term value
+ */
+function getTermValue(key, board, player, opponent, sideToMove, totalPieces, squareCount) {
+  const geometry = getGeometry(board.length);
+
+  switch (key) {
+    case 'position':
+      return getPositionScore(board, player) - getPositionScore(board, opponent);
+    case 'mobility':
+      return getMobility(board, player, opponent);
+    case 'corners':
+      return getCornerScore(board, player) - getCornerScore(board, opponent);
+    case 'discs':
+      return getDiscDifference(board, player, opponent);
+    case 'frontier':
+      return getFrontierCount(board, player) - getFrontierCount(board, opponent);
+    case 'potentialMobility':
+      return getPotentialMobility(board, player) - getPotentialMobility(board, opponent);
+    case 'stability': {
+      const stable = getStableCounts(board);
+      return stable[player] - stable[opponent];
+    }
+    case 'parity': {
+      // With an odd number of empties the side to move expects the last move
+      const moverGetsLast = (squareCount - totalPieces) % 2 === 1;
+      return (sideToMove === player) === moverGetsLast ? 1 : -1;
+    }
+    case 'xSquares':
+      return getExposedCount(board, player, geometry.xSquares, geometry.xSquareCorners) -
+        getExposedCount(board, opponent, geometry.xSquares, geometry.xSquareCorners);
+    case 'cSquares':
+      return getExposedCount(board, player, geometry.cSquares, geometry.cSquareCorners) -
+        getExposedCount(board, opponent, geometry.cSquares, geometry.cSquareCorners);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the sign a term's value is scored with
+ * @param {Object} termInfo - Entry of HEURISTIC_TERMS
+ * @returns {number} 1 or -1: penalty terms are subtracted, and material terms
+ *   reversed in anti-Othello, where holding discs is a liability
+ */
+function getTermSign({ penalty, material }) {
+  const sign = penalty ? -1 : 1;
+  return material && isAntiOthello() ? -sign : sign;
+}
 
 /**
  * Evaluate a board position
  * @param {number[][]} board - Current board state
  * @param {number} player - Player to evaluate for (BLACK or WHITE)
- * @returns {number} Heuristic score (positive favors player)
+ * @param {number} sideToMove - Player whose turn it is (used by the parity term)
+ * @param {Object} profile - Heuristic profile (defaults to the one set with setHeuristicProfile)
+ * @returns {number} Heuristic score (positive favors player), rounded since the transposition table stores
+ *   integers, and below a won game's score either way
  */
-export function evaluatePosition(board, player) {
+export function evaluatePosition(board, player, sideToMove = player, profile = activeProfile) {
   const opponent = player === BLACK ? WHITE : BLACK;
-  
+  const totalPieces = countPieces(board);
+  const squareCount = board.length * board.length - countHoles(board);
+
   let score = 0;
-  
-  // Position weights (piece placement evaluation)
-  score += getPositionScore(board, player) - getPositionScore(board, opponent);
-  
-  // Mobility (number of valid moves available)
-  const playerMoves = getValidMoves(board, player).length;
-  const opponentMoves = getValidMoves(board, opponent).length;
-  
-  if (playerMoves + opponentMoves > 0) {
-    score += (playerMoves - opponentMoves) * 5;
-  }
-  
-  // Corner control
-  const cornerDiff = getCornerScore(board, player) - getCornerScore(board, opponent);
-  score += cornerDiff * 30;
-  
-  // Disc count (less important early, more important late)
-  const discDiff = getDiscDifference(board, player, opponent);
+  for (const termInfo of HEURISTIC_TERMS) {
+    const term = profile.terms[termInfo.key];
+    if (!term.enabled) continue;
+
+    const value = getTermValue(termInfo.key, board, player, opponent, sideToMove, totalPieces, squareCount);
+    score += getTermSign(termInfo) * value * getTermWeight(term, totalPieces, squareCount);
+  }
+
+  return clamp(Math.round(score), -MAX_EVALUATION, MAX_EVALUATION);
+}
+
+/**
+ * Break an evaluation down into its terms
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate for (BLACK or WHITE)
+ * @param {number} sideToMove - Player whose turn it is
+ * @param {Object} profile - Heuristic profile
+ * @returns {{total: number, terms: Array<{key: string, label: string, value: number, weight: number, score: number}>}}
+ *   Enabled terms with their unweighted value, current weight and contribution; the total is
+ *   limited like evaluatePosition's
+ */
+export function evaluateTerms(board, player, sideToMove = player, profile = activeProfile) {
+  const opponent = player === BLACK ? WHITE : BLACK;
   const totalPieces = countPieces(board);
-  
-  // Weight disc difference more as game progresses
-  if (totalPieces > 45) {
-    score += discDiff * 10; // End game
-  } else {
-    score += discDiff * 2;  // Early/mid game
-  }
-  
-  return score;
+  const squareCount = board.length * board.length - countHoles(board);
+
+  const terms = [];
+  for (const termInfo of HEURISTIC_TERMS) {
+    const { key, label } = termInfo;
+    const term = profile.terms[key];
+    if (!term.enabled) continue;
+
+    const value = getTermValue(key, board, player, opponent, sideToMove, totalPieces, squareCount);
+    const weight = getTermWeight(term, totalPieces, squareCount);
+    terms.push({ key, label, value, weight, score: getTermSign(termInfo) * value * weight });
+  }
+
+  const total = Math.round(terms.reduce((sum, term) => sum + term.score, 0));
+  return { total: clamp(total, -MAX_EVALUATION, MAX_EVALUATION), terms };
+}
+
+/**
+ * Get the difference in the number of legal moves
+ * On the 8x8 board both sides' moves come from one bitboard conversion,
+ * which is cheaper than checking every square for each side
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate
+ * @param {number} opponent - Opposing player
+ * @returns {number} Player's moves minus the opponent's
+ */
+function getMobility(board, player, opponent) {
+  if (board.length !== BITBOARD_SIZE) {
+    return getValidMoves(board, player).length - getValidMoves(board, opponent).length;
+  }
+
+  const position = fromBoard(board);
+  return countBits(getMoveMask(position, player)) - countBits(getMoveMask(position, opponent));
 }
 
 /**
@@ -78,11 +423,12 @@ export function evaluatePosition(board, player) {
  * @returns {number} Position score
  */
 function getPositionScore(board, player) {
+  const { weights } = getGeometry(board.length);
   let score = 0;
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
       if (board[row][col] === player) {
-        score += POSITION_WEIGHTS[row][col];
+        score += weights[row][col];
       }
     }
   }
@@ -97,12 +443,154 @@ function getPositionScore(board, player) {
  */
 function getCornerScore(board, player) {
   let count = 0;
-  for (const [row, col] of CORNERS) {
+  for (const [row, col] of getGeometry(board.length).corners) {
     if (board[row][col] === player) count++;
   }
   return count;
 }
 
+/**
+ * Count a player's discs that border at least one empty square
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate
+ * @returns {number} Number of frontier discs
+ */
+function getFrontierCount(board, player) {
+  const size = board.length;
+  let count = 0;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (board[row][col] !== player) continue;
+
+      for (const [dr, dc] of NEIGHBOR_OFFSETS) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < size && c >= 0 && c < size && board[r][c] === EMPTY) {
+          count++;
+          break;
+        }
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Count a player's potential mobility: empty squares next to an opponent disc
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate
+ * @returns {number} Number of empty squares the player might later move to
+ */
+function getPotentialMobility(board, player) {
+  const size = board.length;
+  const opponent = player === BLACK ? WHITE : BLACK;
+  let count = 0;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (board[row][col] !== EMPTY) continue;
+
+      for (const [dr, dc] of NEIGHBOR_OFFSETS) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < size && c >= 0 && c < size && board[r][c] === opponent) {
+          count++;
+          break;
+        }
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Check whether the whole line through a square along an axis is filled
+ * A hole ends the line like the board's edge
+ * @param {number[][]} board - Current board state
+ * @param {number} row - Row of the square
+ * @param {number} col - Column of the square
+ * @param {number[]} axis - [row step, col step]
+ * @returns {boolean} True if no square on the line is empty
+ */
+function isLineFull(board, row, col, [dr, dc]) {
+  const size = board.length;
+  for (const sign of [1, -1]) {
+    let r = row + dr * sign;
+    let c = col + dc * sign;
+    while (r >= 0 && r < size && c >= 0 && c < size && board[r][c] !== BLOCKED) {
+      if (board[r][c] === EMPTY) return false;
+      r += dr * sign;
+      c += dc * sign;
+    }
+  }
+  return true;
+}
+
+/**
+ * Count the discs of each color that can never be flipped
+ * A disc is stable when, along each of the four lines through it, the line
+ * is full or one neighbor is the board edge, a hole or a stable disc of the
+ * same color; stability therefore grows out of the corners until nothing changes
+ * @param {number[][]} board - Current board state
+ * @returns {Object} Stable disc count keyed by player (BLACK, WHITE)
+ */
+function getStableCounts(board) {
+  const size = board.length;
+  const stable = Array.from({ length: size }, () => Array(size).fill(false));
+  const counts = { [BLACK]: 0, [WHITE]: 0 };
+
+  /**
+   * Check whether a neighbor anchors a disc along an axis
+   * @param {number} r - Neighbor row
+   * @param {number} c - Neighbor column
+   * @param {number} piece - Color of the disc being checked
+   * @returns {boolean} True if the neighbor is off the board, a hole or a stable disc of that color
+   */
+  const anchors = (r, c, piece) =>
+    r < 0 || r >= size || c < 0 || c >= size || board[r][c] === BLOCKED || (stable[r][c] && board[r][c] === piece);
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const piece = board[row][col];
+        if (piece === EMPTY || piece === BLOCKED || stable[row][col]) continue;
+
+        const isStable = AXES.every((axis) => {
+          const [dr, dc] = axis;
+          return anchors(row - dr, col - dc, piece) || anchors(row + dr, col + dc, piece) ||
+            isLineFull(board, row, col, axis);
+        });
+
+        if (isStable) {
+          stable[row][col] = true;
+          counts[piece]++;
+          changed = true;
+        }
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Count a player's discs on squares whose corner is still empty
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to evaluate
+ * @param {number[][]} squares - Squares to check
+ * @param {number[][]} corners - Corner belonging to each square
+ * @returns {number} Number of exposed discs
+ */
+function getExposedCount(board, player, squares, corners) {
+  let count = 0;
+  squares.forEach(([row, col], i) => {
+    const [cornerRow, cornerCol] = corners[i];
+    if (board[row][col] === player && board[cornerRow][cornerCol] === EMPTY) count++;
+  });
+  return count;
+}
+
 /**
  * Get the difference in number of discs
  * @param {number[][]} board - Current board state
@@ -111,16 +599,17 @@ function getCornerScore(board, player) {
  * @returns {number} Disc difference
  */
 function getDiscDifference(board, player, opponent) {
+  const size = board.length;
   let playerCount = 0;
   let opponentCount = 0;
-  
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
       if (board[row][col] === player) playerCount++;
       else if (board[row][col] === opponent) opponentCount++;
     }
   }
-  
+
   return playerCount - opponentCount;
 }
 
@@ -130,12 +619,21 @@ function getDiscDifference(board, player, opponent) {
  * @returns {number} Total number of pieces
  */
 function countPieces(board) {
+  const size = board.length;
   let count = 0;
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
-      if (board[row][col] !== EMPTY) count++;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (board[row][col] === BLACK || board[row][col] === WHITE) count++;
     }
   }
   return count;
 }
 
+/**
+ * Count the hole squares on the board
+ * @param {number[][]} board - Current board state
+ * @returns {number} Number of holes
+ */
+function countHoles(board) {
+  return board.reduce((count, row) => count + row.filter((piece) => piece === BLOCKED).length, 0);
+}
@@ -0,0 +1,290 @@
+/**
+ * Monte Carlo Tree Search for Othello
+ * Alternative to Mini-Max: grows a search tree by repeatedly selecting a
+ * promising line with UCT, expanding one new move, playing the game out and
+ * backing the result up the tree
+ */
+
+import { BLACK, WHITE, isAntiOthello } from './gameLogic.js';
+import { fromBoard, toBoard, getMoveMask, applyMove, maskToSquares, countBits } from './bitboard.js';
+import { evaluatePosition } from './heuristic.js';
+
+const BOARD_SIZE = 8;
+
+// Move value for a pass node
+const PASS = -1;
+
+// Defaults for findBestMoveMCTS options
+const DEFAULT_PLAYOUTS = 5000;
+const DEFAULT_EXPLORATION = Math.SQRT2;
+
+// Chance of a random (instead of greedy) move in heuristic playouts
+const HEURISTIC_PLAYOUT_EPSILON = 0.3;
+
+// How many playouts to run between clock checks and progress reports
+const CHECK_INTERVAL = 64;
+
+let playoutsRun = 0;
+let rootStats = [];
+
+/**
+ * Get the number of playouts run by the last search
+ * @returns {number} Number of playouts
+ */
+export function getPlayoutsRun() {
+  return playoutsRun;
+}
+
+/**
+ * Get visit counts and win rates for each root move of the last search
+ * @returns {Array<{row: number, col: number, visits: number, winRate: number}>} Root moves, most visited first
+ */
+export function getRootStats() {
+  return rootStats;
+}
+
+/**
+ * Create a tree node
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move in this position
+ * @param {number} move - Square played to reach this node, or PASS
+ * @param {Object|null} parent - Parent node
+ * @returns {Object} Tree node
+ */
+function createNode(position, player, move, parent) {
+  const opponent = player === BLACK ? WHITE : BLACK;
+  let untried = maskToSquares(getMoveMask(position, player));
+  let terminal = false;
+
+  // A player with no moves passes, unless neither side can move
+  if (untried.length === 0) {
+    if (countBits(getMoveMask(position, opponent)) === 0) {
+      terminal = true;
+    } else {
+      untried = [PASS];
+    }
+  }
+
+  return {
+    position,
+    player,
+    move,
+    parent,
+    children: [],
+    untried,
+    terminal,
+    visits: 0,
+    wins: 0 // From the perspective of the player who moved into this node
+  };
+}
+
+/**
+ * Pick the child with the highest UCT value
+ * @param {Object} node - Fully expanded node
+ * @param {number} exploration - Exploration constant C
+ * @returns {Object} Selected child
+ */
+function selectChild(node, exploration) {
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestValue = -Infinity;
+
+  for (const child of node.children) {
+    const value = child.wins / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+    if (value > bestValue) {
+      bestValue = value;
+      best = child;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Add one untried move of a node as a new child
+ * @param {Object} node - Node with untried moves
+ * @returns {Object} New child
+ */
+function expand(node) {
+  const index = Math.floor(Math.random() * node.untried.length);
+  const move = node.untried[index];
+  node.untried[index] = node.untried[node.untried.length - 1];
+  node.untried.pop();
+
+  const opponent = node.player === BLACK ? WHITE : BLACK;
+  const position = move === PASS ? node.position : applyMove(node.position, move, node.player);
+  const child = createNode(position, opponent, move, node);
+  node.children.push(child);
+  return child;
+}
+
+/**
+ * Choose a playout move greedily by the heuristic, with some randomness
+ * @param {Object} position - Bitboard position
+ * @param {number} player - Player to move
+ * @param {number[]} squares - Legal move squares
+ * @returns {number} Chosen square
+ */
+function chooseHeuristicMove(position, player, squares) {
+  if (squares.length === 1 || Math.random() < HEURISTIC_PLAYOUT_EPSILON) {
+    return squares[Math.floor(Math.random() * squares.length)];
+  }
+
+  let bestSquare = squares[0];
+  let bestScore = -Infinity;
+  const opponent = player === BLACK ? WHITE : BLACK;
+  for (const square of squares) {
+    const score = evaluatePosition(toBoard(applyMove(position, square, player)), player, opponent);
+    if (score > bestScore) {
+      bestScore = score;
+      bestSquare = square;
+    }
+  }
+  return bestSquare;
+}
+
+/**
+ * Play a game out to the end from a node
+ * @param {Object} node - Node to start from
+ * @param {boolean} heuristic - Guide moves with evaluatePosition instead of playing randomly
+ * @returns {number|null} Winner (BLACK, WHITE) or null for a draw
+ */
+function playout(node, heuristic) {
+  let { position, player } = node;
+  let passed = false;
+
+  for (;;) {
+    const squares = maskToSquares(getMoveMask(position, player));
+    const opponent = player === BLACK ? WHITE : BLACK;
+
+    if (squares.length === 0) {
+      if (passed) break; // Neither side can move
+      passed = true;
+      player = opponent;
+      continue;
+    }
+
+    const square = heuristic
+      ? chooseHeuristicMove(position, player, squares)
+      : squares[Math.floor(Math.random() * squares.length)];
+
+    position = applyMove(position, square, player);
+    player = opponent;
+    passed = false;
+  }
+
+  const black = countBits({ hi: position.blackHi, lo: position.blackLo });
+  const white = countBits({ hi: position.whiteHi, lo: position.whiteLo });
+  if (black === white) return null;
+  // In anti-Othello the player with fewer discs wins
+  return (black > white) !== isAntiOthello() ? BLACK : WHITE;
+}
+
+/**
+ * Credit a playout result to every node on the path back to the root
+ * @param {Object} node - Node the playout started from
+ * @param {number|null} winner - Winner of the playout, null for a draw
+ */
+function backpropagate(node, winner) {
+  for (let current = node; current; current = current.parent) {
+    current.visits++;
+    // The node's value belongs to the player who moved into it
+    const mover = current.player === BLACK ? WHITE : BLACK;
+    if (winner === null) current.wins += 0.5;
+    else if (winner === mover) current.wins += 1;
+  }
+}
+
+/**
+ * Collect visit counts and win rates of the root's children
+ * @param {Object} root - Root node
+ * @returns {Array<{row: number, col: number, visits: number, winRate: number}>} Root moves, most visited first
+ */
+function collectRootStats(root) {
+  return root.children
+    .map((child) => ({
+      row: Math.floor(child.move / BOARD_SIZE),
+      col: child.move % BOARD_SIZE,
+      visits: child.visits,
+      winRate: child.visits > 0 ? child.wins / child.visits : 0
+    }))
+    .sort((a, b) => b.visits - a.visits);
+}
+
+/**
+ * Find the best move using Monte Carlo Tree Search (UCT)
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to find move for
+ * @param {Object} options - Search options
+ * @param {number} [options.playouts] - Number of playouts to run (ignored when timeLimit is set)
+ * @param {number} [options.timeLimit] - Time budget in milliseconds
+ * @param {number} [options.exploration] - UCT exploration constant C
+ * @param {boolean} [options.heuristic] - Guide playouts with evaluatePosition
+ * @param {Function} [options.onProgress] - Called with {bestMove, nodesExamined} while searching
+ * @returns {{row: number, col: number, score: number}} Most visited move and its win rate in percent
+ */
+export function findBestMoveMCTS(board, player, options = {}) {
+  const {
+    playouts = DEFAULT_PLAYOUTS,
+    timeLimit = null,
+    exploration = DEFAULT_EXPLORATION,
+    heuristic = false,
+    onProgress = null
+  } = options;
+
+  playoutsRun = 0;
+  rootStats = [];
+
+  const root = createNode(fromBoard(board), player, PASS, null);
+  if (root.terminal || root.untried[0] === PASS) {
+    return { row: -1, col: -1, score: null };
+  }
+
+  const deadline = timeLimit ? Date.now() + timeLimit : null;
+
+  for (;;) {
+    if (playoutsRun % CHECK_INTERVAL === 0 && playoutsRun > 0) {
+      if (onProgress) {
+        onProgress({ bestMove: getMostVisited(root), nodesExamined: playoutsRun });
+      }
+      if (deadline !== null && Date.now() >= deadline) break;
+    }
+    if (deadline === null && playoutsRun >= playouts) break;
+
+    // Selection
+    let node = root;
+    while (node.untried.length === 0 && !node.terminal) {
+      node = selectChild(node, exploration);
+    }
+
+    // Expansion
+    if (node.untried.length > 0) {
+      node = expand(node);
+    }
+
+    // Simulation and backpropagation
+    backpropagate(node, playout(node, heuristic));
+    playoutsRun++;
+  }
+
+  rootStats = collectRootStats(root);
+  return getMostVisited(root);
+}
+
+/**
+ * Get the most visited root move
+ * @param {Object} root - Root node
+ * @returns {{row: number, col: number, score: number}} Move and its win rate in percent
+ */
+function getMostVisited(root) {
+  let best = null;
+  for (const child of root.children) {
+    if (!best || child.visits > best.visits) best = child;
+  }
+
+  return {
+    row: Math.floor(best.move / BOARD_SIZE),
+    col: best.move % BOARD_SIZE,
+    score: Math.round((best.wins / best.visits) * 1000) / 10
+  };
+}
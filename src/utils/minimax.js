@@ -1,24 +1,95 @@
 /**
  * Mini-Max Algorithm with Alpha-Beta Pruning for Othello
  * Implements the classic adversarial search algorithm
+ *
+ * On the standard 8x8 board the root is converted to a bitboard position once
+ * and the tree is searched on bitboards; only the positions handed to the
+ * evaluation (which reads square arrays) are converted back. Other board
+ * sizes are searched on the square arrays themselves.
  */
 
-import { BLACK, WHITE, EMPTY } from './gameLogic.js';
-import { getValidMoves, makeMove, isGameOver, getWinner } from './gameLogic.js';
+import { BLACK, WHITE, EMPTY, DEFAULT_BOARD_SIZE, MAX_BOARD_SIZE } from './gameLogic.js';
+import { getValidMoves, makeMove, getWinner } from './gameLogic.js';
+import { BITBOARD_SIZE, fromBoard, toBoard, getMoveMask, applyMove, maskToSquares } from './bitboard.js';
 import { evaluatePosition } from './heuristic.js';
+import { hashBoard, hashPosition } from './zobrist.js';
+import { createTranspositionTable, EXACT, LOWER_BOUND, UPPER_BOUND } from './transpositionTable.js';
+import { createMoveOrdering } from './moveOrdering.js';
+import { createSearchTrace, DEFAULT_TRACE_LIMIT } from './searchTrace.js';
 
 let nodesExamined = 0;
 let alphaBetaEnabled = true;
+let pruning = true; // Whether the running search prunes, fixed when it starts
+let transpositionEnabled = true;
+let moveOrderingEnabled = true;
 let debugMode = false;
+let progressCallback = null;
+let currentBestMove = null;
+let currentDepth = 0;
+let depthReached = 0;
+let deadline = null;
+let timedOut = false;
+let lastRootScores = null;
+let previousRootScores = null;
+let traceEnabled = false;
+let traceLimit = DEFAULT_TRACE_LIMIT;
+let traceActive = false; // True while the main search of a traced search runs
+let lastTrace = null;
+let cutoffs = 0;
+let firstMoveCutoffs = 0;
+let searchStart = 0;
+let boardSize = DEFAULT_BOARD_SIZE; // Size of the board being searched; squares are row * boardSize + col
+let bitboardSearch = true; // Whether the running search carries bitboard positions (8x8 boards only)
+
+// How many nodes to examine between progress reports
+const PROGRESS_INTERVAL = 5000;
+
+// How many nodes to examine between clock checks in timed searches
+const TIME_CHECK_INTERVAL = 1024;
+
+// Deepest iteration attempted by a timed search (a full game on the largest board)
+const MAX_ITERATIVE_DEPTH = MAX_BOARD_SIZE * MAX_BOARD_SIZE - 4;
+
+// Score of a won game (lost games score -WIN_SCORE)
+const WIN_SCORE = 10000;
+
+// Deepest shallow search used to order root moves
+const MAX_ORDERING_DEPTH = 2;
+
+// Shared by all searches in this module; cleared at the start of each search
+const transpositionTable = createTranspositionTable();
+const moveOrdering = createMoveOrdering();
+const searchTrace = createSearchTrace();
+
+// Best line found below each ply, rebuilt as the search returns: pvTable[ply]
+// starts with the best move of the node last searched at that ply
+const pvTable = [];
 
 /**
  * Set whether alpha-beta pruning is enabled
+ * Used by searches that are not told otherwise
  * @param {boolean} enabled - Whether to enable alpha-beta pruning
  */
 export function setAlphaBeta(enabled) {
   alphaBetaEnabled = enabled;
 }
 
+/**
+ * Set whether the transposition table is used
+ * @param {boolean} enabled - Whether to enable the transposition table
+ */
+export function setTranspositionTable(enabled) {
+  transpositionEnabled = enabled;
+}
+
+/**
+ * Set whether moves are ordered (hash move, corners, killers, history) before searching
+ * @param {boolean} enabled - Whether to enable move ordering
+ */
+export function setMoveOrdering(enabled) {
+  moveOrderingEnabled = enabled;
+}
+
 /**
  * Set whether debug mode is enabled
  * @param {boolean} enabled - Whether to enable debug mode
@@ -27,6 +98,41 @@ export function setDebugMode(enabled) {
   debugMode = enabled;
 }
 
+/**
+ * Set whether searches record a trace of the tree they walk
+ * @param {boolean} enabled - Whether to record a trace
+ * @param {number} nodeLimit - Most nodes to record below the root's moves
+ */
+export function setSearchTrace(enabled, nodeLimit = DEFAULT_TRACE_LIMIT) {
+  traceEnabled = enabled;
+  traceLimit = nodeLimit;
+}
+
+/**
+ * Get the trace of the last search (of its deepest completed iteration for timed searches)
+ * @returns {Object|null} Trace {root, nodeCount, truncated, limit}, or null if tracing was off
+ */
+export function getSearchTrace() {
+  return lastTrace;
+}
+
+/**
+ * Set a callback that receives progress updates while a search is running
+ * @param {Function|null} callback - Called with {bestMove, nodesExamined, depth}, or null to disable
+ */
+export function setProgressCallback(callback) {
+  progressCallback = callback;
+}
+
+/**
+ * Report the current search progress to the registered callback
+ */
+function reportProgress() {
+  if (progressCallback) {
+    progressCallback({ bestMove: currentBestMove, nodesExamined, depth: currentDepth });
+  }
+}
+
 /**
  * Get the number of nodes examined in the last search
  * @returns {number} Number of nodes examined
@@ -35,33 +141,305 @@ export function getNodesExamined() {
   return nodesExamined;
 }
 
+/**
+ * Get transposition table statistics for the last search
+ * @returns {{probes: number, hits: number, hitRate: number, entries: number, capacity: number}} Table statistics
+ */
+export function getTranspositionStats() {
+  return transpositionTable.getStats();
+}
+
+/**
+ * Get the depth of the deepest fully completed iteration of the last search
+ * @returns {number} Depth reached
+ */
+export function getDepthReached() {
+  return depthReached;
+}
+
+/**
+ * Get the statistics of the search that is finishing
+ * @returns {{depthReached: number, nodesExamined: number, elapsed: number, nodesPerSecond: number|null,
+ *   cutoffs: number, firstMoveCutoffs: number}} Search statistics, elapsed in milliseconds
+ */
+function getSearchStats() {
+  const elapsed = Date.now() - searchStart;
+  return {
+    depthReached,
+    nodesExamined,
+    elapsed,
+    nodesPerSecond: elapsed > 0 ? Math.round(nodesExamined * 1000 / elapsed) : null,
+    cutoffs,
+    firstMoveCutoffs
+  };
+}
+
+/**
+ * Set up the position a search carries through its tree
+ * Also sets boardSize for the search
+ * @param {number[][]} board - Board the search starts from
+ * @returns {Object|number[][]} Bitboard position on 8x8 boards, otherwise the board itself
+ */
+function toSearchPosition(board) {
+  boardSize = board.length;
+  bitboardSearch = boardSize === BITBOARD_SIZE;
+  return bitboardSearch ? fromBoard(board) : board;
+}
+
+/**
+ * Get the square array of a searched position, for the evaluation
+ * @param {Object|number[][]} position - Searched position
+ * @returns {number[][]} Board state
+ */
+function getBoard(position) {
+  return bitboardSearch ? toBoard(position) : position;
+}
+
+/**
+ * Get the legal moves of a searched position
+ * @param {Object|number[][]} position - Searched position
+ * @param {number} player - Player to get moves for
+ * @returns {number[][]} Array of [row, col] moves
+ */
+function getMoves(position, player) {
+  if (!bitboardSearch) return getValidMoves(position, player);
+
+  return maskToSquares(getMoveMask(position, player))
+    .map(square => [Math.floor(square / BITBOARD_SIZE), square % BITBOARD_SIZE]);
+}
+
+/**
+ * Play a move in a searched position
+ * @param {Object|number[][]} position - Searched position
+ * @param {number} row - Row of the move
+ * @param {number} col - Column of the move
+ * @param {number} player - Player making the move
+ * @returns {Object|number[][]} Position after the move
+ */
+function playMove(position, row, col, player) {
+  return bitboardSearch ? applyMove(position, row * BITBOARD_SIZE + col, player) : makeMove(position, row, col, player);
+}
+
 /**
  * Find the best move using Mini-Max algorithm
+ * The result also carries the principal variation (pv, moves {row, col, player}
+ * with row -1 for a pass), the score of each root move (rootScores, best first;
+ * a score that is not exact is an upper bound alpha-beta proved) and the
+ * statistics of the search (stats)
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to find move for
+ * @param {number} depth - Search depth
+ * @param {boolean} [useAlphaBeta] - Whether to use alpha-beta pruning, at every node; defaults to the setAlphaBeta setting
+ * @returns {{row: number, col: number, score: number, pv: Array<Object>, rootScores: Array<Object>, stats: Object}} Best move, its score and how it was found
+ */
+export function findBestMove(board, player, depth, useAlphaBeta = alphaBetaEnabled) {
+  searchStart = Date.now();
+  pruning = useAlphaBeta;
+  nodesExamined = 0;
+  cutoffs = 0;
+  firstMoveCutoffs = 0;
+  currentBestMove = null;
+  currentDepth = depth;
+  deadline = null;
+  timedOut = false;
+  previousRootScores = null;
+  lastTrace = null;
+  const position = toSearchPosition(board);
+  transpositionTable.clear();
+  moveOrdering.clear(boardSize);
+  
+  const bestMove = searchRoot(position, player, depth);
+  depthReached = depth;
+  return { ...bestMove, stats: getSearchStats() };
+}
+
+/**
+ * Find the best move within a wall-clock time budget using iterative deepening
+ * Searches depth 1, 2, 3... until time runs out and returns the best move
+ * from the deepest iteration that completed, with the same extra fields as findBestMove
  * @param {number[][]} board - Current board state
  * @param {number} player - Player to find move for
+ * @param {number} timeLimit - Time budget in milliseconds
+ * @param {boolean} [useAlphaBeta] - Whether to use alpha-beta pruning, at every node; defaults to the setAlphaBeta setting
+ * @returns {{row: number, col: number, score: number, pv: Array<Object>, rootScores: Array<Object>, stats: Object}} Best move, its score and how it was found
+ */
+export function findBestMoveTimed(board, player, timeLimit, useAlphaBeta = alphaBetaEnabled) {
+  searchStart = Date.now();
+  pruning = useAlphaBeta;
+  nodesExamined = 0;
+  cutoffs = 0;
+  firstMoveCutoffs = 0;
+  currentBestMove = null;
+  depthReached = 0;
+  deadline = Date.now() + timeLimit;
+  timedOut = false;
+  previousRootScores = null;
+  lastTrace = null;
+  const position = toSearchPosition(board);
+  // Kept across iterations so each one reuses the results of the last
+  transpositionTable.clear();
+  moveOrdering.clear(boardSize);
+  
+  let bestMove = null;
+  
+  for (let depth = 1; depth <= MAX_ITERATIVE_DEPTH; depth++) {
+    currentDepth = depth;
+    const result = searchRoot(position, player, depth);
+    
+    if (timedOut) {
+      // Fall back to the partial result if not even depth 1 completed
+      if (!bestMove) bestMove = result;
+      break;
+    }
+    
+    bestMove = result;
+    currentBestMove = result;
+    depthReached = depth;
+    // The next iteration searches root moves in this iteration's score order
+    previousRootScores = lastRootScores;
+    reportProgress();
+    
+    if (debugMode) {
+      console.log(`Iteration depth ${depth} complete: [${result.row}, ${result.col}] score = ${result.score}`);
+    }
+    
+    // No moves to make, or the game is decided within the search horizon
+    if (result.row === -1 || Math.abs(result.score) === WIN_SCORE) break;
+  }
+  
+  deadline = null;
+  return { ...bestMove, stats: getSearchStats() };
+}
+
+/**
+ * Score every legal move at a fixed depth
+ * Each move gets a full search window, so unlike findBestMove, whose pruning
+ * only proves the other moves are no better, every score is exact
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to score moves for
  * @param {number} depth - Search depth
- * @param {boolean} useAlphaBeta - Whether to use alpha-beta pruning
- * @returns {{row: number, col: number, score: number}} Best move and its score
+ * @returns {Array<{row: number, col: number, score: number}>} Legal moves with their scores, best first
  */
-export function findBestMove(board, player, depth, useAlphaBeta = true) {
+export function scoreMoves(board, player, depth) {
+  pruning = alphaBetaEnabled;
   nodesExamined = 0;
+  cutoffs = 0;
+  firstMoveCutoffs = 0;
+  currentBestMove = null;
+  currentDepth = depth;
+  deadline = null;
+  timedOut = false;
+  previousRootScores = null;
+  const position = toSearchPosition(board);
+  transpositionTable.clear();
+  moveOrdering.clear(boardSize);
+  
+  const scored = getMoves(position, player).map(([row, col]) => ({
+    row,
+    col,
+    score: minimax(
+      playMove(position, row, col, player),
+      player === BLACK ? WHITE : BLACK,
+      depth - 1,
+      false,
+      player,
+      -Infinity,
+      Infinity,
+      [{ move: [row, col], depth: depth }]
+    )
+  }));
   
-  const validMoves = getValidMoves(board, player);
+  depthReached = depth;
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Check whether a timed search has run out of time
+ * The clock is only read every TIME_CHECK_INTERVAL nodes to keep it cheap
+ * @returns {boolean} True if the search should stop
+ */
+function isOutOfTime() {
+  if (deadline === null) return false;
+  if (!timedOut && nodesExamined % TIME_CHECK_INTERVAL === 0 && Date.now() >= deadline) {
+    timedOut = true;
+  }
+  return timedOut;
+}
+
+/**
+ * Order root moves for searching
+ * Uses the previous iteration's scores when deepening iteratively, otherwise
+ * a shallow search of each move, falling back to static ordering at low depth
+ * @param {Object|number[][]} position - Searched position
+ * @param {number} player - Player to move
+ * @param {number} depth - Depth of the full search
+ * @param {number[][]} validMoves - Array of [row, col] moves
+ * @returns {number[][]} Moves in search order
+ */
+function orderRootMoves(position, player, depth, validMoves) {
+  let scores = previousRootScores;
+  
+  if (!scores) {
+    const shallowDepth = Math.min(MAX_ORDERING_DEPTH, depth - 2);
+    if (shallowDepth < 1) {
+      return moveOrdering.orderMoves(validMoves, player, 0);
+    }
+    
+    scores = new Map();
+    for (const [row, col] of validMoves) {
+      const score = minimax(
+        playMove(position, row, col, player),
+        player === BLACK ? WHITE : BLACK,
+        shallowDepth,
+        false,
+        player,
+        -Infinity,
+        Infinity,
+        [{ move: [row, col], depth: shallowDepth + 1 }]
+      );
+      scores.set(row * boardSize + col, score);
+    }
+  }
+  
+  return [...validMoves].sort(
+    ([rowA, colA], [rowB, colB]) =>
+      (scores.get(rowB * boardSize + colB) ?? -Infinity) - (scores.get(rowA * boardSize + colA) ?? -Infinity)
+  );
+}
+
+/**
+ * Search all moves at the root and pick the best one
+ * @param {Object|number[][]} position - Searched position
+ * @param {number} player - Player to find move for
+ * @param {number} depth - Search depth
+ * @returns {{row: number, col: number, score: number, pv: Array<Object>, rootScores: Array<Object>}} Best move, its line and the root move scores
+ */
+function searchRoot(position, player, depth) {
+  const validMoves = getMoves(position, player);
   
   // No valid moves available
   if (validMoves.length === 0) {
-    return { row: -1, col: -1, score: null };
+    return { row: -1, col: -1, score: null, pv: [], rootScores: [] };
   }
   
   // Find best move for maximizing player
-  let bestMove = { row: -1, col: -1, score: -Infinity };
+  let bestMove = { row: -1, col: -1, score: -Infinity, pv: [] };
   let alpha = -Infinity;
   let beta = Infinity;
   
-  for (const [row, col] of validMoves) {
-    const newBoard = makeMove(board, row, col, player);
+  const rootMoves = moveOrderingEnabled ? orderRootMoves(position, player, depth, validMoves) : validMoves;
+  const rootScores = [];
+  lastRootScores = new Map();
+  
+  // Only the main search is traced, not the shallow searches that order root moves
+  if (traceEnabled) {
+    searchTrace.start(player, depth, traceLimit, boardSize);
+    traceActive = true;
+  }
+  
+  for (const [row, col] of rootMoves) {
     const score = minimax(
-      newBoard,
+      playMove(position, row, col, player),
       player === BLACK ? WHITE : BLACK, // opponent
       depth - 1,
       false, // minimize (opponent's turn)
@@ -71,15 +449,26 @@ export function findBestMove(board, player, depth, useAlphaBeta = true) {
       [{ move: [row, col], depth: depth }]
     );
     
+    // A timed-out subtree returns a meaningless score
+    if (timedOut) break;
+    
     if (debugMode) {
       console.log(`Considering move [${row}, ${col}]: score = ${score}`);
     }
     
+    lastRootScores.set(row * boardSize + col, score);
+    // Below depth 1, a move that fails to beat alpha only proves it is no better than its score
+    rootScores.push({ row, col, score, exact: score > alpha || depth === 1 });
+    
     if (score > bestMove.score) {
-      bestMove = { row, col, score };
+      bestMove = { row, col, score, pv: [{ row, col, player }, ...pvTable[1]] };
+      // In timed searches the best move only changes once an iteration completes
+      if (deadline === null) currentBestMove = bestMove;
     }
     
-    if (useAlphaBeta) {
+    reportProgress();
+    
+    if (pruning) {
       alpha = Math.max(alpha, score);
       if (beta <= alpha) {
         if (debugMode) {
@@ -90,58 +479,142 @@ export function findBestMove(board, player, depth, useAlphaBeta = true) {
     }
   }
   
-  return bestMove;
+  if (traceActive) {
+    traceActive = false;
+    searchTrace.markBest(bestMove.row * boardSize + bestMove.col);
+    const trace = searchTrace.finish(bestMove.score);
+    // An iteration cut short by the clock leaves the last complete trace in place
+    if (!timedOut) lastTrace = trace;
+  }
+  
+  return { ...bestMove, rootScores: rootScores.sort((a, b) => b.score - a.score) };
+}
+
+/**
+ * Mini-Max search of a node, recording it in the trace while one is being taken
+ * @param {Object|number[][]} position - Searched position
+ * @param {number} currentPlayer - Current player to move
+ * @param {number} depth - Remaining search depth
+ * @param {boolean} maximizing - Whether this is a maximizing or minimizing node
+ * @param {number} originalPlayer - The player we're trying to maximize for
+ * @param {number} alpha - Best value for maximizing player
+ * @param {number} beta - Best value for minimizing player
+ * @param {Array} moveSequence - Sequence of moves taken
+ * @returns {number} Heuristic score of the position
+ */
+function minimax(position, currentPlayer, depth, maximizing, originalPlayer, alpha, beta, moveSequence) {
+  if (!traceActive) {
+    return searchNode(position, currentPlayer, depth, maximizing, originalPlayer, alpha, beta, moveSequence);
+  }
+  
+  const lastMove = moveSequence[moveSequence.length - 1].move;
+  searchTrace.enter(lastMove, moveSequence.length, currentPlayer, depth, alpha, beta);
+  const score = searchNode(position, currentPlayer, depth, maximizing, originalPlayer, alpha, beta, moveSequence);
+  searchTrace.exit(score);
+  return score;
 }
 
 /**
  * Mini-Max algorithm implementation with alpha-beta pruning
- * @param {number[][]} board - Current board state
+ * @param {Object|number[][]} position - Searched position
  * @param {number} currentPlayer - Current player to move
  * @param {number} depth - Remaining search depth
  * @param {boolean} maximizing - Whether this is a maximizing or minimizing node
  * @param {number} originalPlayer - The player we're trying to maximize for
  * @param {number} alpha - Best value for maximizing player
  * @param {number} beta - Best value for minimizing player
- * @param {Array} moveSequence - Sequence of moves taken (for debug)
+ * @param {Array} moveSequence - Sequence of moves taken (its length is the ply)
  * @returns {number} Heuristic score of the position
  */
-function minimax(board, currentPlayer, depth, maximizing, originalPlayer, alpha, beta, moveSequence) {
+function searchNode(position, currentPlayer, depth, maximizing, originalPlayer, alpha, beta, moveSequence) {
   nodesExamined++;
   
+  const ply = moveSequence.length;
+  pvTable[ply] = [];
+  
+  if (nodesExamined % PROGRESS_INTERVAL === 0) {
+    reportProgress();
+  }
+  
+  if (isOutOfTime()) {
+    return 0;
+  }
+  
+  const validMoves = getMoves(position, currentPlayer);
+  const opponent = currentPlayer === BLACK ? WHITE : BLACK;
+  
   // Terminal conditions
-  const gameEnded = isGameOver(board, currentPlayer);
+  const gameEnded = validMoves.length === 0 && getMoves(position, opponent).length === 0;
   
   if (gameEnded || depth === 0) {
-    const winner = getWinner(board);
+    const board = getBoard(position);
     
     if (gameEnded) {
       // Terminal state
+      const winner = getWinner(board);
       if (winner === originalPlayer) {
-        return 10000; // Win
+        return WIN_SCORE; // Win
       } else if (winner === (originalPlayer === BLACK ? WHITE : BLACK)) {
-        return -10000; // Loss
+        return -WIN_SCORE; // Loss
       } else {
         return 0; // Tie
       }
     }
     
     // Depth limit reached, evaluate position
-    return evaluatePosition(board, originalPlayer);
+    return evaluatePosition(board, originalPlayer, currentPlayer);
   }
   
-  const validMoves = getValidMoves(board, currentPlayer);
-  
   // If no valid moves, pass turn to opponent
   if (validMoves.length === 0) {
-    const opponent = currentPlayer === BLACK ? WHITE : BLACK;
-    return minimax(board, opponent, depth - 1, !maximizing, originalPlayer, alpha, beta, moveSequence);
+    const score = minimax(position, opponent, depth - 1, !maximizing, originalPlayer, alpha, beta, moveSequence);
+    // The opponent searched at this same ply; its line follows the pass
+    pvTable[ply] = [{ row: -1, col: -1, player: currentPlayer }, ...pvTable[ply]];
+    return score;
+  }
+  
+  // Reuse the result of an earlier search of this position where possible
+  let hash = null;
+  if (transpositionEnabled) {
+    hash = bitboardSearch ? hashPosition(position, currentPlayer) : hashBoard(position, currentPlayer);
+    const entry = transpositionTable.probe(hash, depth);
+    
+    if (entry) {
+      if (entry.bound === EXACT) {
+        if (traceActive) searchTrace.note('transposition');
+        return entry.score;
+      }
+      
+      // Bounds can only narrow the window when alpha-beta is on
+      if (pruning) {
+        if (entry.bound === LOWER_BOUND) {
+          alpha = Math.max(alpha, entry.score);
+        } else {
+          beta = Math.min(beta, entry.score);
+        }
+        if (beta <= alpha) {
+          if (traceActive) searchTrace.note('transposition');
+          return entry.score;
+        }
+      }
+    }
   }
   
+  // Window actually searched, used to classify the result for the table
+  const searchAlpha = alpha;
+  const searchBeta = beta;
+  let result;
+  let bestSquare = -1;
+  let movesSearched = 0;
+  
+  const orderedMoves = moveOrderingEnabled
+    ? moveOrdering.orderMoves(validMoves, currentPlayer, ply, hash ? transpositionTable.getMove(hash) : -1)
+    : validMoves;
+  
   if (maximizing) {
     let maxEval = -Infinity;
     
-    for (const [row, col] of validMoves) {
-      const newBoard = makeMove(board, row, col, currentPlayer);
+    for (const [row, col] of orderedMoves) {
       const newSequence = [...moveSequence, { move: [row, col], depth: depth - 1 }];
       
       if (debugMode && moveSequence.length < 2) {
@@ -149,8 +622,8 @@ function minimax(board, currentPlayer, depth, maximizing, originalPlayer, alpha,
       }
       
       const score = minimax(
-        newBoard,
-        currentPlayer === BLACK ? WHITE : BLACK,
+        playMove(position, row, col, currentPlayer),
+        opponent,
         depth - 1,
         false,
         originalPlayer,
@@ -158,26 +631,36 @@ function minimax(board, currentPlayer, depth, maximizing, originalPlayer, alpha,
         beta,
         newSequence
       );
+      movesSearched++;
       
-      maxEval = Math.max(maxEval, score);
+      if (score > maxEval) {
+        maxEval = score;
+        bestSquare = row * boardSize + col;
+        pvTable[ply] = [{ row, col, player: currentPlayer }, ...pvTable[ply + 1]];
+      }
       
-      if (alphaBetaEnabled) {
+      if (pruning) {
         alpha = Math.max(alpha, score);
         if (beta <= alpha) {
+          cutoffs++;
+          if (movesSearched === 1) firstMoveCutoffs++;
+          if (moveOrderingEnabled) {
+            moveOrdering.recordCutoff(row, col, currentPlayer, ply, depth);
+          }
           if (debugMode) {
             console.log(`  ${'  '.repeat(moveSequence.length)}Pruned at depth ${depth}`);
           }
+          if (traceActive) recordTraceCutoff(orderedMoves, row, col);
           break; // Beta cutoff
         }
       }
     }
     
-    return maxEval;
+    result = maxEval;
   } else {
     let minEval = Infinity;
     
-    for (const [row, col] of validMoves) {
-      const newBoard = makeMove(board, row, col, currentPlayer);
+    for (const [row, col] of orderedMoves) {
       const newSequence = [...moveSequence, { move: [row, col], depth: depth - 1 }];
       
       if (debugMode && moveSequence.length < 2) {
@@ -185,8 +668,8 @@ function minimax(board, currentPlayer, depth, maximizing, originalPlayer, alpha,
       }
       
       const score = minimax(
-        newBoard,
-        currentPlayer === BLACK ? WHITE : BLACK,
+        playMove(position, row, col, currentPlayer),
+        opponent,
         depth - 1,
         true,
         originalPlayer,
@@ -194,21 +677,55 @@ function minimax(board, currentPlayer, depth, maximizing, originalPlayer, alpha,
         beta,
         newSequence
       );
+      movesSearched++;
       
-      minEval = Math.min(minEval, score);
+      if (score < minEval) {
+        minEval = score;
+        bestSquare = row * boardSize + col;
+        pvTable[ply] = [{ row, col, player: currentPlayer }, ...pvTable[ply + 1]];
+      }
       
-      if (alphaBetaEnabled) {
+      if (pruning) {
         beta = Math.min(beta, score);
         if (beta <= alpha) {
+          cutoffs++;
+          if (movesSearched === 1) firstMoveCutoffs++;
+          if (moveOrderingEnabled) {
+            moveOrdering.recordCutoff(row, col, currentPlayer, ply, depth);
+          }
           if (debugMode) {
             console.log(`  ${'  '.repeat(moveSequence.length)}Pruned at depth ${depth}`);
           }
+          if (traceActive) recordTraceCutoff(orderedMoves, row, col);
           break; // Alpha cutoff
         }
       }
     }
     
-    return minEval;
+    result = minEval;
+  }
+  
+  if (traceActive) searchTrace.markBest(bestSquare);
+  
+  // A timed-out search returns meaningless scores that must not be cached
+  if (hash && !timedOut) {
+    let bound = EXACT;
+    if (result <= searchAlpha) bound = UPPER_BOUND;
+    else if (result >= searchBeta) bound = LOWER_BOUND;
+    transpositionTable.store(hash, depth, result, bound, bestSquare);
   }
+  
+  return result;
 }
 
+
+/**
+ * Record an alpha-beta cutoff in the trace, with the moves it skipped
+ * @param {number[][]} orderedMoves - Moves of the node in search order
+ * @param {number} row - Row of the move that caused the cutoff
+ * @param {number} col - Column of the move that caused the cutoff
+ */
+function recordTraceCutoff(orderedMoves, row, col) {
+  const index = orderedMoves.findIndex(([r, c]) => r === row && c === col);
+  searchTrace.recordCutoff(orderedMoves.slice(index + 1));
+}
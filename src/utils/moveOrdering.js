@@ -0,0 +1,125 @@
+/**
+ * Move Ordering for Othello
+ * Sorts candidate moves so the strongest are searched first, which lets
+ * alpha-beta pruning cut off far more of the tree
+ *
+ * Order of preference:
+ *   1. The hash move (best move from the transposition table or previous iteration)
+ *   2. Corners
+ *   3. Killer moves (recently caused a cutoff at the same ply)
+ *   4. History heuristic score (how often the move caused cutoffs overall)
+ *   5. X-squares last
+ */
+
+import { BLACK, DEFAULT_BOARD_SIZE, MAX_BOARD_SIZE } from './gameLogic.js';
+
+// Deepest ply tracked for killer moves
+const MAX_PLY = MAX_BOARD_SIZE * MAX_BOARD_SIZE;
+
+// Static priorities by distance from the two nearest edges, [rows][columns]:
+// corners first, C-squares late, X-squares last, everything else 0
+const EDGE_DISTANCE_PRIORITY = [
+  [3, -1],
+  [-1, -3]
+];
+
+/**
+ * Build the static square priorities of a board size
+ * @param {number} size - Board size
+ * @returns {number[][]} Priority of each square
+ */
+function getSquarePriority(size) {
+  const last = size - 1;
+  return Array.from({ length: size }, (_, row) =>
+    Array.from({ length: size }, (_, col) => {
+      const rowDistance = Math.min(row, last - row);
+      const colDistance = Math.min(col, last - col);
+      return rowDistance < 2 && colDistance < 2 ? EDGE_DISTANCE_PRIORITY[rowDistance][colDistance] : 0;
+    }));
+}
+
+// Sort key weights for each tier; history scores are capped below KILLER_BONUS
+const HASH_MOVE_BONUS = 10000000;
+const PRIORITY_WEIGHT = 1000000;
+const KILLER_BONUS = 100000;
+const MAX_HISTORY = KILLER_BONUS - 1;
+
+/**
+ * Create move ordering state (killer moves and history table) for a search
+ * @returns {Object} Move orderer
+ */
+export function createMoveOrdering() {
+  // Board size being searched; squares are stored as row * size + col
+  let size = DEFAULT_BOARD_SIZE;
+  let squarePriority = getSquarePriority(size);
+  // Two killer slots per ply
+  const killers = Array(MAX_PLY).fill(null).map(() => [-1, -1]);
+  // History scores per player per square
+  const history = [new Int32Array(MAX_PLY), new Int32Array(MAX_PLY)];
+
+  /**
+   * Sort moves best-first
+   * @param {number[][]} moves - Array of [row, col] moves
+   * @param {number} player - Player making the moves
+   * @param {number} ply - Distance from the root
+   * @param {number} hashMove - Move to try first as row * size + col, or -1
+   * @returns {number[][]} Moves in search order
+   */
+  const orderMoves = (moves, player, ply, hashMove = -1) => {
+    const playerHistory = history[player === BLACK ? 0 : 1];
+    const plyKillers = ply < MAX_PLY ? killers[ply] : [-1, -1];
+
+    const keyed = moves.map((move) => {
+      const [row, col] = move;
+      const square = row * size + col;
+
+      let key = squarePriority[row][col] * PRIORITY_WEIGHT;
+      if (square === hashMove) key += HASH_MOVE_BONUS;
+      if (square === plyKillers[0] || square === plyKillers[1]) key += KILLER_BONUS;
+      key += Math.min(playerHistory[square], MAX_HISTORY);
+
+      return { move, key };
+    });
+
+    keyed.sort((a, b) => b.key - a.key);
+    return keyed.map(({ move }) => move);
+  };
+
+  /**
+   * Remember a move that caused an alpha-beta cutoff
+   * @param {number} row - Row of the move
+   * @param {number} col - Column of the move
+   * @param {number} player - Player who made the move
+   * @param {number} ply - Distance from the root
+   * @param {number} depth - Remaining depth, deeper cutoffs count for more
+   */
+  const recordCutoff = (row, col, player, ply, depth) => {
+    const square = row * size + col;
+
+    if (ply < MAX_PLY && killers[ply][0] !== square) {
+      killers[ply][1] = killers[ply][0];
+      killers[ply][0] = square;
+    }
+
+    history[player === BLACK ? 0 : 1][square] += depth * depth;
+  };
+
+  /**
+   * Forget all killer moves and history scores
+   * @param {number} boardSize - Size of the board about to be searched
+   */
+  const clear = (boardSize = DEFAULT_BOARD_SIZE) => {
+    if (boardSize !== size) {
+      size = boardSize;
+      squarePriority = getSquarePriority(size);
+    }
+    for (const plyKillers of killers) {
+      plyKillers[0] = -1;
+      plyKillers[1] = -1;
+    }
+    history[0].fill(0);
+    history[1].fill(0);
+  };
+
+  return { orderMoves, recordCutoff, clear };
+}
@@ -0,0 +1,140 @@
+/**
+ * Move Notation for Othello
+ * Converts between board coordinates [row, col] and standard algebraic
+ * notation, where columns are letters a-h and rows are numbers 1-8 (a1 is
+ * the top-left square); 10x10 boards run to j10
+ *
+ * A game transcript is its moves run together, e.g. "f5d6c3d3c4". Passes are
+ * left out since they are forced; "pa" or "--" is accepted where one occurs.
+ */
+
+import { BLACK, WHITE, DEFAULT_BOARD_SIZE, initializeBoard, isValidMove, makeMove, getValidMoves } from './gameLogic.js';
+
+const COLUMN_LETTERS = 'abcdefghij';
+
+// Tokens some transcripts use to mark a pass
+const PASS_TOKENS = ['pa', '--'];
+
+/**
+ * Convert board coordinates to algebraic notation
+ * @param {number} row - Row index (0-9)
+ * @param {number} col - Column index (0-9)
+ * @returns {string} Square name, e.g. "f5"
+ */
+export function toAlgebraic(row, col) {
+  return `${COLUMN_LETTERS[col]}${row + 1}`;
+}
+
+/**
+ * Convert algebraic notation to board coordinates
+ * @param {string} square - Square name, e.g. "f5" (case-insensitive)
+ * @param {number} size - Board size the square must lie on
+ * @returns {number[]|null} [row, col], or null if the name is not a square
+ */
+export function fromAlgebraic(square, size = DEFAULT_BOARD_SIZE) {
+  const match = /^([a-j])(10|[1-9])$/i.exec(square.trim());
+  if (!match) return null;
+
+  const col = COLUMN_LETTERS.indexOf(match[1].toLowerCase());
+  const row = parseInt(match[2], 10) - 1;
+  if (row >= size || col >= size) return null;
+  return [row, col];
+}
+
+/**
+ * Split a run of concatenated moves into coordinates
+ * @param {string} sequence - Moves such as "f5d6c3d3c4"
+ * @returns {number[][]|null} Array of [row, col] moves, or null if any move is malformed
+ */
+export function parseMoveSequence(sequence) {
+  const compact = sequence.replace(/\s+/g, '');
+  if (compact.length % 2 !== 0) return null;
+
+  const moves = [];
+  for (let i = 0; i < compact.length; i += 2) {
+    const move = fromAlgebraic(compact.slice(i, i + 2));
+    if (!move) return null;
+    moves.push(move);
+  }
+  return moves;
+}
+
+/**
+ * Export a game as a transcript
+ * @param {Array<Object>} moves - History entries ({player, row, col} or {player, pass: true})
+ * @returns {string} Transcript, e.g. "f5d6c3d3c4"
+ */
+export function exportTranscript(moves) {
+  return moves
+    .filter((entry) => !entry.pass)
+    .map(({ row, col }) => toAlgebraic(row, col))
+    .join('');
+}
+
+/**
+ * Import a transcript, replaying it from the starting position
+ * Forced passes are inserted where the side to move has no legal move
+ * @param {string} transcript - Moves such as "f5d6c3d3c4"; whitespace, commas and move numbers are ignored
+ *   (move numbers need their dot, since 10x10 squares such as "a10" end in two digits)
+ * @param {Object|null} start - Position {board, player} the game starts from, or null for the standard start
+ * @returns {Array<Object>} History entries ({player, row, col} or {player, pass: true})
+ * @throws {Error} Naming the first move that is malformed or illegal
+ */
+export function importTranscript(transcript, start = null) {
+  const compact = transcript.replace(/\d+\.|[\s,]+/g, '').toLowerCase();
+  if (!compact) throw new Error('transcript is empty');
+
+  // A letter and its row number ("a10" on 10x10), a pass, or a stray character
+  const tokens = compact.match(/[a-z]\d+|pa|--|./g);
+  const lastToken = tokens[tokens.length - 1];
+  if (/^[a-z]$/.test(lastToken)) throw new Error(`transcript ends with an incomplete move "${lastToken}"`);
+
+  const entries = [];
+  let board = start ? start.board : initializeBoard();
+  let player = start ? start.player : BLACK;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const moveNumber = i + 1;
+
+    // A player without moves passes; a written-out pass stands for that pass
+    if (getValidMoves(board, player).length === 0) {
+      const opponent = player === BLACK ? WHITE : BLACK;
+      if (getValidMoves(board, opponent).length === 0) {
+        throw new Error(`move ${moveNumber} (${token}) comes after the game is over`);
+      }
+      entries.push({ player, pass: true });
+      player = opponent;
+      if (PASS_TOKENS.includes(token)) continue;
+    }
+
+    const playerName = player === BLACK ? 'Black' : 'White';
+    const opponent = player === BLACK ? WHITE : BLACK;
+
+    if (PASS_TOKENS.includes(token)) {
+      throw new Error(`move ${moveNumber}: ${playerName} cannot pass with legal moves available`);
+    }
+
+    const square = fromAlgebraic(token, board.length);
+    if (!square) {
+      throw new Error(`move ${moveNumber} ("${token}") is not a square`);
+    }
+
+    const [row, col] = square;
+    if (!isValidMove(board, row, col, player)) {
+      throw new Error(`move ${moveNumber} (${token}) is not legal for ${playerName}`);
+    }
+
+    entries.push({ player, row, col });
+    board = makeMove(board, row, col, player);
+    player = opponent;
+  }
+
+  // A pass left at the end is still forced
+  if (getValidMoves(board, player).length === 0 &&
+      getValidMoves(board, player === BLACK ? WHITE : BLACK).length > 0) {
+    entries.push({ player, pass: true });
+  }
+
+  return entries;
+}
@@ -0,0 +1,206 @@
+/**
+ * Online Play for Othello
+ * Connects to the relay server (server/relay.js) to play in a room against
+ * someone in another browser, or to watch a room as a spectator
+ *
+ * The server checks every move and sends the whole game after each change,
+ * so the client only replays what it is sent. A dropped connection is
+ * retried with a growing delay, and the seat is taken back with the token
+ * the server gave on joining. The room and token are also kept in
+ * sessionStorage, so reloading the page returns to the room.
+ */
+
+export const DEFAULT_SERVER_PORT = 8787;
+
+const SESSION_KEY = 'othello:online';
+
+// Delay before the first reconnect attempt, doubled after each failure up to the maximum
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+
+/**
+ * Get the address of the relay server on the machine serving the page
+ * @returns {string} e.g. "ws://localhost:8787"
+ */
+export function getDefaultServerUrl() {
+  return `ws://${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+}
+
+/**
+ * Read the room this tab was last in
+ * @returns {{url: string, code: string, token: string|null}|null} Session, or null if there is none
+ */
+export function loadOnlineSession() {
+  try {
+    const text = sessionStorage.getItem(SESSION_KEY);
+    return text === null ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the room this tab is in, or forget it
+ * @param {Object|null} session - Session {url, code, token}, or null to clear it
+ */
+function saveOnlineSession(session) {
+  try {
+    if (session) sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch {
+    // Without session storage, a reload simply leaves the room
+  }
+}
+
+/**
+ * Create a connection to a relay server
+ * Nothing is sent until create, join or resume is called
+ * @param {string} url - Server address, e.g. "ws://localhost:8787"
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onStatus - Called with 'connecting', 'connected', 'reconnecting' or 'closed'
+ * @param {Function} handlers.onJoined - Called with {code, color} on entering a room (color null for a spectator)
+ * @param {Function} handlers.onState - Called with the room state {code, rules, start, moves, gameOver, winner, players, spectators}
+ * @param {Function} handlers.onError - Called with an error message
+ * @returns {{create: Function, join: Function, resume: Function, sendMove: Function, leave: Function, close: Function}} Client instance
+ */
+export function createOnlineClient(url, { onStatus, onJoined, onState, onError }) {
+  let socket = null;
+  let request = null; // Message to send once connected
+  let session = null; // {code, token} once in a room
+  let closed = false;
+  let retries = 0;
+  let retryTimer = null;
+
+  /**
+   * Send a message if the connection is open
+   * @param {Object} message - Message to send
+   */
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  /**
+   * Stop for good: no more reconnects, and the room is forgotten
+   */
+  const shutDown = () => {
+    closed = true;
+    session = null;
+    clearTimeout(retryTimer);
+    saveOnlineSession(null);
+    if (socket) socket.close();
+    onStatus('closed');
+  };
+
+  /**
+   * Handle a message from the server
+   * @param {MessageEvent} event - Socket message
+   */
+  const handleMessage = (event) => {
+    const message = JSON.parse(event.data);
+
+    if (message.type === 'joined') {
+      session = { code: message.code, token: message.token };
+      saveOnlineSession({ url, ...session });
+      onStatus('connected');
+      onJoined({ code: message.code, color: message.color });
+    } else if (message.type === 'state') {
+      onState(message);
+    } else if (message.type === 'error') {
+      onError(message.message);
+      // The room could not be entered, or another window has the seat now, so
+      // there is nothing to reconnect to
+      if (message.fatal) shutDown();
+    }
+  };
+
+  /**
+   * Open the connection, entering the room again if this is a reconnect
+   */
+  const connect = () => {
+    onStatus(session ? 'reconnecting' : 'connecting');
+    socket = new WebSocket(url);
+    socket.onmessage = handleMessage;
+    // Every failure also closes the socket, which is handled below
+    socket.onerror = () => {};
+
+    socket.onopen = () => {
+      retries = 0;
+      send(session ? { type: 'resume', ...session } : request);
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+
+      if (!session) {
+        onError(`Could not connect to ${url}. Is the relay server running (npm run server)?`);
+        shutDown();
+        return;
+      }
+
+      onStatus('reconnecting');
+      const delay = Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * 2 ** retries);
+      retries++;
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  /**
+   * Create a room and take a seat in it
+   * @param {Object} rules - Rules {size, startPosition, holeCount, antiOthello}
+   * @param {number} color - Color to play (BLACK or WHITE)
+   */
+  const create = (rules, color) => {
+    request = { type: 'create', rules, color };
+    connect();
+  };
+
+  /**
+   * Join a room, taking its free seat or watching
+   * @param {string} code - Room code
+   * @param {boolean} spectate - Watch even if a seat is free
+   */
+  const join = (code, spectate) => {
+    request = { type: 'join', code, spectate };
+    connect();
+  };
+
+  /**
+   * Go back to a room after a reload
+   * @param {Object} saved - Session {code, token} from loadOnlineSession
+   */
+  const resume = ({ code, token }) => {
+    session = { code, token };
+    connect();
+  };
+
+  /**
+   * Ask the server to play a move; it answers with the new state or an error
+   * @param {number} row - Row of the move
+   * @param {number} col - Column of the move
+   */
+  const sendMove = (row, col) => {
+    send({ type: 'move', row, col });
+  };
+
+  /**
+   * Leave the room, giving up the seat
+   */
+  const leave = () => {
+    send({ type: 'leave' });
+    shutDown();
+  };
+
+  /**
+   * Close the connection but keep the seat, so a later resume takes it back
+   */
+  const close = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) socket.close();
+  };
+
+  return { create, join, resume, sendMove, leave, close };
+}
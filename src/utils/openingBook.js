@@ -0,0 +1,197 @@
+/**
+ * Opening Book for Othello
+ * Stores known opening lines indexed by position, so the AI can play varied,
+ * well-studied first moves instead of searching them from scratch
+ *
+ * Book formats:
+ *   JSON: [{ "moves": "f5d6c3d3c4", "name": "Tiger", "weight": 2 }, ...]
+ *   Text: one line per opening, "f5d6c3d3c4 Tiger"; "#" starts a comment
+ *
+ * Lines are written starting with f5. The starting position looks the same
+ * under four symmetries (identity, both diagonal reflections and a half
+ * turn), so every line is stored in all four orientations and also covers
+ * openings starting with e6, d3 and c4.
+ */
+
+import { BLACK, WHITE, initializeBoard, isValidMove, makeMove, getValidMoves } from './gameLogic.js';
+import { parseMoveSequence } from './notation.js';
+import defaultBook from '../data/openingBook.json';
+
+const BOARD_SIZE = 8;
+
+// Square mappings that leave the starting position unchanged
+const SYMMETRIES = [
+  (row, col) => [row, col],
+  (row, col) => [col, row],
+  (row, col) => [BOARD_SIZE - 1 - col, BOARD_SIZE - 1 - row],
+  (row, col) => [BOARD_SIZE - 1 - row, BOARD_SIZE - 1 - col]
+];
+
+// Position key -> { moves: Map(square -> weight), name: string|null }
+let positions = new Map();
+
+/**
+ * Build the lookup key for a position
+ * @param {number[][]} board - Board state
+ * @param {number} player - Player to move
+ * @returns {string} Position key
+ */
+function positionKey(board, player) {
+  return `${board.map(row => row.join('')).join('')}${player}`;
+}
+
+/**
+ * Parse a text opening book
+ * @param {string} text - One opening per line: moves, then an optional name
+ * @returns {Array<{moves: string, name: string|null, weight: number}>} Book entries
+ */
+export function parseBookText(text) {
+  const entries = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const [moves, ...nameParts] = line.split(/\s+/);
+    entries.push({ moves, name: nameParts.join(' ') || null, weight: 1 });
+  }
+
+  return entries;
+}
+
+/**
+ * Parse an opening book file, detecting JSON or text format
+ * @param {string} contents - File contents
+ * @returns {Array<{moves: string, name: string|null, weight: number}>} Book entries
+ */
+export function parseBookFile(contents) {
+  const trimmed = contents.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(({ moves, name = null, weight = 1 }) => ({ moves, name, weight }));
+  }
+  return parseBookText(contents);
+}
+
+/**
+ * Load a set of book entries, replacing the current book
+ * Lines containing an illegal or malformed move are skipped
+ * @param {Array<{moves: string, name: string|null, weight: number}>} entries - Book entries
+ * @returns {{lines: number, skipped: number, positions: number}} Load summary
+ */
+export function loadOpeningBook(entries) {
+  const newPositions = new Map();
+  let lines = 0;
+  let skipped = 0;
+
+  for (const { moves, name = null, weight = 1 } of entries) {
+    const sequence = parseMoveSequence(moves);
+    if (!sequence || sequence.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    let valid = true;
+
+    for (const transform of SYMMETRIES) {
+      let board = initializeBoard();
+      let player = BLACK;
+      const visited = [];
+
+      for (const move of sequence) {
+        const [row, col] = transform(...move);
+
+        // Skip over a pass so the line continues with the other side
+        if (getValidMoves(board, player).length === 0) {
+          player = player === BLACK ? WHITE : BLACK;
+        }
+
+        if (!isValidMove(board, row, col, player)) {
+          valid = false;
+          break;
+        }
+
+        visited.push({ key: positionKey(board, player), square: row * BOARD_SIZE + col });
+        board = makeMove(board, row, col, player);
+        player = player === BLACK ? WHITE : BLACK;
+      }
+
+      if (!valid) break;
+
+      for (const { key, square } of visited) {
+        if (!newPositions.has(key)) newPositions.set(key, { moves: new Map(), name: null });
+        const entry = newPositions.get(key);
+        entry.moves.set(square, (entry.moves.get(square) || 0) + weight);
+      }
+
+      // The name belongs to the position the line leads to
+      if (name) {
+        const finalKey = positionKey(board, player);
+        if (!newPositions.has(finalKey)) newPositions.set(finalKey, { moves: new Map(), name: null });
+        newPositions.get(finalKey).name = name;
+      }
+    }
+
+    if (valid) lines++;
+    else skipped++;
+  }
+
+  positions = newPositions;
+  return { lines, skipped, positions: positions.size };
+}
+
+/**
+ * Load the opening book bundled with the app
+ * @returns {{lines: number, skipped: number, positions: number}} Load summary
+ */
+export function loadDefaultOpeningBook() {
+  return loadOpeningBook(defaultBook);
+}
+
+/**
+ * Check whether a position is in the book
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to move
+ * @returns {boolean} True if the book knows the position
+ */
+export function isInBook(board, player) {
+  return positions.has(positionKey(board, player));
+}
+
+/**
+ * Get the name of the opening that ends in this position, if any
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to move
+ * @returns {string|null} Opening name
+ */
+export function getOpeningName(board, player) {
+  const entry = positions.get(positionKey(board, player));
+  return entry ? entry.name : null;
+}
+
+/**
+ * Pick a book move, weighted-random among the moves the book knows
+ * @param {number[][]} board - Current board state
+ * @param {number} player - Player to move
+ * @param {Function} random - Random number source in [0, 1)
+ * @returns {{row: number, col: number}|null} Book move, or null if out of book
+ */
+export function getBookMove(board, player, random = Math.random) {
+  const entry = positions.get(positionKey(board, player));
+  if (!entry || entry.moves.size === 0) return null;
+
+  let totalWeight = 0;
+  for (const weight of entry.moves.values()) totalWeight += weight;
+
+  let pick = random() * totalWeight;
+  for (const [square, weight] of entry.moves) {
+    pick -= weight;
+    if (pick < 0) {
+      return { row: Math.floor(square / BOARD_SIZE), col: square % BOARD_SIZE };
+    }
+  }
+
+  // Floating point rounding: fall back to the last move
+  const squares = [...entry.moves.keys()];
+  const square = squares[squares.length - 1];
+  return { row: Math.floor(square / BOARD_SIZE), col: square % BOARD_SIZE };
+}
@@ -0,0 +1,89 @@
+/**
+ * Position Strings for Othello
+ * A compact text form of a position: 64 squares row by row from a1 to h8,
+ * "X" for black, "O" for white and "-" for empty, then the side to move
+ * ("X" or "O"). Whitespace is ignored, so the string may be split into rows.
+ * 6x6 and 10x10 positions are written the same way with 36 or 100 squares,
+ * and "#" marks a hole square no one may play on.
+ *
+ * Starting position:
+ *   ---------------------------OX------XO--------------------------- X
+ */
+
+import { EMPTY, BLACK, WHITE, BLOCKED, BOARD_SIZES, getValidMoves } from './gameLogic.js';
+
+const PIECE_CHARS = { [EMPTY]: '-', [BLACK]: 'X', [WHITE]: 'O', [BLOCKED]: '#' };
+const CHAR_PIECES = { '-': EMPTY, X: BLACK, O: WHITE, '#': BLOCKED };
+
+/**
+ * Write a position as a position string
+ * @param {number[][]} board - Board state
+ * @param {number} player - Player to move
+ * @returns {string} One character per square, a space and the side to move
+ */
+export function serializePosition(board, player) {
+  const squares = board.map((row) => row.map((piece) => PIECE_CHARS[piece]).join('')).join('');
+  return `${squares} ${PIECE_CHARS[player]}`;
+}
+
+/**
+ * Read a position string
+ * @param {string} text - Position string
+ * @returns {{board: number[][], player: number}} Board and side to move
+ * @throws {Error} If the string has the wrong length or an unknown character
+ */
+export function parsePosition(text) {
+  const compact = text.replace(/\s+/g, '').toUpperCase();
+  const size = BOARD_SIZES.find((boardSize) => compact.length === boardSize * boardSize + 1);
+
+  if (!size) {
+    const counts = BOARD_SIZES.map((boardSize) => boardSize * boardSize).join(', ');
+    throw new Error(`expected ${counts} squares and the side to move, got ${compact.length} characters`);
+  }
+
+  const squareCount = size * size;
+  const board = [];
+  for (let row = 0; row < size; row++) {
+    const boardRow = [];
+    for (let col = 0; col < size; col++) {
+      const char = compact[row * size + col];
+      if (!(char in CHAR_PIECES)) {
+        throw new Error(`square ${row * size + col + 1} is "${char}"; use X, O, - or #`);
+      }
+      boardRow.push(CHAR_PIECES[char]);
+    }
+    board.push(boardRow);
+  }
+
+  const sideChar = compact[squareCount];
+  if (sideChar !== 'X' && sideChar !== 'O') {
+    throw new Error(`side to move is "${sideChar}"; use X or O`);
+  }
+
+  return { board, player: CHAR_PIECES[sideChar] };
+}
+
+/**
+ * Check whether a position can be played from
+ * @param {number[][]} board - Board state
+ * @param {number} player - Player to move
+ * @returns {{errors: string[], warnings: string[]}} Problems that prevent play, and ones worth knowing about
+ */
+export function validatePosition(board, player) {
+  const errors = [];
+  const warnings = [];
+  const playerName = player === BLACK ? 'Black' : 'White';
+  const opponentName = player === BLACK ? 'White' : 'Black';
+  const opponent = player === BLACK ? WHITE : BLACK;
+
+  const playerMoves = getValidMoves(board, player).length;
+  const opponentMoves = getValidMoves(board, opponent).length;
+
+  if (playerMoves === 0 && opponentMoves === 0) {
+    errors.push('Neither side has a legal move: the game is already over');
+  } else if (playerMoves === 0) {
+    warnings.push(`${playerName} has no legal moves and must pass; ${opponentName} will move first`);
+  }
+
+  return { errors, warnings };
+}
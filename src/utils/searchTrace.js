@@ -0,0 +1,181 @@
+/**
+ * Search Trace for Othello
+ * Records the tree a Mini-Max search walks, so it can be shown in the UI
+ *
+ * Each recorded node is {id, move, player, depth, alpha, beta, score, kind,
+ * cutoff, best, children, omitted}: move is [row, col] or 'pass' (null at the
+ * root), alpha and beta the window it was searched with, kind 'search',
+ * 'transposition' (answered by the table) or 'leaf', cutoff whether alpha-beta
+ * stopped searching its moves early and best whether it gave its parent's score.
+ * Moves a cutoff skipped are listed as {move, pruned: true} children.
+ *
+ * Recording stops below the root's moves once the node limit is reached;
+ * omitted counts the children of a node that went unrecorded.
+ */
+
+import { DEFAULT_BOARD_SIZE } from './gameLogic.js';
+
+// Nodes recorded before deeper plies stop being recorded
+export const DEFAULT_TRACE_LIMIT = 2000;
+
+/**
+ * Create a search trace recorder
+ * @returns {{start: Function, isRecording: Function, enter: Function, exit: Function, note: Function,
+ *   recordCutoff: Function, markBest: Function, finish: Function}} Trace recorder
+ */
+export function createSearchTrace() {
+  let root = null;
+  let stack = []; // Recorded nodes from the root down to the node being searched
+  let nodeCount = 0;
+  let limit = DEFAULT_TRACE_LIMIT;
+  let suspended = 0; // Depth inside a subtree that is not being recorded
+  let truncated = false;
+  let boardSize = DEFAULT_BOARD_SIZE; // Squares are passed to markBest as row * boardSize + col
+
+  /**
+   * Begin recording a search from the root position
+   * @param {number} player - Player to move at the root
+   * @param {number} depth - Search depth
+   * @param {number} nodeLimit - Most nodes to record below the root's moves
+   * @param {number} size - Board size
+   */
+  const start = (player, depth, nodeLimit = DEFAULT_TRACE_LIMIT, size = DEFAULT_BOARD_SIZE) => {
+    boardSize = size;
+    root = createNode(null, player, depth, -Infinity, Infinity, 0);
+    stack = [root];
+    nodeCount = 1;
+    limit = nodeLimit;
+    suspended = 0;
+    truncated = false;
+  };
+
+  /**
+   * Create a trace node
+   * @param {Array|string|null} move - Move that reached the node
+   * @param {number} player - Player to move
+   * @param {number} depth - Remaining depth
+   * @param {number} alpha - Alpha on entry
+   * @param {number} beta - Beta on entry
+   * @param {number} ply - Moves from the root
+   * @returns {Object} Trace node
+   */
+  const createNode = (move, player, depth, alpha, beta, ply) => ({
+    id: nodeCount,
+    move,
+    player,
+    depth,
+    alpha,
+    beta,
+    score: null,
+    kind: 'search',
+    cutoff: false,
+    best: false,
+    children: [],
+    omitted: 0,
+    ply
+  });
+
+  /**
+   * Check whether the node being searched is recorded
+   * @returns {boolean} True while recording
+   */
+  const isRecording = () => root !== null && suspended === 0;
+
+  /**
+   * Enter a node below the current one
+   * A node at the same ply as its parent was reached by a pass
+   * @param {number[]} move - Last move played, as [row, col]
+   * @param {number} ply - Moves from the root
+   * @param {number} player - Player to move
+   * @param {number} depth - Remaining depth
+   * @param {number} alpha - Alpha on entry
+   * @param {number} beta - Beta on entry
+   */
+  const enter = (move, ply, player, depth, alpha, beta) => {
+    if (!isRecording()) {
+      suspended++;
+      return;
+    }
+
+    const parent = stack[stack.length - 1];
+
+    // Past the limit only the root's own moves are still recorded
+    if (nodeCount >= limit && ply > 1) {
+      parent.omitted++;
+      truncated = true;
+      suspended++;
+      return;
+    }
+
+    const node = createNode(parent.ply === ply ? 'pass' : move, player, depth, alpha, beta, ply);
+    nodeCount++;
+    parent.children.push(node);
+    stack.push(node);
+  };
+
+  /**
+   * Leave the node being searched
+   * @param {number} score - Score it returned
+   */
+  const exit = (score) => {
+    if (suspended > 0) {
+      suspended--;
+      return;
+    }
+
+    const node = stack.pop();
+    node.score = score;
+    if (node.kind === 'search' && node.children.length === 0 && node.omitted === 0) {
+      node.kind = 'leaf';
+    }
+  };
+
+  /**
+   * Note how the node being searched was answered
+   * @param {string} kind - 'transposition' for a table hit
+   */
+  const note = (kind) => {
+    if (isRecording()) stack[stack.length - 1].kind = kind;
+  };
+
+  /**
+   * Record an alpha-beta cutoff at the node being searched
+   * @param {number[][]} skippedMoves - Moves left unsearched, as [row, col]
+   */
+  const recordCutoff = (skippedMoves) => {
+    if (!isRecording()) return;
+    const node = stack[stack.length - 1];
+    node.cutoff = true;
+    for (const move of skippedMoves) {
+      node.children.push({ move, pruned: true });
+    }
+  };
+
+  /**
+   * Mark the child whose score the node being searched returned
+   * @param {number} square - Best move as row * boardSize + col, -1 if none
+   */
+  const markBest = (square) => {
+    if (!isRecording() || square < 0) return;
+    const node = stack[stack.length - 1];
+    const best = node.children.find((child) => !child.pruned && Array.isArray(child.move) &&
+      child.move[0] * boardSize + child.move[1] === square);
+    if (best) best.best = true;
+  };
+
+  /**
+   * Stop recording and hand over the trace
+   * @param {number|null} score - Score of the root
+   * @returns {{root: Object, nodeCount: number, truncated: boolean, limit: number}|null} Trace, or null if none was started
+   */
+  const finish = (score) => {
+    if (!root) return null;
+    root.score = score;
+    const trace = { root, nodeCount, truncated, limit };
+    root = null;
+    stack = [];
+    return trace;
+  };
+
+  return { start, isRecording, enter, exit, note, recordCutoff, markBest, finish };
+}
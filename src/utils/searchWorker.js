@@ -0,0 +1,282 @@
+/**
+ * Search Worker for Othello
+ * Runs the AI search off the main thread so the UI stays responsive
+ *
+ * Messages received:
+ *   { type: 'search', id, board, player, engine, depth, timeLimit, alphaBeta, transposition, moveOrdering,
+ *     endgameThreshold, wldOnly, useBook, mctsPlayouts, mctsExploration, mctsHeuristic, heuristicProfile, debug,
+ *     traceLimit, antiOthello }
+ *   (engine is 'minimax' or 'mcts'; timeLimit in ms replaces the fixed depth or playout count;
+ *   for minimax, at or below endgameThreshold empty squares the exact endgame solver is tried
+ *   first, with half the time limit or ENDGAME_TIME_LIMIT in depth mode, and the normal search
+ *   runs if it cannot finish in time; with useBook a book move is played without searching when one is known;
+ *   heuristicProfile is the evaluation profile of the side to move; with debug, Mini-Max searches
+ *   record a trace of up to traceLimit nodes; MCTS and the endgame solver need bitboards, so
+ *   boards other than 8x8 are always searched with Mini-Max; antiOthello scores every search by the
+ *   anti-Othello rule, and turns the opening book off since its lines are for the standard game;
+ *   fixed-depth alpha-beta searches with debug are run again with move ordering switched the other way)
+ *   { type: 'loadBook', entries }
+ *   { type: 'scoreMoves', id, board, player, depth, heuristicProfile, antiOthello }
+ *   (scores every legal move with an exact Mini-Max search)
+ *   { type: 'compare', id, board, player, maxDepth, includeOrdering, heuristicProfile, antiOthello }
+ *   (runs plain Mini-Max and alpha-beta, optionally with move ordering, at each depth 1..maxDepth)
+ *
+ * Messages posted:
+ *   { type: 'progress', id, bestMove, nodesExamined, depth }
+ *   { type: 'result', id, bestMove, nodesExamined, depthReached, transpositionStats, solved, mctsStats, trace,
+ *     orderingComparison }
+ *   (a Mini-Max bestMove also carries its principal variation, root move scores and search statistics;
+ *   solved is {score, wldOnly} when the endgame solver proved the result, otherwise null;
+ *   mctsStats lists root move visits and win rates for MCTS searches, otherwise null;
+ *   trace is the recorded search tree of a debug Mini-Max search, otherwise null;
+ *   orderingComparison is {depth, ordered, unordered}, the node counts of the position searched
+ *   with and without move ordering, for the searches run twice, otherwise null)
+ *   { type: 'result', id, moves, nodesExamined } for scoreMoves, moves being {row, col, score} best first
+ *   { type: 'progress', id, rows } and { type: 'result', id, rows } for compare, rows being
+ *   {depth, runs, agree} with runs {key, row, col, score, nodesExamined, elapsed} per search
+ */
+
+import {
+  findBestMove,
+  findBestMoveTimed,
+  scoreMoves,
+  setAlphaBeta,
+  setTranspositionTable,
+  setMoveOrdering,
+  setDebugMode,
+  setProgressCallback,
+  setSearchTrace,
+  getSearchTrace,
+  getNodesExamined,
+  getDepthReached,
+  getTranspositionStats
+} from './minimax.js';
+import { setHeuristicProfile } from './heuristic.js';
+import { setAntiOthello, isAntiOthello } from './gameLogic.js';
+import { findBestMoveMCTS, getPlayoutsRun, getRootStats } from './mcts.js';
+import { solveEndgame, getEndgameNodes, countEmpties } from './endgame.js';
+import { loadDefaultOpeningBook, loadOpeningBook, getBookMove } from './openingBook.js';
+import { BITBOARD_SIZE } from './bitboard.js';
+import { getComparisonSearches, valuesAgree } from './comparison.js';
+
+loadDefaultOpeningBook();
+
+// Time the endgame solver gets in depth mode before falling back to the fixed-depth search
+const ENDGAME_TIME_LIMIT = 5000;
+
+// Share of a timed search's budget the endgame solver gets; the rest is left for the fallback
+const ENDGAME_TIME_SHARE = 0.5;
+
+// Fields every result carries; each search fills in the ones it produces
+const EMPTY_RESULT = {
+  nodesExamined: 0,
+  depthReached: 0,
+  transpositionStats: null,
+  solved: null,
+  mctsStats: null,
+  trace: null,
+  orderingComparison: null
+};
+
+/**
+ * Search with Monte Carlo Tree Search
+ * @param {Object} request - Search request
+ * @param {Function} postProgress - Posts a progress update
+ * @returns {Object} Result fields
+ */
+function searchMCTS(request, postProgress) {
+  const { board, player, timeLimit, mctsPlayouts, mctsExploration, mctsHeuristic, debug } = request;
+
+  const bestMove = findBestMoveMCTS(board, player, {
+    playouts: mctsPlayouts,
+    timeLimit,
+    exploration: mctsExploration,
+    heuristic: mctsHeuristic,
+    onProgress: postProgress
+  });
+
+  if (debug) {
+    console.log(`MCTS ran ${getPlayoutsRun()} playouts:`, getRootStats());
+  }
+
+  return { ...EMPTY_RESULT, bestMove, nodesExamined: getPlayoutsRun(), mctsStats: getRootStats() };
+}
+
+/**
+ * Search a position again with move ordering switched the other way
+ * The transposition table is cleared before every search, so both searches
+ * start alike and differ only in the order moves are tried
+ * @param {Object} request - Fixed-depth search request that was just run
+ * @param {number} nodes - Nodes that search examined
+ * @returns {{depth: number, ordered: number, unordered: number}} Node counts with and without ordering
+ */
+function compareOrdering(request, nodes) {
+  const { board, player, depth, moveOrdering } = request;
+
+  setMoveOrdering(!moveOrdering);
+  setDebugMode(false);
+  setSearchTrace(false);
+  const otherNodes = findBestMove(board, player, depth, true).stats.nodesExamined;
+
+  return {
+    depth,
+    ordered: moveOrdering ? nodes : otherNodes,
+    unordered: moveOrdering ? otherNodes : nodes
+  };
+}
+
+/**
+ * Search with Mini-Max, using the opening book and endgame solver when they apply
+ * @param {Object} request - Search request
+ * @param {Function} postProgress - Posts a progress update
+ * @returns {Object} Result fields
+ */
+function searchMinimax(request, postProgress) {
+  const {
+    board, player, depth, timeLimit, alphaBeta, transposition, moveOrdering,
+    endgameThreshold, wldOnly, useBook, debug, traceLimit
+  } = request;
+
+  const bookMove = useBook && !isAntiOthello() ? getBookMove(board, player) : null;
+  if (bookMove) {
+    if (debug) {
+      console.log(`Book move: [${bookMove.row}, ${bookMove.col}]`);
+    }
+    return { ...EMPTY_RESULT, bestMove: { ...bookMove, score: null, book: true } };
+  }
+
+  // Close enough to the end to search it out exactly (the solver only handles 8x8)
+  const empties = board.length === BITBOARD_SIZE ? countEmpties(board) : Infinity;
+  let searchTime = timeLimit;
+  if (endgameThreshold && empties <= endgameThreshold) {
+    const solveStart = Date.now();
+    const bestMove = solveEndgame(board, player, {
+      wldOnly,
+      timeLimit: timeLimit ? timeLimit * ENDGAME_TIME_SHARE : ENDGAME_TIME_LIMIT,
+      onProgress: postProgress
+    });
+
+    if (bestMove) {
+      if (debug) {
+        console.log(`Endgame solved at ${empties} empties: [${bestMove.row}, ${bestMove.col}] score = ${bestMove.score}`);
+      }
+
+      return {
+        ...EMPTY_RESULT,
+        bestMove,
+        nodesExamined: getEndgameNodes(),
+        depthReached: empties,
+        solved: bestMove.score === null ? null : { score: bestMove.score, wldOnly }
+      };
+    }
+
+    if (debug) {
+      console.log(`Endgame solver ran out of time at ${empties} empties; searching normally`);
+    }
+    if (timeLimit) searchTime = Math.max(1, timeLimit - (Date.now() - solveStart));
+  }
+
+  setAlphaBeta(alphaBeta);
+  setTranspositionTable(transposition);
+  setMoveOrdering(moveOrdering);
+  setDebugMode(debug);
+  setSearchTrace(debug, traceLimit);
+  setProgressCallback(postProgress);
+
+  const bestMove = timeLimit
+    ? findBestMoveTimed(board, player, searchTime, alphaBeta)
+    : findBestMove(board, player, depth, alphaBeta);
+
+  setProgressCallback(null);
+
+  const result = {
+    ...EMPTY_RESULT,
+    bestMove,
+    nodesExamined: getNodesExamined(),
+    depthReached: getDepthReached(),
+    transpositionStats: getTranspositionStats(),
+    trace: getSearchTrace()
+  };
+
+  // Show what move ordering saves on this very position
+  if (debug && !timeLimit && alphaBeta) {
+    result.orderingComparison = compareOrdering(request, result.nodesExamined);
+  }
+
+  return result;
+}
+
+/**
+ * Compare plain Mini-Max with alpha-beta on one position at each depth
+ * @param {Object} request - Comparison request
+ * @param {Function} postProgress - Posts a progress update
+ * @returns {Array<Object>} Rows {depth, runs, agree}, one per depth
+ */
+function compareSearches(request, postProgress) {
+  const { board, player, maxDepth, includeOrdering } = request;
+  const rows = [];
+
+  setTranspositionTable(false);
+  setDebugMode(false);
+  setSearchTrace(false);
+  setProgressCallback(null);
+
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    const runs = getComparisonSearches(includeOrdering).map((search) => {
+      setMoveOrdering(search.moveOrdering);
+      const { row, col, score, stats } = findBestMove(board, player, depth, search.alphaBeta);
+      return { key: search.key, row, col, score, nodesExamined: stats.nodesExamined, elapsed: stats.elapsed };
+    });
+
+    rows.push({ depth, runs, agree: valuesAgree(runs) });
+    postProgress({ rows: [...rows] });
+  }
+
+  return rows;
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'loadBook') {
+    loadOpeningBook(message.entries);
+  } else if (message.type === 'search') {
+    const { id } = message;
+    const postProgress = (progress) => {
+      self.postMessage({ type: 'progress', id, ...progress });
+    };
+
+    setHeuristicProfile(message.heuristicProfile);
+    setAntiOthello(Boolean(message.antiOthello));
+
+    const result = message.engine === 'mcts' && message.board.length === BITBOARD_SIZE
+      ? searchMCTS(message, postProgress)
+      : searchMinimax(message, postProgress);
+
+    self.postMessage({ type: 'result', id, ...result });
+  } else if (message.type === 'scoreMoves') {
+    const { id, board, player, depth, heuristicProfile } = message;
+
+    setHeuristicProfile(heuristicProfile);
+    setAntiOthello(Boolean(message.antiOthello));
+    setAlphaBeta(true);
+    setTranspositionTable(true);
+    setMoveOrdering(true);
+    setDebugMode(false);
+    setSearchTrace(false);
+    setProgressCallback(null);
+
+    const moves = scoreMoves(board, player, depth);
+    self.postMessage({ type: 'result', id, moves, nodesExamined: getNodesExamined() });
+  } else if (message.type === 'compare') {
+    const { id } = message;
+
+    setHeuristicProfile(message.heuristicProfile);
+    setAntiOthello(Boolean(message.antiOthello));
+
+    const rows = compareSearches(message, (progress) => {
+      self.postMessage({ type: 'progress', id, ...progress });
+    });
+    self.postMessage({ type: 'result', id, rows });
+  }
+};
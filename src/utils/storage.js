@@ -0,0 +1,176 @@
+/**
+ * Saved Games for Othello
+ * Keeps an autosave of the current game and settings, plus named save
+ * slots, in localStorage
+ *
+ * Every saved record is {version, savedAt, game, settings}, where game is the
+ * move history {moves, index, start} with the number of hints taken, and
+ * settings the Settings panel choices. Fields added later are optional, so
+ * older records without them need no migration.
+ * Records written by an older version are brought up to date by MIGRATIONS
+ * when read; records from a newer version, or that can't be read, are ignored.
+ */
+
+// Bump when the record format changes, and add a migration from the old version
+export const SCHEMA_VERSION = 1;
+
+const AUTOSAVE_KEY = 'othello:autosave';
+const SLOTS_KEY = 'othello:slots';
+
+// MIGRATIONS[n] turns a version n record into a version n + 1 record
+const MIGRATIONS = {};
+
+/**
+ * Read and parse a localStorage entry
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if missing, unreadable or storage is unavailable
+ */
+function readJSON(key) {
+  try {
+    const text = localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a value to localStorage as JSON
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} True if it was written (storage can be full or disabled)
+ */
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Bring a saved record up to the current schema version
+ * @param {Object} record - Record as stored
+ * @returns {Object|null} Current-version record, or null if it can't be used
+ */
+function migrateRecord(record) {
+  if (!record || typeof record !== 'object' || !Number.isInteger(record.version)) return null;
+  if (record.version > SCHEMA_VERSION) return null;
+
+  let current = record;
+  while (current.version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+
+  return current.game && current.settings ? current : null;
+}
+
+/**
+ * Build a record for the current schema version
+ * @param {Object} game - Move history {moves, index, start} and hints taken
+ * @param {Object} settings - Settings panel values
+ * @returns {Object} Record to store
+ */
+function createRecord(game, settings) {
+  return { version: SCHEMA_VERSION, savedAt: new Date().toISOString(), game, settings };
+}
+
+/**
+ * Save the current game and settings as the autosave
+ * @param {Object} game - Move history {moves, index, start} and hints taken
+ * @param {Object} settings - Settings panel values
+ * @returns {boolean} True if saved
+ */
+export function saveAutosave(game, settings) {
+  return writeJSON(AUTOSAVE_KEY, createRecord(game, settings));
+}
+
+/**
+ * Load the autosave
+ * @returns {{game: Object, settings: Object, savedAt: string}|null} Saved game and settings, or null if none
+ */
+export function loadAutosave() {
+  return migrateRecord(readJSON(AUTOSAVE_KEY));
+}
+
+/**
+ * Read the save slots as stored
+ * Slots that can't be used are kept, so saving doesn't drop ones written by a newer version
+ * @returns {Array<Object>} Stored slots
+ */
+function readStoredSlots() {
+  const stored = readJSON(SLOTS_KEY);
+  return Array.isArray(stored) ? stored.filter((slot) => slot && typeof slot === 'object') : [];
+}
+
+/**
+ * Read all usable save slots
+ * @returns {Array<Object>} Slots {id, name, summary, ...record}
+ */
+function readSlots() {
+  return readStoredSlots()
+    .map((slot) => {
+      const record = migrateRecord(slot);
+      return record && { ...record, id: slot.id, name: slot.name, summary: slot.summary };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List the save slots, newest first
+ * @returns {Array<{id: string, name: string, savedAt: string, summary: Object}>} Slot details without the game data
+ */
+export function listSlots() {
+  return readSlots()
+    .map(({ id, name, savedAt, summary }) => ({ id, name, savedAt, summary }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Save the game into a new slot
+ * @param {string} name - Slot name
+ * @param {Object} game - Move history {moves, index, start} and hints taken
+ * @param {Object} settings - Settings panel values
+ * @param {Object} summary - Shown in the slot list: {black, white, score: {black, white}, hints}
+ * @returns {boolean} True if saved
+ */
+export function saveSlot(name, game, settings, summary) {
+  const slot = {
+    ...createRecord(game, settings),
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    summary
+  };
+  return writeJSON(SLOTS_KEY, [...readStoredSlots(), slot]);
+}
+
+/**
+ * Load a save slot
+ * @param {string} id - Slot id
+ * @returns {{game: Object, settings: Object}|null} Saved game and settings, or null if not found
+ */
+export function loadSlot(id) {
+  return readSlots().find((slot) => slot.id === id) || null;
+}
+
+/**
+ * Rename a save slot
+ * @param {string} id - Slot id
+ * @param {string} name - New name
+ * @returns {boolean} True if saved
+ */
+export function renameSlot(id, name) {
+  return writeJSON(SLOTS_KEY, readStoredSlots().map((slot) => (slot.id === id ? { ...slot, name } : slot)));
+}
+
+/**
+ * Delete a save slot
+ * @param {string} id - Slot id
+ * @returns {boolean} True if saved
+ */
+export function deleteSlot(id) {
+  return writeJSON(SLOTS_KEY, readStoredSlots().filter((slot) => slot.id !== id));
+}
@@ -0,0 +1,120 @@
+/**
+ * Transposition Table for Othello
+ * Fixed-size hash table caching search results by Zobrist hash, so positions
+ * reached through different move orders are only searched once
+ */
+
+// Bound types describing how a stored score relates to the true minimax value
+export const EXACT = 0; // Score is the true value
+export const LOWER_BOUND = 1; // True value is at least the score (beta cutoff)
+export const UPPER_BOUND = 2; // True value is at most the score (failed low)
+
+// Default capacity: 2^18 entries
+const DEFAULT_SIZE_BITS = 18;
+
+/**
+ * Create a bounded transposition table
+ * Entries live in parallel typed arrays indexed by the low bits of the hash;
+ * a colliding position replaces the old entry, the same position only if
+ * searched at least as deep
+ * @param {number} sizeBits - Table holds 2^sizeBits entries
+ * @returns {Object} Transposition table
+ */
+export function createTranspositionTable(sizeBits = DEFAULT_SIZE_BITS) {
+  const capacity = 1 << sizeBits;
+  const mask = capacity - 1;
+
+  const keysHi = new Uint32Array(capacity);
+  const keysLo = new Uint32Array(capacity);
+  const depths = new Int8Array(capacity).fill(-1); // -1 marks an empty slot
+  const scores = new Int32Array(capacity);
+  const bounds = new Uint8Array(capacity);
+  const moves = new Int8Array(capacity); // Best move as row * board size + col, -1 if none
+
+  let entries = 0;
+  let probes = 0;
+  let hits = 0;
+
+  /**
+   * Look up a position
+   * Only entries searched at least as deep as requested count as hits
+   * @param {{hi: number, lo: number}} hash - Zobrist hash of the position
+   * @param {number} depth - Remaining search depth
+   * @returns {{score: number, bound: number}|null} Stored result, or null on a miss
+   */
+  const probe = (hash, depth) => {
+    probes++;
+    const index = hash.lo & mask;
+
+    if (depths[index] < depth || keysHi[index] !== hash.hi || keysLo[index] !== hash.lo) {
+      return null;
+    }
+
+    hits++;
+    return { score: scores[index], bound: bounds[index] };
+  };
+
+  /**
+   * Look up the best move found by an earlier search of a position, at any depth
+   * Used for move ordering, so it does not count towards the hit statistics
+   * @param {{hi: number, lo: number}} hash - Zobrist hash of the position
+   * @returns {number} Best move as row * board size + col, or -1 if unknown
+   */
+  const getMove = (hash) => {
+    const index = hash.lo & mask;
+    if (depths[index] === -1 || keysHi[index] !== hash.hi || keysLo[index] !== hash.lo) {
+      return -1;
+    }
+    return moves[index];
+  };
+
+  /**
+   * Store a search result
+   * @param {{hi: number, lo: number}} hash - Zobrist hash of the position
+   * @param {number} depth - Remaining search depth the score was computed with
+   * @param {number} score - Score of the position
+   * @param {number} bound - EXACT, LOWER_BOUND or UPPER_BOUND
+   * @param {number} move - Best move found as row * board size + col, or -1
+   */
+  const store = (hash, depth, score, bound, move = -1) => {
+    const index = hash.lo & mask;
+    const samePosition = keysHi[index] === hash.hi && keysLo[index] === hash.lo;
+
+    if (depths[index] === -1) {
+      entries++;
+    } else if (samePosition && depths[index] > depth) {
+      return; // Keep the deeper result
+    }
+
+    keysHi[index] = hash.hi;
+    keysLo[index] = hash.lo;
+    depths[index] = depth;
+    scores[index] = score;
+    bounds[index] = bound;
+    moves[index] = move;
+  };
+
+  /**
+   * Remove all entries and reset the statistics
+   */
+  const clear = () => {
+    depths.fill(-1);
+    entries = 0;
+    probes = 0;
+    hits = 0;
+  };
+
+  /**
+   * Get usage statistics since the last clear
+   * @returns {{probes: number, hits: number, hitRate: number, entries: number, capacity: number}} Table statistics
+   */
+  const getStats = () => ({
+    probes,
+    hits,
+    hitRate: probes > 0 ? hits / probes : 0,
+    entries,
+    capacity
+  });
+
+  return { probe, getMove, store, clear, getStats };
+}
@@ -0,0 +1,121 @@
+/**
+ * Rule Variants for Othello
+ * Builds the starting board of a variant game: the arrangement of the four
+ * center discs and any blocked "hole" squares
+ *
+ * Start positions:
+ *   standard - the usual diagonal start
+ *   parallel - each color's two discs side by side in a column
+ *   random   - any arrangement of two black and two white center discs
+ *
+ * Holes are placed at random in pairs, each mirrored through the center of
+ * the board so neither side is favored. Anti-Othello, where the player with
+ * fewer discs wins, is a scoring rule set with setAntiOthello in gameLogic.js.
+ */
+
+import { EMPTY, BLACK, WHITE, BLOCKED, DEFAULT_BOARD_SIZE, getValidMoves } from './gameLogic.js';
+
+export const START_POSITIONS = [
+  { key: 'standard', label: 'Standard' },
+  { key: 'parallel', label: 'Parallel' },
+  { key: 'random', label: 'Random' }
+];
+
+// Hole counts offered; always even since holes come in mirrored pairs
+export const HOLE_COUNTS = [0, 2, 4, 6, 8];
+
+// Center discs as [top-left, top-right, bottom-left, bottom-right]
+const CENTER_LAYOUTS = {
+  standard: [WHITE, BLACK, BLACK, WHITE],
+  parallel: [WHITE, BLACK, WHITE, BLACK]
+};
+
+// Attempts at placing holes before giving up on leaving Black a first move
+const MAX_HOLE_ATTEMPTS = 50;
+
+/**
+ * Check whether a variant plays from the standard starting position
+ * @param {Object} variant - Variant {startPosition, holeCount}
+ * @param {number} size - Board size
+ * @returns {boolean} True for the standard start on the standard board
+ */
+export function isStandardStart({ startPosition, holeCount }, size = DEFAULT_BOARD_SIZE) {
+  return startPosition === 'standard' && holeCount === 0 && size === DEFAULT_BOARD_SIZE;
+}
+
+/**
+ * Shuffle an array in place
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array} The same array, shuffled
+ */
+function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Place the four center discs
+ * @param {number[][]} board - Empty board to place them on
+ * @param {string} startPosition - Start position key
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+function placeCenter(board, startPosition, random) {
+  const layout = startPosition === 'random'
+    ? shuffle([BLACK, BLACK, WHITE, WHITE], random)
+    : CENTER_LAYOUTS[startPosition] || CENTER_LAYOUTS.standard;
+
+  const center = board.length / 2;
+  board[center - 1][center - 1] = layout[0];
+  board[center - 1][center] = layout[1];
+  board[center][center - 1] = layout[2];
+  board[center][center] = layout[3];
+}
+
+/**
+ * Block pairs of empty squares, each square mirrored through the center
+ * @param {number[][]} board - Board with its center discs placed
+ * @param {number} holeCount - Number of holes (even)
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+function placeHoles(board, holeCount, random) {
+  const size = board.length;
+  // Squares in the top half of the board; each one's mirror is in the bottom half
+  const candidates = [];
+  for (let row = 0; row < size / 2; row++) {
+    for (let col = 0; col < size; col++) {
+      if (board[row][col] === EMPTY) candidates.push([row, col]);
+    }
+  }
+
+  for (const [row, col] of shuffle(candidates, random).slice(0, holeCount / 2)) {
+    board[row][col] = BLOCKED;
+    board[size - 1 - row][size - 1 - col] = BLOCKED;
+  }
+}
+
+/**
+ * Build the starting board of a variant
+ * Holes are placed again if they would leave Black without a first move
+ * @param {number} size - Board size
+ * @param {Object} variant - Variant settings
+ * @param {string} variant.startPosition - 'standard', 'parallel' or 'random'
+ * @param {number} variant.holeCount - Number of holes
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {number[][]} Starting board, Black to move
+ */
+export function createStartBoard(size, { startPosition, holeCount }, random = Math.random) {
+  let board = null;
+
+  for (let attempt = 0; attempt < MAX_HOLE_ATTEMPTS; attempt++) {
+    board = Array.from({ length: size }, () => Array(size).fill(EMPTY));
+    placeCenter(board, startPosition, random);
+    placeHoles(board, holeCount, random);
+    if (getValidMoves(board, BLACK).length > 0) break;
+  }
+
+  return board;
+}
@@ -0,0 +1,102 @@
+/**
+ * Zobrist Hashing for Othello
+ * Maps a board plus side to move to a 64-bit hash, stored as two 32-bit halves
+ * so it can be computed with plain JavaScript integer arithmetic
+ */
+
+import { BLACK, WHITE, MAX_BOARD_SIZE } from './gameLogic.js';
+import { maskToSquares } from './bitboard.js';
+
+// Enough keys for the largest board; smaller boards use the first size * size
+const SQUARE_COUNT = MAX_BOARD_SIZE * MAX_BOARD_SIZE;
+
+// Fixed seed so hashes are identical across page loads and workers
+const ZOBRIST_SEED = 0x9e3779b9;
+
+/**
+ * Create a deterministic 32-bit pseudo-random number generator (mulberry32)
+ * @param {number} seed - Initial seed
+ * @returns {Function} Generator returning unsigned 32-bit integers
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+const random = createRandom(ZOBRIST_SEED);
+
+// One random key per (color, square), high and low halves
+const BLACK_KEYS_HI = new Uint32Array(SQUARE_COUNT).map(() => random());
+const BLACK_KEYS_LO = new Uint32Array(SQUARE_COUNT).map(() => random());
+const WHITE_KEYS_HI = new Uint32Array(SQUARE_COUNT).map(() => random());
+const WHITE_KEYS_LO = new Uint32Array(SQUARE_COUNT).map(() => random());
+
+// XORed in when White is to move
+const SIDE_KEY_HI = random();
+const SIDE_KEY_LO = random();
+
+/**
+ * Compute the Zobrist hash of a position
+ * @param {number[][]} board - Current board state
+ * @param {number} sideToMove - Player to move (BLACK or WHITE)
+ * @returns {{hi: number, lo: number}} Unsigned 32-bit halves of the hash
+ */
+export function hashBoard(board, sideToMove) {
+  let hi = 0;
+  let lo = 0;
+  const size = board.length;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const square = row * size + col;
+      if (board[row][col] === BLACK) {
+        hi ^= BLACK_KEYS_HI[square];
+        lo ^= BLACK_KEYS_LO[square];
+      } else if (board[row][col] === WHITE) {
+        hi ^= WHITE_KEYS_HI[square];
+        lo ^= WHITE_KEYS_LO[square];
+      }
+    }
+  }
+
+  if (sideToMove === WHITE) {
+    hi ^= SIDE_KEY_HI;
+    lo ^= SIDE_KEY_LO;
+  }
+
+  return { hi: hi >>> 0, lo: lo >>> 0 };
+}
+
+/**
+ * Compute the Zobrist hash of a bitboard position
+ * Square indices match an 8x8 board's, so the hash equals hashBoard's for the same board
+ * @param {Object} position - Bitboard position
+ * @param {number} sideToMove - Player to move (BLACK or WHITE)
+ * @returns {{hi: number, lo: number}} Unsigned 32-bit halves of the hash
+ */
+export function hashPosition(position, sideToMove) {
+  let hi = 0;
+  let lo = 0;
+
+  for (const square of maskToSquares({ hi: position.blackHi, lo: position.blackLo })) {
+    hi ^= BLACK_KEYS_HI[square];
+    lo ^= BLACK_KEYS_LO[square];
+  }
+  for (const square of maskToSquares({ hi: position.whiteHi, lo: position.whiteLo })) {
+    hi ^= WHITE_KEYS_HI[square];
+    lo ^= WHITE_KEYS_LO[square];
+  }
+
+  if (sideToMove === WHITE) {
+    hi ^= SIDE_KEY_HI;
+    lo ^= SIDE_KEY_LO;
+  }
+
+  return { hi: hi >>> 0, lo: lo >>> 0 };
+}
@@ -0,0 +1,156 @@
+/**
+ * Game File Tests
+ * Checks reading GGF and WTHOR game databases, skipping games that cannot be
+ * replayed, and writing games back out as GGF
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY, BLACK, WHITE, BLOCKED, initializeBoard } from '../src/utils/gameLogic.js';
+import { parseGGF, parseWTHOR, parseGameFile, exportGGF } from '../src/utils/gameFiles.js';
+import { exportTranscript, importTranscript } from '../src/utils/notation.js';
+
+const STANDARD_BOARD = '8 -------- -------- -------- ---O*--- ---*O--- -------- -------- -------- *';
+
+/**
+ * Build a WTHOR database in memory
+ * @param {Array<{moves: number[], blackDiscs: number}>} records - Moves as WTHOR codes (10 * row + col, from 1)
+ * @param {Object} [header] - Header fields
+ * @param {number} [header.year] - Year of the games
+ * @param {number} [header.boardSize] - Board size byte (0 or 8 for 8x8)
+ * @returns {ArrayBuffer} File contents
+ */
+function createWTHOR(records, { year = 2001, boardSize = 8 } = {}) {
+  const buffer = new ArrayBuffer(16 + records.length * 68);
+  const view = new DataView(buffer);
+  view.setUint32(4, records.length, true);
+  view.setUint16(10, year, true);
+  view.setUint8(12, boardSize);
+
+  records.forEach(({ moves, blackDiscs }, i) => {
+    const offset = 16 + i * 68;
+    view.setUint16(offset, 7, true); // Tournament
+    view.setUint16(offset + 2, 12, true); // Black player
+    view.setUint16(offset + 4, 34, true); // White player
+    view.setUint8(offset + 6, blackDiscs);
+    moves.forEach((code, m) => view.setUint8(offset + 8 + m, code));
+  });
+
+  return buffer;
+}
+
+test('a GGF game is read with its players, result and moves', () => {
+  const text = `(;GM[Othello]PC[Club]DT[2024.05.01]PB[alice]PW[bob]RE[+2.000]TY[8]BO[${STANDARD_BOARD}]` +
+    'B[f5//1.2]W[D6/-0.5/3.0]B[c3];)';
+  const { games, skipped } = parseGGF(text);
+
+  assert.equal(skipped, 0);
+  assert.equal(games.length, 1);
+  assert.deepEqual(
+    { ...games[0], moves: undefined },
+    { black: 'alice', white: 'bob', event: 'Club', date: '2024.05.01', result: '+2.000', start: null, moves: undefined }
+  );
+  assert.equal(exportTranscript(games[0].moves), 'f5d6c3');
+});
+
+test('a GGF game without a board starts from the standard position', () => {
+  const { games } = parseGGF('(;GM[Othello]B[f5]W[d6];)');
+
+  assert.equal(games[0].black, 'Black');
+  assert.equal(games[0].white, 'White');
+  assert.equal(games[0].start, null);
+  assert.equal(exportTranscript(games[0].moves), 'f5d6');
+});
+
+test('a GGF game can start from another position and board size', () => {
+  const board = '6 #----- ------ --O*-- --*O-- ------ ------ *';
+  const { games, skipped } = parseGGF(`(;GM[Othello]TY[6]BO[${board}]B[c2];)`);
+
+  assert.equal(skipped, 0);
+  const { start, moves } = games[0];
+  assert.equal(start.board.length, 6);
+  assert.equal(start.player, BLACK);
+  assert.equal(start.board[0][0], BLOCKED);
+  assert.equal(start.board[2][2], WHITE);
+  assert.equal(start.board[2][3], BLACK);
+  assert.deepEqual(moves, [{ player: BLACK, row: 1, col: 2 }]);
+});
+
+test('GGF games that cannot be replayed are skipped and counted', () => {
+  const text = [
+    '(;GM[Othello]B[f5];)',
+    '(;GM[Othello]B[a1];)', // Illegal move
+    '(;GM[Othello]TY[12]BO[12 ------------ *]B[f5];)', // Unsupported board size
+    '(;GM[Othello]B[d3]W[c3];)'
+  ].join('\n');
+  const { games, skipped } = parseGGF(text);
+
+  assert.equal(skipped, 2);
+  assert.deepEqual(games.map((game) => exportTranscript(game.moves)), ['f5', 'd3c3']);
+});
+
+test('an exported GGF game reads back the same', () => {
+  const moves = importTranscript('f5d6c3d3c4');
+  const record = exportGGF(moves, { black: 'Human', white: 'AI', date: new Date(2024, 0, 2, 3, 4, 5) });
+
+  assert.match(record, /^\(;GM\[Othello\]PC\[Othello-\]DT\[2024\.01\.02_03:04:05\]PB\[Human\]PW\[AI\]TY\[8\]BO\[/);
+  const { games } = parseGGF(record);
+  assert.equal(games[0].black, 'Human');
+  assert.equal(games[0].white, 'AI');
+  assert.deepEqual(games[0].moves, moves);
+});
+
+test('an exported GGF game keeps its start, passes and result', () => {
+  const board = initializeBoard().map((row) => row.map(() => EMPTY));
+  board[0][0] = WHITE;
+  board[0][1] = WHITE;
+  board[0][2] = BLACK;
+  const start = { board, player: BLACK };
+  const moves = importTranscript('d1', start);
+  const finalBoard = board.map((row) => [...row]);
+  finalBoard[0][2] = WHITE;
+  finalBoard[0][3] = WHITE;
+
+  const record = exportGGF(moves, { start, finalBoard });
+  assert.match(record, /RE\[-4\.000\]/);
+  assert.match(record, /B\[pa\]W\[d1\];\)$/);
+
+  const { games } = parseGGF(record);
+  assert.deepEqual(games[0].start, start);
+  assert.deepEqual(games[0].moves, moves);
+  assert.equal(games[0].result, '-4.000');
+});
+
+test('a WTHOR database is read with its numbered players and result', () => {
+  const buffer = createWTHOR([
+    { moves: [56, 64, 33], blackDiscs: 40 },
+    { moves: [11], blackDiscs: 32 } // a1 is not legal
+  ]);
+  const { games, skipped } = parseWTHOR(buffer);
+
+  assert.equal(skipped, 1);
+  assert.equal(games.length, 1);
+  assert.deepEqual(
+    { ...games[0], moves: undefined },
+    { black: 'Player #12', white: 'Player #34', event: 'Tournament #7', date: '2001', result: '+16', start: null, moves: undefined }
+  );
+  assert.equal(exportTranscript(games[0].moves), 'f5d6c3');
+});
+
+test('WTHOR databases that are not 8x8 games are rejected', () => {
+  assert.throws(() => parseWTHOR(new ArrayBuffer(8)), { message: 'file is too short to be a WTHOR database' });
+  assert.throws(
+    () => parseWTHOR(createWTHOR([], { boardSize: 10 })),
+    { message: 'only 8x8 databases are supported (board size 10)' }
+  );
+});
+
+test('the file name chooses the format', () => {
+  const wthor = parseGameFile('WTH_2001.WTB', createWTHOR([{ moves: [56], blackDiscs: 33 }]));
+  assert.equal(wthor.games[0].result, '+2');
+
+  const ggf = parseGameFile('games.ggf', new TextEncoder().encode('(;GM[Othello]B[f5];)').buffer);
+  assert.equal(exportTranscript(ggf.games[0].moves), 'f5');
+});
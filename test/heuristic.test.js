@@ -0,0 +1,82 @@
+/**
+ * Heuristic Profile Tests
+ * Checks that profiles are completed and limited when they are read, and
+ * that no weighting lets an evaluation reach the score of a won game
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY, BLACK, WHITE, initializeBoard } from '../src/utils/gameLogic.js';
+import {
+  DEFAULT_PROFILE,
+  MAX_TERM_WEIGHT,
+  HEURISTIC_TERMS,
+  normalizeProfile,
+  evaluatePosition,
+  evaluateTerms
+} from '../src/utils/heuristic.js';
+
+// Score the search gives a won game (WIN_SCORE in minimax.js)
+const WIN_SCORE = 10000;
+
+/**
+ * Build a profile with every term on at the same weight
+ * @param {number} weight - Weight of every term, opening and endgame
+ * @returns {Object} Profile-like object
+ */
+function createProfile(weight) {
+  const terms = {};
+  for (const { key } of HEURISTIC_TERMS) {
+    terms[key] = { ...DEFAULT_PROFILE.terms[key], enabled: true, weight };
+    if ('endgameWeight' in terms[key]) terms[key].endgameWeight = weight;
+  }
+  return { name: 'Extreme', terms };
+}
+
+test('missing terms take their default settings', () => {
+  const profile = normalizeProfile({ name: ' Mine ', terms: { mobility: { weight: 7 } } });
+
+  assert.equal(profile.name, 'Mine');
+  assert.deepEqual(profile.terms.mobility, { ...DEFAULT_PROFILE.terms.mobility, weight: 7 });
+  assert.deepEqual(profile.terms.corners, DEFAULT_PROFILE.terms.corners);
+});
+
+test('settings of the wrong type are rejected', () => {
+  assert.throws(() => normalizeProfile([]), { message: 'profile must be an object' });
+  assert.throws(() => normalizeProfile({ terms: { parity: { enabled: 'yes' } } }), { message: '"parity.enabled" must be true or false' });
+  assert.throws(() => normalizeProfile({ terms: { discs: { weight: '5' } } }), { message: '"discs.weight" must be a number' });
+});
+
+test('weights and disc counts outside their limits are clamped', () => {
+  const { terms } = normalizeProfile({
+    terms: {
+      mobility: { weight: 1e9 },
+      corners: { weight: -1e9 },
+      discs: { weight: 2, endgameWeight: 500, endgameDiscs: 1000 }
+    }
+  });
+
+  assert.equal(terms.mobility.weight, MAX_TERM_WEIGHT);
+  assert.equal(terms.corners.weight, -MAX_TERM_WEIGHT);
+  assert.equal(terms.discs.endgameWeight, MAX_TERM_WEIGHT);
+  assert.equal(terms.discs.endgameDiscs, 64);
+});
+
+test('no weighting lets an evaluation reach a won game', () => {
+  // Black holds every corner and most of the board
+  const board = initializeBoard().map((row, r) => row.map((_, c) => (r < 6 ? BLACK : EMPTY)));
+  board[7][0] = BLACK;
+  board[7][7] = BLACK;
+  board[6][3] = WHITE;
+
+  // Weights beyond the limits, as a saved or hand-edited profile might hold
+  for (const weight of [1e6, -1e6]) {
+    const profile = createProfile(weight);
+    for (const player of [BLACK, WHITE]) {
+      assert.ok(Math.abs(evaluatePosition(board, player, player, profile)) < WIN_SCORE);
+      assert.ok(Math.abs(evaluateTerms(board, player, player, profile).total) < WIN_SCORE);
+    }
+  }
+});
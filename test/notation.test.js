@@ -0,0 +1,95 @@
+/**
+ * Transcript Tests
+ * Checks square names and the import and export of move transcripts,
+ * including forced passes and the errors reported for bad transcripts
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY, BLACK, WHITE, initializeBoard } from '../src/utils/gameLogic.js';
+import { toAlgebraic, fromAlgebraic, parseMoveSequence, exportTranscript, importTranscript } from '../src/utils/notation.js';
+
+// A standard opening line (the Tiger, continued)
+const OPENING = 'f5d6c3d3c4f4f6f3e6e7';
+
+/**
+ * Build a start where Black has no move, White has one (d1) and the game then ends
+ * @returns {{board: number[][], player: number}} Start position with Black to move
+ */
+function createPassStart() {
+  const board = initializeBoard().map((row) => row.map(() => EMPTY));
+  board[0][0] = WHITE;
+  board[0][1] = WHITE;
+  board[0][2] = BLACK;
+  return { board, player: BLACK };
+}
+
+test('squares convert to and from algebraic names', () => {
+  assert.equal(toAlgebraic(0, 0), 'a1');
+  assert.equal(toAlgebraic(4, 5), 'f5');
+  assert.equal(toAlgebraic(9, 9), 'j10');
+
+  assert.deepEqual(fromAlgebraic('f5'), [4, 5]);
+  assert.deepEqual(fromAlgebraic(' F5 '), [4, 5]);
+  assert.deepEqual(fromAlgebraic('a10', 10), [9, 0]);
+  assert.equal(fromAlgebraic('a10'), null);
+  assert.equal(fromAlgebraic('i1'), null);
+  assert.equal(fromAlgebraic('f0'), null);
+  assert.equal(fromAlgebraic('ff'), null);
+});
+
+test('a move sequence splits into coordinates', () => {
+  assert.deepEqual(parseMoveSequence('f5 d6c3'), [[4, 5], [5, 3], [2, 2]]);
+  assert.equal(parseMoveSequence('f5d'), null);
+  assert.equal(parseMoveSequence('f5z6'), null);
+});
+
+test('an imported transcript exports back to the same moves', () => {
+  const entries = importTranscript(OPENING);
+
+  assert.equal(entries.length, 10);
+  assert.deepEqual(entries[0], { player: BLACK, row: 4, col: 5 });
+  assert.deepEqual(entries[1], { player: WHITE, row: 5, col: 3 });
+  assert.equal(exportTranscript(entries), OPENING);
+});
+
+test('move numbers, spaces, commas and capitals are ignored', () => {
+  const entries = importTranscript('1. F5 2. d6, 3. c3');
+  assert.equal(exportTranscript(entries), 'f5d6c3');
+});
+
+test('forced passes are inserted on import and left out on export', () => {
+  const entries = importTranscript('d1', createPassStart());
+
+  assert.deepEqual(entries, [
+    { player: BLACK, pass: true },
+    { player: WHITE, row: 0, col: 3 }
+  ]);
+  assert.equal(exportTranscript(entries), 'd1');
+});
+
+test('a written-out pass is accepted where the pass is forced', () => {
+  const expected = importTranscript('d1', createPassStart());
+
+  assert.deepEqual(importTranscript('pad1', createPassStart()), expected);
+  assert.deepEqual(importTranscript('--d1', createPassStart()), expected);
+});
+
+test('transcripts on 10x10 boards use two-digit rows', () => {
+  const start = { board: initializeBoard(10), player: BLACK };
+  const entries = importTranscript('e4', start);
+
+  assert.deepEqual(entries, [{ player: BLACK, row: 3, col: 4 }]);
+  assert.equal(toAlgebraic(9, 0), 'a10');
+});
+
+test('bad transcripts name the move that is wrong', () => {
+  assert.throws(() => importTranscript('  '), { message: 'transcript is empty' });
+  assert.throws(() => importTranscript('f5d'), { message: 'transcript ends with an incomplete move "d"' });
+  assert.throws(() => importTranscript('f5z9'), { message: 'move 2 ("z9") is not a square' });
+  assert.throws(() => importTranscript('f5f5'), { message: 'move 2 (f5) is not legal for White' });
+  assert.throws(() => importTranscript('pa'), { message: 'move 1: Black cannot pass with legal moves available' });
+  assert.throws(() => importTranscript('d1e1', createPassStart()), { message: 'move 2 (e1) comes after the game is over' });
+});
@@ -0,0 +1,73 @@
+/**
+ * Perft Tests
+ * Counts the move tree with the mailbox (2D array) and bitboard move
+ * generators and checks them against the published counts and each other,
+ * including positions with blocked squares and forced passes
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY, BLACK, WHITE, BLOCKED, initializeBoard, perft } from '../src/utils/gameLogic.js';
+import { fromBoard, toBoard, perftBitboard } from '../src/utils/bitboard.js';
+
+// Published leaf counts from the standard starting position, indexed by depth
+// (deeper counts are left to npm run perft)
+const KNOWN_COUNTS = [1, 4, 12, 56, 244, 1396, 8200];
+
+/**
+ * Build the standard start with a few squares blocked out
+ * @returns {number[][]} Board with holes
+ */
+function createBoardWithHoles() {
+  const board = initializeBoard();
+  board[2][3] = BLOCKED;
+  board[4][5] = BLOCKED;
+  board[0][0] = BLOCKED;
+  board[7][6] = BLOCKED;
+  return board;
+}
+
+test('both move generators match the published counts from the start', () => {
+  const board = initializeBoard();
+  const position = fromBoard(board);
+
+  for (let depth = 0; depth < KNOWN_COUNTS.length; depth++) {
+    assert.equal(perft(board, BLACK, depth), KNOWN_COUNTS[depth], `mailbox depth ${depth}`);
+    assert.equal(perftBitboard(position, BLACK, depth), KNOWN_COUNTS[depth], `bitboard depth ${depth}`);
+  }
+});
+
+test('a board converts to a bitboard position and back unchanged', () => {
+  const board = createBoardWithHoles();
+  board[7][7] = WHITE;
+  board[0][7] = BLACK;
+
+  assert.deepEqual(toBoard(fromBoard(board)), board);
+});
+
+test('both move generators agree on boards with blocked squares', () => {
+  const board = createBoardWithHoles();
+  const position = fromBoard(board);
+
+  for (const player of [BLACK, WHITE]) {
+    for (let depth = 1; depth <= 5; depth++) {
+      assert.equal(perftBitboard(position, player, depth), perft(board, player, depth), `player ${player} depth ${depth}`);
+    }
+  }
+});
+
+test('a pass counts as a move and a finished game as a leaf', () => {
+  // Black must pass, White's only move is d1 and the game then ends
+  const board = initializeBoard().map((row) => row.map(() => EMPTY));
+  board[0][0] = WHITE;
+  board[0][1] = WHITE;
+  board[0][2] = BLACK;
+  const position = fromBoard(board);
+
+  for (let depth = 1; depth <= 4; depth++) {
+    assert.equal(perft(board, BLACK, depth), 1);
+    assert.equal(perftBitboard(position, BLACK, depth), 1);
+  }
+});
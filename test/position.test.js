@@ -0,0 +1,69 @@
+/**
+ * Position String Tests
+ * Checks writing and reading position strings on every board size and the
+ * errors and warnings for positions that cannot be played as they are
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY, BLACK, WHITE, BLOCKED, BOARD_SIZES, initializeBoard } from '../src/utils/gameLogic.js';
+import { serializePosition, parsePosition, validatePosition } from '../src/utils/position.js';
+
+const START = '---------------------------OX------XO--------------------------- X';
+
+test('the starting position is written as documented', () => {
+  assert.equal(serializePosition(initializeBoard(), BLACK), START);
+});
+
+test('a position string reads back to the same position on every board size', () => {
+  for (const size of BOARD_SIZES) {
+    const board = initializeBoard(size);
+    board[0][0] = BLOCKED;
+    board[size - 1][0] = BLACK;
+
+    const text = serializePosition(board, WHITE);
+    assert.equal(text.length, size * size + 2);
+    assert.deepEqual(parsePosition(text), { board, player: WHITE });
+  }
+});
+
+test('whitespace and lower case are accepted', () => {
+  const rows = START.slice(0, 64).match(/.{8}/g).join('\n').toLowerCase();
+  assert.deepEqual(parsePosition(`${rows}\nx`), { board: initializeBoard(), player: BLACK });
+});
+
+test('malformed position strings are rejected with the reason', () => {
+  assert.throws(
+    () => parsePosition('XO-'),
+    { message: 'expected 36, 64, 100 squares and the side to move, got 3 characters' }
+  );
+  assert.throws(
+    () => parsePosition(`${START.slice(0, 10)}Z${START.slice(11)}`),
+    { message: 'square 11 is "Z"; use X, O, - or #' }
+  );
+  assert.throws(
+    () => parsePosition(`${START.slice(0, 64)} -`),
+    { message: 'side to move is "-"; use X or O' }
+  );
+});
+
+test('a position where only the other side can move needs a pass', () => {
+  const board = initializeBoard().map((row) => row.map(() => EMPTY));
+  board[0][0] = WHITE;
+  board[0][1] = WHITE;
+  board[0][2] = BLACK;
+
+  assert.deepEqual(validatePosition(board, BLACK), {
+    errors: [],
+    warnings: ['Black has no legal moves and must pass; White will move first']
+  });
+  assert.deepEqual(validatePosition(board, WHITE), { errors: [], warnings: [] });
+});
+
+test('a position where neither side can move cannot be played', () => {
+  const board = initializeBoard().map((row) => row.map(() => BLACK));
+
+  assert.deepEqual(validatePosition(board, WHITE).errors, ['Neither side has a legal move: the game is already over']);
+});
@@ -0,0 +1,210 @@
+/**
+ * Relay Server Tests
+ * Starts the relay on a free port and plays through it with real WebSocket
+ * clients: creating and joining rooms, rejected moves, taking a seat back
+ * with its token and spectators following the game
+ *
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { BLACK, WHITE } from '../src/utils/gameLogic.js';
+import { startRelay } from '../server/relay.js';
+
+// How long to wait for a message before failing the test
+const MESSAGE_TIMEOUT = 2000;
+
+let server;
+let url;
+const sockets = [];
+
+before(async () => {
+  server = startRelay(0);
+  await once(server, 'listening');
+  url = `ws://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  for (const socket of sockets) socket.terminate();
+  server.close();
+  await once(server, 'close');
+});
+
+/**
+ * Connect a client to the relay
+ * Messages are queued as they arrive so a test can wait for them in order
+ * @returns {Promise<{socket: WebSocket, send: Function, next: Function}>} Connected client
+ */
+async function connect() {
+  const socket = new WebSocket(url);
+  sockets.push(socket);
+  const inbox = [];
+  const waiting = [];
+
+  socket.on('message', (data) => {
+    inbox.push(JSON.parse(data));
+    for (const check of [...waiting]) check();
+  });
+  await once(socket, 'open');
+
+  /**
+   * Send a message to the relay
+   * @param {Object} message - Message to send
+   */
+  const send = (message) => socket.send(JSON.stringify(message));
+
+  /**
+   * Wait for the next message of a type; messages of other types stay queued
+   * @param {string} type - Message type, e.g. 'state'
+   * @returns {Promise<Object>} The message
+   */
+  const next = (type) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no "${type}" message arrived`)), MESSAGE_TIMEOUT);
+    const check = () => {
+      const index = inbox.findIndex((message) => message.type === type);
+      if (index === -1) return;
+      clearTimeout(timer);
+      waiting.splice(waiting.indexOf(check), 1);
+      resolve(inbox.splice(index, 1)[0]);
+    };
+    waiting.push(check);
+    check();
+  });
+
+  return { socket, send, next };
+}
+
+/**
+ * Create a room with a player in each seat
+ * @returns {Promise<{code: string, black: Object, white: Object, blackToken: string}>} Room code and both clients
+ */
+async function createFullRoom() {
+  const black = await connect();
+  black.send({ type: 'create', rules: { size: 8 }, color: BLACK });
+  const { code, token } = await black.next('joined');
+  await black.next('state');
+
+  const white = await connect();
+  white.send({ type: 'join', code });
+  await white.next('joined');
+  await white.next('state');
+  await black.next('state');
+
+  return { code, black, white, blackToken: token };
+}
+
+test('creating and joining a room seats both players', async () => {
+  const creator = await connect();
+  creator.send({ type: 'create', rules: { size: 8 }, color: WHITE });
+  const created = await creator.next('joined');
+  assert.equal(created.color, WHITE);
+  assert.match(created.code, /^[A-Z]{4}$/);
+  assert.equal((await creator.next('state')).players.black, 'open');
+
+  const joiner = await connect();
+  joiner.send({ type: 'join', code: created.code.toLowerCase() });
+  const joined = await joiner.next('joined');
+  assert.equal(joined.color, BLACK);
+  assert.notEqual(joined.token, created.token);
+
+  const state = await creator.next('state');
+  assert.deepEqual(state.players, { black: 'connected', white: 'connected' });
+  assert.deepEqual(state.moves, []);
+  assert.equal(state.gameOver, false);
+});
+
+test('joining a room that does not exist fails', async () => {
+  const client = await connect();
+  client.send({ type: 'join', code: 'ZZZZ' });
+  const error = await client.next('error');
+  assert.equal(error.message, 'Could not join: room ZZZZ not found');
+  assert.equal(error.fatal, true);
+});
+
+test('an illegal move is rejected and not recorded', async () => {
+  const { black, white } = await createFullRoom();
+
+  black.send({ type: 'move', row: 0, col: 0 });
+  const error = await black.next('error');
+  assert.equal(error.message, 'Could not move: that move is not legal');
+  assert.equal(error.fatal, false);
+
+  // The game is unchanged, so the same player can still make a legal move
+  black.send({ type: 'move', row: 2, col: 3 });
+  const state = await white.next('state');
+  assert.deepEqual(state.moves, [{ player: BLACK, row: 2, col: 3 }]);
+});
+
+test('a move out of turn is rejected', async () => {
+  const { black, white } = await createFullRoom();
+
+  white.send({ type: 'move', row: 2, col: 4 });
+  assert.equal((await white.next('error')).message, 'Could not move: it is not your turn');
+
+  black.send({ type: 'move', row: 2, col: 3 });
+  await white.next('state');
+  black.send({ type: 'move', row: 2, col: 2 });
+  assert.equal((await black.next('error')).message, 'Could not move: it is not your turn');
+});
+
+test('resuming with a seat token takes the seat over from the old connection', async () => {
+  const { code, black, white, blackToken } = await createFullRoom();
+
+  const resumed = await connect();
+  const closed = once(black.socket, 'close');
+  resumed.send({ type: 'resume', code, token: blackToken });
+
+  const joined = await resumed.next('joined');
+  assert.equal(joined.color, BLACK);
+  assert.equal(joined.token, blackToken);
+
+  // The old connection is told not to resume, so the two don't take turns with the seat
+  const replaced = await black.next('error');
+  assert.equal(replaced.message, 'Your seat was taken over by another window');
+  assert.equal(replaced.fatal, true);
+  await closed;
+
+  // The seat is briefly away while the old connection is dropped
+  assert.equal((await white.next('state')).players.black, 'away');
+  assert.equal((await white.next('state')).players.black, 'connected');
+
+  // The new connection plays for Black
+  resumed.send({ type: 'move', row: 2, col: 3 });
+  const state = await white.next('state');
+  assert.deepEqual(state.moves, [{ player: BLACK, row: 2, col: 3 }]);
+});
+
+test('resuming with a token that holds no seat fails', async () => {
+  const { code } = await createFullRoom();
+
+  const client = await connect();
+  client.send({ type: 'resume', code, token: 'not-a-seat-token' });
+  const error = await client.next('error');
+  assert.equal(error.message, 'Could not resume: your seat in this room was given up');
+  assert.equal(error.fatal, true);
+});
+
+test('spectators are sent every move and cannot move', async () => {
+  const { code, black, white } = await createFullRoom();
+
+  const spectator = await connect();
+  spectator.send({ type: 'join', code, spectate: true });
+  assert.equal((await spectator.next('joined')).color, null);
+  assert.equal((await spectator.next('state')).spectators, 1);
+  assert.equal((await black.next('state')).spectators, 1);
+  await white.next('state');
+
+  spectator.send({ type: 'move', row: 2, col: 3 });
+  assert.equal((await spectator.next('error')).message, 'Could not move: spectators cannot move');
+
+  black.send({ type: 'move', row: 2, col: 3 });
+  assert.deepEqual((await spectator.next('state')).moves, [{ player: BLACK, row: 2, col: 3 }]);
+  white.send({ type: 'move', row: 2, col: 2 });
+  assert.deepEqual((await spectator.next('state')).moves, [
+    { player: BLACK, row: 2, col: 3 },
+    { player: WHITE, row: 2, col: 2 }
+  ]);
+});
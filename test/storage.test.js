@@ -0,0 +1,127 @@
+/**
+ * Saved Game Tests
+ * Checks the autosave and save slots against an in-memory localStorage,
+ * including how records from other schema versions are handled
+ *
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCHEMA_VERSION,
+  saveAutosave,
+  loadAutosave,
+  listSlots,
+  saveSlot,
+  loadSlot,
+  renameSlot,
+  deleteSlot
+} from '../src/utils/storage.js';
+
+const AUTOSAVE_KEY = 'othello:autosave';
+const SLOTS_KEY = 'othello:slots';
+
+const GAME = { moves: [{ player: 1, row: 4, col: 5 }], index: 1, start: null, hintCount: 0 };
+const SETTINGS = { searchDepth: 4, alphaBetaEnabled: true };
+const SUMMARY = { black: 'Human', white: 'AI', score: { black: 4, white: 1 }, hints: 0 };
+
+/**
+ * Create an in-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem, setItem and removeItem
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = createMemoryStorage();
+});
+
+test('the autosave reads back what was saved', () => {
+  assert.equal(loadAutosave(), null);
+  assert.equal(saveAutosave(GAME, SETTINGS), true);
+
+  const record = loadAutosave();
+  assert.equal(record.version, SCHEMA_VERSION);
+  assert.deepEqual(record.game, GAME);
+  assert.deepEqual(record.settings, SETTINGS);
+  assert.ok(!Number.isNaN(Date.parse(record.savedAt)));
+});
+
+test('records from a newer version are ignored', () => {
+  localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({ version: SCHEMA_VERSION + 1, game: GAME, settings: SETTINGS }));
+  assert.equal(loadAutosave(), null);
+});
+
+test('records from an older version without a migration are ignored', () => {
+  localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({ version: 0, game: GAME, settings: SETTINGS }));
+  assert.equal(loadAutosave(), null);
+});
+
+test('records that cannot be read are ignored', () => {
+  const unusable = [
+    'not json',
+    JSON.stringify(null),
+    JSON.stringify({ game: GAME, settings: SETTINGS }), // No version
+    JSON.stringify({ version: '1', game: GAME, settings: SETTINGS }),
+    JSON.stringify({ version: SCHEMA_VERSION, settings: SETTINGS }) // No game
+  ];
+
+  for (const text of unusable) {
+    localStorage.setItem(AUTOSAVE_KEY, text);
+    assert.equal(loadAutosave(), null, text);
+  }
+});
+
+test('saving fails quietly when storage is full or unavailable', () => {
+  globalThis.localStorage = {
+    getItem: () => { throw new Error('storage is disabled'); },
+    setItem: () => { throw new Error('quota exceeded'); }
+  };
+
+  assert.equal(saveAutosave(GAME, SETTINGS), false);
+  assert.equal(loadAutosave(), null);
+  assert.deepEqual(listSlots(), []);
+});
+
+test('save slots can be saved, listed, loaded, renamed and deleted', () => {
+  assert.equal(saveSlot('First', GAME, SETTINGS, SUMMARY), true);
+  assert.equal(saveSlot('Second', { ...GAME, index: 0 }, SETTINGS, SUMMARY), true);
+
+  const slots = listSlots();
+  assert.equal(slots.length, 2);
+  assert.deepEqual(slots.map((slot) => slot.name).sort(), ['First', 'Second']);
+  assert.deepEqual(Object.keys(slots[0]).sort(), ['id', 'name', 'savedAt', 'summary']);
+
+  const first = slots.find((slot) => slot.name === 'First');
+  const loaded = loadSlot(first.id);
+  assert.deepEqual(loaded.game, GAME);
+  assert.deepEqual(loaded.settings, SETTINGS);
+  assert.deepEqual(loaded.summary, SUMMARY);
+
+  renameSlot(first.id, 'Renamed');
+  assert.equal(loadSlot(first.id).name, 'Renamed');
+
+  deleteSlot(first.id);
+  assert.equal(loadSlot(first.id), null);
+  assert.deepEqual(listSlots().map((slot) => slot.name), ['Second']);
+});
+
+test('slots from a newer version are hidden but kept when saving', () => {
+  const newer = { version: SCHEMA_VERSION + 1, id: 'future', name: 'Future', game: GAME, settings: SETTINGS };
+  localStorage.setItem(SLOTS_KEY, JSON.stringify([newer]));
+
+  assert.deepEqual(listSlots(), []);
+  assert.equal(loadSlot('future'), null);
+
+  saveSlot('Current', GAME, SETTINGS, SUMMARY);
+  const stored = JSON.parse(localStorage.getItem(SLOTS_KEY));
+  assert.deepEqual(stored[0], newer);
+  assert.deepEqual(listSlots().map((slot) => slot.name), ['Current']);
+});